@@ -1,121 +1,246 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import DatePicker from 'react-datepicker';
 import Select from 'react-select';
-import { Navigate, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
-import { format } from 'date-fns';
-import { getMe, login, signup } from './api/auth';
-import { fetchEntriesByYear, fetchYears, saveEntry } from './api/entries';
+import { Link, Navigate, Route, Routes, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { getMe, login, logout, signup } from './api/auth';
+import { configureSession, refreshSession } from './api/client';
+import { fetchYears, loadYearEntries } from './api/entries';
+import { fetchEpisodesByYear, saveEpisode } from './api/episodes';
+import { createProfile, fetchProfiles } from './api/profiles';
+import { deleteDose, fetchDosesByYear, fetchMedications, saveDose, saveMedication } from './api/medications';
+import {
+  flushPendingSaves,
+  isNetworkError,
+  readPendingEntries,
+  removeEntry,
+  resolvePendingConflict,
+  saveOrQueueEntry
+} from './api/entrySync';
+import { showReminderNotification, syncReminderState } from './api/notifications';
+import { clearPendingSaves } from './api/offlineStore';
+import {
+  IDLE_TIMEOUT_MS,
+  clearStoredSession,
+  hasRestorableSession,
+  readStoredSession,
+  storeSession
+} from './api/sessionStore';
+import AuthCard from './components/AuthCard';
+import DayEditor from './components/DayEditor';
+import EpisodeList from './components/EpisodeList';
+import HeatmapExport from './components/HeatmapExport';
+import HeatmapLegend from './components/HeatmapLegend';
+import ImportPreview from './components/ImportPreview';
+import MedicationLog from './components/MedicationLog';
+import MetricFields from './components/MetricFields';
+import MonthGrid from './components/MonthGrid';
+import PasswordInput from './components/PasswordInput';
+import RangePreview from './components/RangePreview';
+import ShortcutHelp from './components/ShortcutHelp';
+import SymptomPicker from './components/SymptomPicker';
+import TopBar from './components/TopBar';
+import TransferMenu from './components/TransferMenu';
+import UpdatePrompt from './components/UpdatePrompt';
+import WeekList from './components/WeekList';
 import YearHeatmap from './components/YearHeatmap';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ReportPage from './pages/ReportPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import SettingsPage from './pages/SettingsPage';
+import SharedPage from './pages/SharedPage';
+import StatsPage from './pages/StatsPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import {
+  detectLanguage,
+  formatDate,
+  formatDateKey,
+  isLanguage,
+  resolveWeekStart,
+  setLanguage,
+  t
+} from './i18n';
+import {
+  DEFAULT_SYMPTOMS,
+  MAX_BATCH_DAYS,
+  describeEntry,
+  describeSymptoms,
+  isSameEntryValue,
+  isValidDateKey,
+  normalizeEntry,
+  normalizeSymptoms,
+  parseDateFromKey,
+  toDateKey,
+  toEntryPayload
+} from './utils/entryModel';
+import {
+  MAX_RANGE_DAYS,
+  VIEW_MODES,
+  daysInRange,
+  monthPath,
+  parseDetailParams,
+  resolveView,
+  rollingRange,
+  todayKey,
+  weekPath
+} from './utils/heatmapView';
+import { downloadFile, entriesToCsv, entriesToJson, parseEntriesFile } from './utils/entryTransfer';
+import { deriveEpisodes, normalizeEpisodeLabel } from './utils/episodes';
+import { lookbackYears, missedDays, msUntilReminder, readReminderPrefs, reminderOwner } from './utils/reminders';
+import { normalizeDose, normalizeMedication } from './utils/medicationModel';
+import {
+  DEFAULT_TEMPERATURE_UNIT,
+  HEATMAP_METRICS,
+  describeMetrics,
+  isTemperatureUnit,
+  metricInputs,
+  metricLabel,
+  metricScaleLabels,
+  parseMetricInputs,
+  setTemperatureUnit
+} from './utils/metrics';
+import { DEFAULT_PALETTE, isPaletteId } from './utils/palettes';
+import {
+  DEFAULT_THEME_MODE,
+  applyTheme,
+  isThemeMode,
+  nextThemeMode,
+  resolveTheme,
+  systemPrefersDark,
+  themeTokens,
+  watchSystemTheme
+} from './utils/themes';
+import { clearApiCache } from './serviceWorkerRegistration';
 
-const TOKEN_KEY = 'auth_token';
-const USER_KEY = 'auth_user';
 const THEME_KEY = 'ui_theme';
-
-function cookieGet(name) {
-  const pairs = document.cookie.split(';').map((item) => item.trim());
-  const row = pairs.find((item) => item.startsWith(`${name}=`));
-  return row ? decodeURIComponent(row.split('=').slice(1).join('=')) : null;
-}
-
-function cookieSet(name, value) {
-  document.cookie = `${name}=${encodeURIComponent(value)}; path=/; max-age=${60 * 60 * 24 * 30}`;
-}
-
-function cookieDelete(name) {
-  document.cookie = `${name}=; path=/; max-age=0`;
+const PALETTE_KEY = 'ui_palette';
+const LANGUAGE_KEY = 'ui_language';
+const WEEK_START_KEY = 'ui_week_start';
+const GLYPHS_KEY = 'ui_glyphs';
+const TEMPERATURE_UNIT_KEY = 'ui_temperature_unit';
+const PROFILE_KEY = 'ui_profile';
+const SYMPTOM_TAGS_KEY = 'symptom_tags';
+const SYNC_RETRY_MS = 30000;
+const UNDO_LIMIT = 20;
+const TOAST_MS = 8000;
+const SELF_PROFILE = 'self';
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'wheel'];
+const EMPTY_AUTH = { token: null, user: null, refreshToken: null };
+
+function readThemeMode() {
+  const stored = localStorage.getItem(THEME_KEY);
+  return isThemeMode(stored) ? stored : DEFAULT_THEME_MODE;
 }
 
-function readPersistedAuth() {
-  const token = localStorage.getItem(TOKEN_KEY) || cookieGet(TOKEN_KEY);
-  const userRaw = localStorage.getItem(USER_KEY) || cookieGet(USER_KEY);
-
-  let user = null;
-  try {
-    user = userRaw ? JSON.parse(userRaw) : null;
-  } catch {
-    user = null;
-  }
-
-  return { token: token || null, user };
+function readPalette() {
+  const stored = localStorage.getItem(PALETTE_KEY);
+  return isPaletteId(stored) ? stored : DEFAULT_PALETTE;
 }
 
-function persistAuth(token, user) {
-  localStorage.setItem(TOKEN_KEY, token);
-  localStorage.setItem(USER_KEY, JSON.stringify(user));
-  cookieSet(TOKEN_KEY, token);
-  cookieSet(USER_KEY, JSON.stringify(user));
+function readLanguage() {
+  const stored = localStorage.getItem(LANGUAGE_KEY);
+  return isLanguage(stored) ? stored : detectLanguage();
 }
 
-function clearAuthStorage() {
-  localStorage.removeItem(TOKEN_KEY);
-  localStorage.removeItem(USER_KEY);
-  cookieDelete(TOKEN_KEY);
-  cookieDelete(USER_KEY);
+function readTemperatureUnit() {
+  const stored = localStorage.getItem(TEMPERATURE_UNIT_KEY);
+  return isTemperatureUnit(stored) ? stored : DEFAULT_TEMPERATURE_UNIT;
 }
 
-function readTheme() {
-  const stored = localStorage.getItem(THEME_KEY);
-  if (stored === 'light' || stored === 'dark') return stored;
-  return 'dark';
+function readWeekStart() {
+  return localStorage.getItem(WEEK_START_KEY) || 'locale';
 }
 
-function toDateKey(date) {
-  const y = date.getUTCFullYear();
-  const m = String(date.getUTCMonth() + 1).padStart(2, '0');
-  const d = String(date.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+function readProfileId() {
+  return localStorage.getItem(PROFILE_KEY) || null;
 }
 
-function isValidDateKey(value) {
-  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+function normalizeProfile(raw) {
+  const id = raw?._id || raw?.id;
+  if (!id) return null;
+  return { id: String(id), name: String(raw.name || 'Unnamed') };
 }
 
-function normalizeEntry(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-
-  let dateKey = raw.dateKey;
-  if (!isValidDateKey(dateKey) && raw.date) {
-    const parsed = new Date(raw.date);
-    if (!Number.isNaN(parsed.getTime())) {
-      dateKey = toDateKey(parsed);
-    }
+function readSymptomTags() {
+  try {
+    return normalizeSymptoms(JSON.parse(localStorage.getItem(SYMPTOM_TAGS_KEY) || '[]'));
+  } catch {
+    return [];
   }
+}
 
-  if (!isValidDateKey(dateKey) || typeof raw.isSick !== 'boolean') return null;
-
+function yearSelectStyles(colors) {
   return {
-    id: raw.id || raw._id || null,
-    date: raw.date,
-    dateKey,
-    isSick: raw.isSick,
-    severity: raw.isSick ? Number(raw.severity || 1) : null
+    control: (base) => ({
+      ...base,
+      minHeight: 38,
+      borderRadius: 12,
+      borderColor: colors.border,
+      background: colors.background,
+      boxShadow: 'none',
+      cursor: 'pointer'
+    }),
+    singleValue: (base) => ({
+      ...base,
+      color: colors.text,
+      width: '100%',
+      textAlign: 'center',
+      fontWeight: 700
+    }),
+    valueContainer: (base) => ({
+      ...base,
+      justifyContent: 'center'
+    }),
+    indicatorSeparator: () => ({ display: 'none' }),
+    dropdownIndicator: () => ({ display: 'none' }),
+    menu: (base) => ({
+      ...base,
+      borderRadius: 12,
+      overflow: 'hidden',
+      background: colors.menu
+    }),
+    option: (base, state) => ({
+      ...base,
+      cursor: 'pointer',
+      background: state.isFocused ? colors.optionFocus : colors.menu,
+      color: colors.text
+    })
   };
 }
 
-function parseDateFromKey(dateKey) {
-  const [y, m, d] = dateKey.split('-').map(Number);
-  return new Date(Date.UTC(y, m - 1, d));
+function toUtcDay(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
 }
 
-function describeEntry(entry) {
-  if (!entry) return 'No entry';
-  return entry.isSick ? `Sick (${entry.severity}/5)` : 'Healthy';
+function upsertEntry(list, entry) {
+  const next = list.filter((item) => item.dateKey !== entry.dateKey);
+  next.push(entry);
+  next.sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
+  return next;
 }
 
-function AuthPage({ type, onAuthSuccess, theme, onToggleTheme }) {
+// Lays queued offline saves and deletes for `years` over entries loaded from the server.
+function applyPendingEntries(list, pending, years) {
+  return pending
+    .filter((item) => years.includes(Number(item.dateKey.slice(0, 4))))
+    .reduce((result, item) => {
+      if (item.deleted) return result.filter((entry) => entry.dateKey !== item.dateKey);
+      const entry = normalizeEntry(item);
+      return entry ? upsertEntry(result, entry) : result;
+    }, list);
+}
+
+function AuthPage({ type, onAuthSuccess, themeMode, onToggleTheme, language, onLanguageChange, notice }) {
   const navigate = useNavigate();
-  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [form, setForm] = useState({ name: '', email: '', password: '', remember: false });
   const [error, setError] = useState('');
   const [busy, setBusy] = useState(false);
-  const [showPassword, setShowPassword] = useState(false);
 
   const isLogin = type === 'login';
 
   useEffect(() => {
-    setForm({ name: '', email: '', password: '' });
+    setForm({ name: '', email: '', password: '', remember: false });
     setError('');
     setBusy(false);
-    setShowPassword(false);
   }, [type]);
 
   async function onSubmit(event) {
@@ -125,107 +250,130 @@ function AuthPage({ type, onAuthSuccess, theme, onToggleTheme }) {
 
     try {
       const payload = isLogin
-        ? { email: form.email.trim(), password: form.password }
-        : { name: form.name.trim(), email: form.email.trim(), password: form.password };
+        ? { email: form.email.trim(), password: form.password, remember: form.remember }
+        : { name: form.name.trim(), email: form.email.trim(), password: form.password, remember: form.remember };
 
       const response = isLogin ? await login(payload) : await signup(payload);
-      onAuthSuccess(response.token, response.user);
+      onAuthSuccess({ token: response.token, user: response.user, refreshToken: response.refreshToken }, form.remember);
       navigate('/home', { replace: true });
     } catch (err) {
-      setError(err.message || 'Something went wrong');
+      setError(err.message || t('auth.failed'));
     } finally {
       setBusy(false);
     }
   }
 
   return (
-    <div className="auth-page">
-      <div className="auth-card">
-        <div className="auth-top-row">
-          <div className="brand-mark">SicknessTracker</div>
-          <button type="button" className="theme-toggle" onClick={onToggleTheme}>
-            {theme === 'dark' ? 'Light' : 'Dark'}
-          </button>
-        </div>
-        <h1>{isLogin ? 'Welcome Back' : 'Create Account'}</h1>
-        <p>{isLogin ? 'Track your health pattern year-round.' : 'Start building your health timeline.'}</p>
-
-        <form onSubmit={onSubmit} className="auth-form">
-          {!isLogin && (
-            <label>
-              Name
-              <input
-                type="text"
-                value={form.name}
-                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
-                required
-              />
-            </label>
-          )}
-
+    <AuthCard
+      themeMode={themeMode}
+      onToggleTheme={onToggleTheme}
+      language={language}
+      onLanguageChange={onLanguageChange}
+      title={isLogin ? t('auth.loginTitle') : t('auth.signupTitle')}
+      subtitle={isLogin ? t('auth.loginSubtitle') : t('auth.signupSubtitle')}
+    >
+      {notice ? <div className="info-text auth-notice">{t(notice.key, notice.vars)}</div> : null}
+
+      <form onSubmit={onSubmit} className="auth-form">
+        {!isLogin && (
           <label>
-            Email
+            {t('auth.name')}
             <input
-              type="email"
-              value={form.email}
-              onChange={(e) => setForm((prev) => ({ ...prev, email: e.target.value }))}
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
               required
             />
           </label>
-
-          <label>
-            Password
-            <div className="password-input-wrap">
-              <input
-                type={showPassword ? 'text' : 'password'}
-                value={form.password}
-                onChange={(e) => setForm((prev) => ({ ...prev, password: e.target.value }))}
-                required
-                minLength={6}
-              />
-              <button
-                type="button"
-                className="password-toggle-btn"
-                onClick={() => setShowPassword((prev) => !prev)}
-              >
-                {showPassword ? 'Hide' : 'Show'}
-              </button>
-            </div>
+        )}
+
+        <label>
+          {t('auth.email')}
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm((prev) => ({ ...prev, email: e.target.value }))}
+            required
+          />
+        </label>
+
+        <label>
+          {t('auth.password')}
+          <PasswordInput
+            value={form.password}
+            onChange={(password) => setForm((prev) => ({ ...prev, password }))}
+            autoComplete={isLogin ? 'current-password' : 'new-password'}
+          />
+        </label>
+
+        <div className="auth-options">
+          <label className="remember-row">
+            <input
+              type="checkbox"
+              checked={form.remember}
+              onChange={(e) => setForm((prev) => ({ ...prev, remember: e.target.checked }))}
+            />
+            {t('auth.remember')}
           </label>
-
-          {error ? <div className="error-text">{error}</div> : null}
-
-          <button type="submit" className="primary-btn" disabled={busy}>
-            {busy ? 'Please wait...' : isLogin ? 'Login' : 'Create account'}
-          </button>
-        </form>
-
-        <div className="auth-switch">
-          {isLogin ? 'New here?' : 'Already have an account?'}{' '}
-          <button
-            type="button"
-            onClick={() => navigate(isLogin ? '/signup' : '/login')}
-            className="text-btn"
-          >
-            {isLogin ? 'Sign up' : 'Login'}
-          </button>
+          {isLogin ? (
+            <Link to="/forgot-password" className="text-btn">
+              {t('auth.forgot')}
+            </Link>
+          ) : null}
         </div>
+
+        {error ? <div className="error-text">{error}</div> : null}
+
+        <button type="submit" className="primary-btn" disabled={busy}>
+          {busy ? t('auth.wait') : isLogin ? t('auth.login') : t('auth.createAccount')}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        {isLogin ? t('auth.newHere') : t('auth.haveAccount')}{' '}
+        <button
+          type="button"
+          onClick={() => navigate(isLogin ? '/signup' : '/login')}
+          className="text-btn"
+        >
+          {isLogin ? t('auth.signUp') : t('auth.login')}
+        </button>
       </div>
-    </div>
+    </AuthCard>
   );
 }
 
 function DateButton({ value, onClick }) {
   return (
     <button type="button" className="date-button" onClick={onClick}>
-      {value || 'Select date'}
+      {value || t('home.selectDate')}
     </button>
   );
 }
 
-function HomePage({ token, user, onLogout, theme, onToggleTheme }) {
+function HomePage({
+  token,
+  user,
+  onLogout,
+  theme,
+  themeMode,
+  onToggleTheme,
+  palette,
+  glyphs,
+  language,
+  weekStart,
+  profiles,
+  profileId,
+  onSelectProfile,
+  onAddProfile
+}) {
+  const navigate = useNavigate();
+  const { year: yearParam, month: monthParam, day: dayParam } = useParams();
+  const userId = user?.id || user?._id || null;
   const nowYear = new Date().getFullYear();
   const [selectedYear, setSelectedYear] = useState(nowYear);
+  const [viewMode, setViewMode] = useState('year');
+  const [customRange, setCustomRange] = useState(() => rollingRange());
   const [yearsFromApi, setYearsFromApi] = useState([]);
   const [entries, setEntries] = useState([]);
   const [busy, setBusy] = useState(false);
@@ -233,24 +381,108 @@ function HomePage({ token, user, onLogout, theme, onToggleTheme }) {
   const [error, setError] = useState('');
 
   const [formDate, setFormDate] = useState(new Date(Date.UTC(nowYear, new Date().getMonth(), new Date().getDate())));
+  const [entryMode, setEntryMode] = useState('single');
+  const [rangeDates, setRangeDates] = useState([null, null]);
+  const [rangePreview, setRangePreview] = useState(null);
   const [isSick, setIsSick] = useState(false);
   const [severity, setSeverity] = useState(1);
+  const [symptoms, setSymptoms] = useState([]);
+  const [note, setNote] = useState('');
+  const [metricFields, setMetricFields] = useState(() => metricInputs(null));
+  const [heatmapMetric, setHeatmapMetric] = useState('status');
+  const [customSymptoms, setCustomSymptoms] = useState(() => readSymptomTags());
+  const [medications, setMedications] = useState([]);
+  const [doses, setDoses] = useState([]);
+  const [episodeLabels, setEpisodeLabels] = useState([]);
+  const [hoveredEpisode, setHoveredEpisode] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
 
   const [existingEntryNotice, setExistingEntryNotice] = useState(null);
   const [updatePreview, setUpdatePreview] = useState(null);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [undoStack, setUndoStack] = useState([]);
+  const [toast, setToast] = useState('');
+  const [editingKey, setEditingKey] = useState(null);
+  const [compareWith, setCompareWith] = useState(SELF_PROFILE);
+  const [compareEntries, setCompareEntries] = useState([]);
+  const [dismissedGap, setDismissedGap] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [recentEntries, setRecentEntries] = useState(null);
+  const formRef = useRef(null);
+
+  const prefsOwner = reminderOwner(user);
+  const reminderPrefs = useMemo(() => readReminderPrefs(prefsOwner), [prefsOwner]);
+
+  const detail = useMemo(
+    () => parseDetailParams({ year: yearParam, month: monthParam, day: dayParam }, weekStart),
+    [yearParam, monthParam, dayParam, weekStart]
+  );
+
+  const view = useMemo(
+    () =>
+      detail ||
+      resolveView(viewMode, { year: selectedYear, customStart: customRange.start, customEnd: customRange.end }),
+    [detail, viewMode, selectedYear, customRange]
+  );
+  const viewYearsKey = view.years.join(',');
 
   const entryMap = useMemo(() => {
     const map = Object.create(null);
     entries.forEach((entry) => {
       if (!entry || !isValidDateKey(entry.dateKey)) return;
-      if (Number(entry.dateKey.slice(0, 4)) !== selectedYear) return;
+      if (!view.years.includes(Number(entry.dateKey.slice(0, 4)))) return;
       map[entry.dateKey] = entry;
     });
     return map;
-  }, [entries, selectedYear]);
-
-  const healthyCount = useMemo(() => entries.filter((e) => !e.isSick).length, [entries]);
-  const sickCount = useMemo(() => entries.filter((e) => e.isSick).length, [entries]);
+  }, [entries, view]);
+
+  const today = todayKey();
+  const recentYears = useMemo(() => lookbackYears(today), [today]);
+  const recentYearsKey = recentYears.join(',');
+
+  // Reminders and the missed-days banner look at recent days whatever is on
+  // screen: the viewed entries for the years they cover, the separately loaded
+  // `recentEntries` for the rest. Null while either is still loading.
+  const recentDays = useMemo(() => {
+    if (!recentEntries || busy) return null;
+    const inView = (entry) => view.years.includes(Number(entry.dateKey.slice(0, 4)));
+    const isRecent = (entry) => recentYears.includes(Number(entry.dateKey.slice(0, 4)));
+    return [...recentEntries.filter((entry) => !inView(entry)), ...entries.filter(isRecent)];
+  }, [recentEntries, entries, view, recentYears, busy]);
+
+  const loggedToday = recentDays ? recentDays.some((entry) => entry.dateKey === today) : null;
+  const loggedTodayRef = useRef(loggedToday);
+  loggedTodayRef.current = loggedToday;
+
+  const missed = useMemo(() => (recentDays ? missedDays(recentDays, today) : []), [recentDays, today]);
+  const showMissed = missed.length > 0 && dismissedGap !== missed[0] && !detail;
+
+  const visibleEntries = useMemo(
+    () => entries.filter((e) => e.dateKey >= view.start && e.dateKey <= view.end),
+    [entries, view]
+  );
+  const pendingCount = useMemo(() => visibleEntries.filter((e) => e.pending).length, [visibleEntries]);
+  const healthyCount = useMemo(() => visibleEntries.filter((e) => !e.isSick).length, [visibleEntries]);
+  const sickCount = useMemo(() => visibleEntries.filter((e) => e.isSick).length, [visibleEntries]);
+  const episodes = useMemo(() => deriveEpisodes(visibleEntries, episodeLabels), [visibleEntries, episodeLabels]);
+  const showEpisodes = !detail;
+
+  const formDoses = useMemo(() => {
+    const key = toDateKey(formDate);
+    return doses.filter((dose) => dose.dateKey === key).sort((a, b) => a.time.localeCompare(b.time));
+  }, [doses, formDate]);
+
+  const highlightRange = useMemo(() => {
+    if (entryMode !== 'range' || !rangeDates[0]) return null;
+    return { start: toDateKey(rangeDates[0]), end: toDateKey(rangeDates[1] || rangeDates[0]) };
+  }, [entryMode, rangeDates]);
+
+  const symptomOptions = useMemo(() => {
+    const set = new Set([...DEFAULT_SYMPTOMS, ...customSymptoms]);
+    entries.forEach((entry) => entry.symptoms.forEach((tag) => set.add(tag)));
+    symptoms.forEach((tag) => set.add(tag));
+    return [...set];
+  }, [customSymptoms, entries, symptoms]);
 
   const yearOptions = useMemo(() => {
     const set = new Set(yearsFromApi);
@@ -266,40 +498,291 @@ function HomePage({ token, user, onLogout, theme, onToggleTheme }) {
     value: selectedYear,
     label: String(selectedYear)
   };
-  const isDark = theme === 'dark';
+
+  const profileName = (id) =>
+    id ? profiles.find((item) => item.id === id)?.name || t('common.unknown') : t('common.me');
+  const compareOptions = [{ id: null, name: t('common.me') }, ...profiles].filter((item) => item.id !== profileId);
+  const compareFallback = compareOptions[0]?.id || SELF_PROFILE;
+  const compareValid = compareOptions.some((item) => (item.id || SELF_PROFILE) === compareWith);
+
+  useEffect(() => {
+    if (!compareValid) setCompareWith(compareFallback);
+  }, [compareValid, compareFallback]);
+
+  const bothSickDays = useMemo(() => {
+    if (viewMode !== 'compare') return 0;
+    const sickKeys = new Set(entries.filter((entry) => entry.isSick).map((entry) => entry.dateKey));
+    return compareEntries.filter((entry) => entry.isSick && sickKeys.has(entry.dateKey)).length;
+  }, [viewMode, entries, compareEntries]);
+
+  let heatmapTitle =
+    viewMode === 'year' ? t('home.yearlyHeatmap') : t(VIEW_MODES.find((mode) => mode.value === viewMode).labelKey);
+  if (detail?.mode === 'month') heatmapTitle = formatDateKey(detail.start, 'LLLL yyyy');
+  if (detail?.mode === 'week') heatmapTitle = t('home.weekOf', { day: formatDateKey(detail.start) });
+
+  useEffect(() => {
+    const year = Number(yearParam);
+    if (Number.isInteger(year) && year >= 1900 && year <= 2200) setSelectedYear(year);
+  }, [yearParam]);
+
+  useEffect(() => {
+    setEditingKey(null);
+  }, [detail]);
 
   useEffect(() => {
-    fetchYears(token)
+    fetchYears(token, profileId)
       .then((data) => setYearsFromApi(Array.isArray(data.years) ? data.years : []))
       .catch(() => setYearsFromApi([]));
+  }, [token, profileId]);
+
+  useEffect(() => {
+    if (viewMode !== 'compare') return undefined;
+
+    let cancelled = false;
+    const otherId = compareWith === SELF_PROFILE ? null : compareWith;
+    setCompareEntries([]);
+
+    loadYearEntries(selectedYear, token, otherId)
+      .then((list) => {
+        if (!cancelled) setCompareEntries(list);
+      })
+      .catch(() => {
+        if (!cancelled) setCompareEntries([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [viewMode, compareWith, selectedYear, token]);
+
+  useEffect(() => {
+    if (viewMode === 'compare' && profiles.length === 0) setViewMode('year');
+  }, [viewMode, profiles.length]);
+
+  // The 0–5 and s shortcuts drive the main entry form, so they stay off while
+  // a dialog or the day editor of the month and week views is open.
+  const formShortcutsOffRef = useRef(false);
+  formShortcutsOffRef.current = Boolean(
+    editingKey ||
+      existingEntryNotice ||
+      updatePreview ||
+      rangePreview ||
+      importPreview ||
+      syncConflicts.length ||
+      showShortcuts
+  );
+
+  useEffect(() => {
+    function onKeyDown(event) {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      const target = event.target;
+      if (target.closest?.('input, textarea, select, [contenteditable="true"], .year-select__control')) return;
+
+      if (event.key === '?') {
+        event.preventDefault();
+        setShowShortcuts((prev) => !prev);
+        return;
+      }
+      if (event.key === 'Escape') {
+        setShowShortcuts(false);
+        return;
+      }
+      if (formShortcutsOffRef.current || document.querySelector('.modal')) return;
+
+      if (event.key === '0') {
+        setIsSick(false);
+      } else if (/^[1-5]$/.test(event.key)) {
+        setIsSick(true);
+        setSeverity(Number(event.key));
+      } else if (event.key === 's' || event.key === 'S') {
+        formRef.current?.requestSubmit();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    }
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    const years = recentYearsKey.split(',').map(Number);
+    let cancelled = false;
+
+    setRecentEntries(null);
+    Promise.all([
+      Promise.all(years.map((year) => loadYearEntries(year, token, profileId))),
+      readPendingEntries(userId, profileId).catch(() => [])
+    ])
+      .then(([perYear, pending]) => {
+        if (!cancelled) setRecentEntries(applyPendingEntries(perYear.flat(), pending, years));
+      })
+      .catch(() => {
+        // Offline without a cached copy: treat recent days as unlogged so reminders still fire.
+        if (!cancelled) setRecentEntries([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recentYearsKey, token, userId, profileId]);
+
+  useEffect(() => {
+    if (!reminderPrefs.enabled || loggedToday === null) return;
+    syncReminderState({ ...reminderPrefs, loggedDay: loggedToday ? today : null });
+  }, [reminderPrefs, loggedToday, today]);
+
+  useEffect(() => {
+    if (!reminderPrefs.enabled) return undefined;
+
+    let timer = null;
+    function arm() {
+      timer = window.setTimeout(() => {
+        if (loggedTodayRef.current !== true) showReminderNotification();
+        arm();
+      }, msUntilReminder(reminderPrefs.time));
+    }
+
+    arm();
+    return () => window.clearTimeout(timer);
+  }, [reminderPrefs]);
+
+  useEffect(() => {
+    fetchMedications(token)
+      .then((data) =>
+        setMedications(Array.isArray(data.medications) ? data.medications.map(normalizeMedication).filter(Boolean) : [])
+      )
+      .catch(() => setMedications([]));
   }, [token]);
 
   useEffect(() => {
+    const years = viewYearsKey.split(',').map(Number);
+    setDoses([]);
+
+    Promise.all(years.map((year) => fetchDosesByYear(year, token, profileId)))
+      .then((perYear) =>
+        setDoses(
+          perYear.flatMap((data) => (Array.isArray(data.doses) ? data.doses.map(normalizeDose).filter(Boolean) : []))
+        )
+      )
+      .catch(() => setDoses([]));
+  }, [viewYearsKey, token, profileId]);
+
+  useEffect(() => {
+    const years = viewYearsKey.split(',').map(Number);
+    setEpisodeLabels([]);
+    setHoveredEpisode(null);
+
+    Promise.all(years.map((year) => fetchEpisodesByYear(year, token, profileId)))
+      .then((perYear) =>
+        setEpisodeLabels(
+          perYear.flatMap((data) =>
+            Array.isArray(data.episodes) ? data.episodes.map(normalizeEpisodeLabel).filter(Boolean) : []
+          )
+        )
+      )
+      .catch(() => setEpisodeLabels([]));
+  }, [viewYearsKey, token, profileId]);
+
+  useEffect(() => {
+    const years = viewYearsKey.split(',').map(Number);
     setBusy(true);
     setError('');
     setEntries([]);
 
-    fetchEntriesByYear(selectedYear, token)
-      .then((data) => {
-        const normalized = Array.isArray(data.entries)
-          ? data.entries.map(normalizeEntry).filter(Boolean)
-          : [];
-        setEntries(normalized);
-      })
+    Promise.all([
+      Promise.all(years.map((year) => loadYearEntries(year, token, profileId))),
+      readPendingEntries(userId, profileId).catch(() => [])
+    ])
+      .then(([perYear, pending]) => setEntries(applyPendingEntries(perYear.flat(), pending, years)))
       .catch((err) => {
         setEntries([]);
-        setError(err.message || 'Failed to load entries');
+        setError(err.message || t('home.loadFailed'));
       })
       .finally(() => setBusy(false));
-  }, [selectedYear, token]);
+  }, [viewYearsKey, token, userId, profileId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function syncPending() {
+      let result;
+      try {
+        result = await flushPendingSaves(token, userId);
+      } catch {
+        return;
+      }
+      if (cancelled) return;
+
+      const synced = result.synced
+        .filter((entry) => (entry.profileId || null) === profileId)
+        .map(normalizeEntry)
+        .filter(Boolean);
+      if (synced.length) {
+        setEntries((prev) =>
+          synced.reduce(
+            (list, entry) => (list.some((item) => item.dateKey === entry.dateKey) ? upsertEntry(list, entry) : list),
+            prev
+          )
+        );
+      }
+      const removedCount = result.removed.filter((item) => (item.profileId || null) === profileId).length;
+      if (synced.length || removedCount) {
+        setInfo(t('home.synced', { count: synced.length + removedCount }));
+      }
+      if (result.failed.length) {
+        setError(
+          t('home.syncFailed', {
+            days: result.failed.map((item) => formatDateKey(item.dateKey)).join(', '),
+            message: result.failed[0].message
+          })
+        );
+      }
+      setSyncConflicts(result.conflicts);
+    }
+
+    syncPending();
+    window.addEventListener('online', syncPending);
+    const timer = window.setInterval(() => {
+      if (navigator.onLine) syncPending();
+    }, SYNC_RETRY_MS);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', syncPending);
+      window.clearInterval(timer);
+    };
+  }, [token, userId, profileId]);
+
+  useEffect(() => {
+    // Undo entries and open previews refer to the previously selected person.
+    setUndoStack([]);
+    setToast('');
+    setRangePreview(null);
+    setImportPreview(null);
+    setUpdatePreview(null);
+    setExistingEntryNotice(null);
+  }, [profileId]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = window.setTimeout(() => setToast(''), TOAST_MS);
+    return () => window.clearTimeout(timer);
+  }, [toast]);
+
+  function pushUndo(action) {
+    setUndoStack((prev) => [...prev.slice(-(UNDO_LIMIT - 1)), action]);
+    setToast(action.label);
+  }
 
   function onSelectDate(date) {
     if (!date) return;
 
-    const normalized = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const normalized = toUtcDay(date);
     setFormDate(normalized);
 
-    if (normalized.getUTCFullYear() !== selectedYear) {
+    if (!view.years.includes(normalized.getUTCFullYear())) {
       setExistingEntryNotice(null);
       return;
     }
@@ -311,47 +794,106 @@ function HomePage({ token, user, onLogout, theme, onToggleTheme }) {
       setExistingEntryNotice(existing);
       setIsSick(existing.isSick);
       setSeverity(existing.severity || 1);
+      setSymptoms(existing.symptoms);
+      setNote(existing.note);
+      setMetricFields(metricInputs(existing.metrics));
     } else {
       setExistingEntryNotice(null);
+      setSymptoms([]);
+      setNote('');
+      setMetricFields(metricInputs(null));
     }
   }
 
-  async function commitSave(payload) {
+  function onAddSymptomTag(tag) {
+    if (DEFAULT_SYMPTOMS.includes(tag) || customSymptoms.includes(tag)) return;
+    const next = [...customSymptoms, tag];
+    setCustomSymptoms(next);
+    localStorage.setItem(SYMPTOM_TAGS_KEY, JSON.stringify(next));
+  }
+
+  function withProfile(payload) {
+    return profileId ? { ...payload, profileId } : payload;
+  }
+
+  async function commitSave(payload, { recordUndo = true } = {}) {
     setBusy(true);
     setError('');
     setInfo('');
 
     try {
-      const response = await saveEntry(payload, token);
+      const dateKey = toDateKey(new Date(payload.date));
+      const existing = entryMap[dateKey] || null;
+      const response = await saveOrQueueEntry(withProfile(payload), token, userId, existing);
       const saved = normalizeEntry(response.entry);
-      if (!saved) throw new Error('Invalid entry returned by server.');
+      if (!saved) throw new Error(t('home.invalidEntry'));
 
-      setEntries((prev) => {
-        const next = prev.filter((item) => item.dateKey !== saved.dateKey);
-        next.push(saved);
-        next.sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
-        return next;
-      });
+      setEntries((prev) => upsertEntry(prev, saved));
 
-      setYearsFromApi((prev) => (prev.includes(selectedYear) ? prev : [...prev, selectedYear]));
+      const savedYear = Number(saved.dateKey.slice(0, 4));
+      setYearsFromApi((prev) => (prev.includes(savedYear) ? prev : [...prev, savedYear]));
       setUpdatePreview(null);
-      setInfo('Entry saved.');
+      setEditingKey(null);
+      setInfo(response.queued ? t('home.savedOffline') : t('home.saved'));
+
+      if (recordUndo) {
+        const day = formatDateKey(dateKey);
+        pushUndo({
+          changes: [{ dateKey, before: existing }],
+          label: t(existing ? 'home.undoUpdated' : 'home.undoSaved', { day })
+        });
+      }
     } catch (err) {
-      setError(err.message || 'Failed to save entry');
+      setError(err.message || t('home.saveFailed'));
     } finally {
       setBusy(false);
     }
   }
 
-  async function onSubmit(event) {
-    event.preventDefault();
+  async function commitDelete(entry, { recordUndo = true } = {}) {
+    setBusy(true);
+    setError('');
+    setInfo('');
 
-    const dateKey = toDateKey(formDate);
-    const payload = {
-      date: parseDateFromKey(dateKey).toISOString(),
-      isSick,
-      severity: isSick ? Number(severity) : null
-    };
+    try {
+      const response = await removeEntry(entry.dateKey, token, userId, profileId, entryMap[entry.dateKey] || null);
+      setEntries((prev) => prev.filter((item) => item.dateKey !== entry.dateKey));
+      setExistingEntryNotice(null);
+      setUpdatePreview(null);
+      setInfo(response.queued ? t('home.clearedOffline') : t('home.cleared'));
+
+      if (recordUndo) {
+        pushUndo({
+          changes: [{ dateKey: entry.dateKey, before: entry }],
+          label: t('home.undoCleared', { day: formatDateKey(entry.dateKey) })
+        });
+      }
+    } catch (err) {
+      setError(err.message || t('home.deleteFailed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onUndo() {
+    const action = undoStack[undoStack.length - 1];
+    if (!action) return;
+
+    const remaining = undoStack.slice(0, -1);
+    setUndoStack(remaining);
+    setToast(remaining.length ? remaining[remaining.length - 1].label : '');
+
+    for (const change of [...action.changes].reverse()) {
+      if (change.before) {
+        await commitSave(toEntryPayload(change.dateKey, change.before), { recordUndo: false });
+      } else {
+        await commitDelete({ dateKey: change.dateKey }, { recordUndo: false });
+      }
+    }
+  }
+
+  async function requestSave(dateKey, value) {
+    const payload = toEntryPayload(dateKey, value);
 
     const existing = entryMap[dateKey];
     if (existing) {
@@ -362,213 +904,1014 @@ function HomePage({ token, user, onLogout, theme, onToggleTheme }) {
     await commitSave(payload);
   }
 
-  function onHeatmapDayClick(date) {
+  function onSelectRange([start, end]) {
+    setRangeDates([start ? toUtcDay(start) : null, end ? toUtcDay(end) : null]);
+  }
+
+  async function prepareRange() {
+    const [start, end] = rangeDates;
+    if (!start || !end) {
+      setError(t('home.selectRange'));
+      return;
+    }
+
+    const days = daysInRange(toDateKey(start), toDateKey(end));
+    if (days.length > MAX_BATCH_DAYS) {
+      setError(t('home.rangeTooLong', { max: MAX_BATCH_DAYS }));
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    try {
+      const known = { ...entryMap };
+      const missingYears = [...new Set(days.map((dateKey) => Number(dateKey.slice(0, 4))))].filter(
+        (year) => !view.years.includes(year)
+      );
+      for (const year of missingYears) {
+        (await loadYearEntries(year, token, profileId)).forEach((entry) => {
+          known[entry.dateKey] = entry;
+        });
+      }
+
+      const value = { isSick, severity, symptoms, note };
+      setRangePreview({
+        value,
+        done: false,
+        rows: days.map((dateKey) => {
+          const existing = known[dateKey] || null;
+          let status = 'new';
+          // Range saves leave each day's measurements as they are.
+          if (existing) {
+            status = isSameEntryValue(existing, { ...value, metrics: existing.metrics }) ? 'unchanged' : 'overwrite';
+          }
+          return { dateKey, existing, status };
+        })
+      });
+    } catch (err) {
+      setError(err.message || t('home.loadFailed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function commitRange(preview) {
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    const rows = [];
+    const changes = [];
+    for (const row of preview.rows) {
+      if (row.status === 'unchanged' || row.status === 'saved') {
+        rows.push(row);
+        continue;
+      }
+
+      try {
+        const response = await saveOrQueueEntry(
+          withProfile(toEntryPayload(row.dateKey, { ...preview.value, metrics: row.existing?.metrics })),
+          token,
+          userId,
+          row.existing
+        );
+        const saved = normalizeEntry(response.entry);
+        if (!saved) throw new Error(t('home.invalidEntry'));
+
+        if (view.years.includes(Number(saved.dateKey.slice(0, 4)))) {
+          setEntries((prev) => upsertEntry(prev, saved));
+        } else {
+          setRecentEntries((prev) => (prev ? upsertEntry(prev, saved) : prev));
+        }
+        changes.push({ dateKey: row.dateKey, before: row.existing });
+        rows.push({ ...row, status: 'saved' });
+      } catch (err) {
+        rows.push({ ...row, status: 'failed', error: err.message || t('home.saveFailed') });
+      }
+    }
+
+    const savedYears = [...new Set(changes.map((change) => Number(change.dateKey.slice(0, 4))))];
+    setYearsFromApi((prev) => [...new Set([...prev, ...savedYears])]);
+    if (changes.length) {
+      pushUndo({ changes, label: t('home.undoSavedDays', { count: changes.length }) });
+    }
+
+    const failedCount = rows.filter((row) => row.status === 'failed').length;
+    if (failedCount) {
+      setRangePreview({ ...preview, done: true, rows });
+      setError(t('home.failedDays', { count: failedCount }));
+    } else {
+      setRangePreview(null);
+      setInfo(t('home.savedDays', { count: changes.length }));
+    }
+    setBusy(false);
+  }
+
+  function onBackfillHealthy() {
+    const days = missed.slice(-MAX_BATCH_DAYS);
+    commitRange({
+      value: { isSick: false, severity: 1, symptoms: [], note: '' },
+      done: false,
+      rows: days.map((dateKey) => ({ dateKey, existing: null, status: 'new' }))
+    });
+  }
+
+  function onBackfillRange() {
+    const days = missed.slice(-MAX_BATCH_DAYS);
+    setEntryMode('range');
+    setRangeDates([parseDateFromKey(days[0]), parseDateFromKey(days[days.length - 1])]);
+    setDismissedGap(missed[0]);
+  }
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    if (entryMode === 'range') {
+      await prepareRange();
+      return;
+    }
+
+    const { metrics, invalid } = parseMetricInputs(metricFields);
+    if (invalid.length) {
+      setError(t('metrics.invalid', { fields: invalid.map((key) => metricLabel(key)).join(', ') }));
+      return;
+    }
+    await requestSave(toDateKey(formDate), { isSick, severity, symptoms, note, metrics });
+  }
+
+  async function onResolveConflict(conflict, keepLocal) {
+    setSyncConflicts((prev) => prev.filter((item) => item.key !== conflict.key));
+
+    try {
+      const response = await resolvePendingConflict(conflict, keepLocal, token);
+      // The queue holds every profile's days; only the one on screen is updated here.
+      if ((conflict.profileId || null) !== profileId) return;
+      const resolved = normalizeEntry(response.entry);
+      setEntries((prev) =>
+        resolved ? upsertEntry(prev, resolved) : prev.filter((item) => item.dateKey !== conflict.dateKey)
+      );
+    } catch (err) {
+      setError(err.message || t('home.conflictFailed'));
+    }
+  }
+
+  async function onAddDose(form) {
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    try {
+      let medication = medications.find((item) => item.name.toLowerCase() === form.name.toLowerCase());
+      if (!medication) {
+        const created = await saveMedication({ name: form.name, defaultDose: form.dose }, token);
+        medication = normalizeMedication(created.medication) || { id: null, name: form.name, defaultDose: form.dose };
+        setMedications((prev) => [...prev, medication].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+
+      const response = await saveDose(
+        {
+          date: formDate.toISOString(),
+          medicationId: medication.id,
+          name: medication.name,
+          dose: form.dose,
+          time: form.time,
+          helped: form.helped,
+          ...(profileId ? { profileId } : {})
+        },
+        token
+      );
+      const saved = normalizeDose(response.dose);
+      if (!saved) throw new Error(t('home.invalidMedication'));
+
+      if (view.years.includes(Number(saved.dateKey.slice(0, 4)))) {
+        setDoses((prev) => [...prev, saved]);
+      }
+      setInfo(t('home.medicationLogged'));
+      return true;
+    } catch (err) {
+      setError(err.message || t('home.medicationSaveFailed'));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onDeleteDose(dose) {
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    try {
+      await deleteDose(dose.id, token);
+      setDoses((prev) => prev.filter((item) => item !== dose));
+      setInfo(t('home.medicationRemoved'));
+    } catch (err) {
+      setError(err.message || t('home.medicationDeleteFailed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onSaveEpisode(episode, form) {
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    try {
+      const response = await saveEpisode(
+        {
+          ...(episode.labelId ? { id: episode.labelId } : {}),
+          start: episode.start,
+          end: episode.end,
+          name: form.name,
+          diagnosis: form.diagnosis,
+          ...(profileId ? { profileId } : {})
+        },
+        token
+      );
+      const saved = normalizeEpisodeLabel(response.episode);
+      if (!saved) throw new Error(t('episodes.saveFailed'));
+
+      // Drop any older label the saved one now replaces.
+      const overlaps = (label) => label.start <= saved.end && label.end >= saved.start;
+      setEpisodeLabels((prev) => [...prev.filter((label) => label.id !== episode.labelId && !overlaps(label)), saved]);
+      setInfo(t('episodes.saved'));
+      return true;
+    } catch (err) {
+      setError(err.message || t('episodes.saveFailed'));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const exportIsYear = viewMode === 'year' || viewMode === 'compare';
+
+  async function onExport(scope, fileFormat) {
+    setError('');
+    setInfo('');
+
+    try {
+      // "view" exports what the heatmap shows, which is not always one whole
+      // year (range and stacked views).
+      let list = visibleEntries;
+      if (scope === 'all') {
+        const data = await fetchYears(token, profileId);
+        const years = Array.isArray(data.years) ? data.years : [];
+        const perYear = [];
+        for (const year of [...years].sort((a, b) => a - b)) {
+          perYear.push(await loadYearEntries(year, token, profileId));
+        }
+        list = perYear.flat();
+      }
+
+      if (list.length === 0) {
+        setError(t('home.exportEmpty'));
+        return;
+      }
+
+      list = [...list].sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+      const period = scope === 'all' ? 'all' : exportIsYear ? selectedYear : `${view.start}_${view.end}`;
+      const name = `sickness-tracker-${period}.${fileFormat}`;
+      if (fileFormat === 'csv') {
+        downloadFile(name, entriesToCsv(list), 'text/csv;charset=utf-8');
+      } else {
+        downloadFile(name, entriesToJson(list), 'application/json');
+      }
+      setInfo(t('home.exported', { count: list.length }));
+    } catch (err) {
+      setError(err.message || t('home.exportFailed'));
+    }
+  }
+
+  async function onImportFile(file) {
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    try {
+      const { rows, invalid } = parseEntriesFile(await file.text(), file.name);
+      if (!rows.length) {
+        throw new Error(t(invalid.length ? 'home.importNoValid' : 'home.importEmpty', { file: file.name }));
+      }
+
+      const existingByKey = Object.create(null);
+      const years = [...new Set(rows.map((entry) => Number(entry.dateKey.slice(0, 4))))];
+      for (const year of years) {
+        (await loadYearEntries(year, token, profileId)).forEach((entry) => {
+          existingByKey[entry.dateKey] = entry;
+        });
+      }
+
+      setImportPreview({
+        filename: file.name,
+        invalid,
+        rows: rows.map((entry) => {
+          const existing = existingByKey[entry.dateKey] || null;
+          let status = 'new';
+          if (existing) status = isSameEntryValue(existing, entry) ? 'unchanged' : 'conflict';
+          return { entry, existing, status };
+        })
+      });
+    } catch (err) {
+      setError(err.message || t('home.importReadFailed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onConfirmImport(rows) {
+    setBusy(true);
+    setError('');
+    setInfo('');
+
+    const failures = [];
+    let savedCount = 0;
+
+    for (const row of rows) {
+      try {
+        const response = await saveOrQueueEntry(
+          withProfile(toEntryPayload(row.entry.dateKey, row.entry)),
+          token,
+          userId,
+          row.existing
+        );
+        const saved = normalizeEntry(response.entry);
+        if (!saved) throw new Error(t('home.invalidEntry'));
+
+        savedCount += 1;
+        if (view.years.includes(Number(saved.dateKey.slice(0, 4)))) {
+          setEntries((prev) => upsertEntry(prev, saved));
+        } else {
+          setRecentEntries((prev) => (prev ? upsertEntry(prev, saved) : prev));
+        }
+      } catch (err) {
+        failures.push(`${formatDateKey(row.entry.dateKey)}: ${err.message || t('home.saveFailed')}`);
+      }
+    }
+
+    const importedYears = [...new Set(rows.map((row) => Number(row.entry.dateKey.slice(0, 4))))];
+    setYearsFromApi((prev) => [...new Set([...prev, ...importedYears])]);
+    setImportPreview(null);
+    setInfo(t('home.imported', { count: savedCount }));
+    if (failures.length) setError(t('home.importFailed', { count: failures.length, list: failures.join('; ') }));
+    setBusy(false);
+  }
+
+  function onHeatmapDayClick(date, { shiftKey = false } = {}) {
+    if (shiftKey) {
+      const anchor = entryMode === 'range' && rangeDates[0] ? rangeDates[0] : formDate;
+      onHeatmapRangeSelect(anchor, date);
+      return;
+    }
     onSelectDate(date);
   }
 
+  function onHeatmapRangeSelect(start, end) {
+    setEntryMode('range');
+    setExistingEntryNotice(null);
+    setRangeDates(start <= end ? [start, end] : [end, start]);
+  }
+
   return (
     <div className="app-shell">
-      <header className="top-bar">
-        <div className="logo">SicknessTracker</div>
-        <div className="user-box">
-          <button type="button" className="theme-toggle" onClick={onToggleTheme}>
-            {theme === 'dark' ? 'Light' : 'Dark'}
-          </button>
-          <span className="user-name">{user?.name || user?.email || 'User'}</span>
-          <button type="button" className="logout-btn" onClick={onLogout}>
-            Logout
-          </button>
-        </div>
-      </header>
+      <TopBar
+        user={user}
+        themeMode={themeMode}
+        onToggleTheme={onToggleTheme}
+        onLogout={onLogout}
+        profiles={profiles}
+        profileId={profileId}
+        onSelectProfile={onSelectProfile}
+        onAddProfile={onAddProfile}
+      />
 
       <main className="main-layout">
         <section className="entry-card">
-          <h2>Daily Entry</h2>
-          <form className="entry-form" onSubmit={onSubmit}>
-            <label className="field">
-              Date
-              <DatePicker
-                selected={formDate}
-                onChange={onSelectDate}
-                dateFormat="dd/MM/yyyy"
-                customInput={<DateButton />}
-                showMonthDropdown
-                showYearDropdown
-                dropdownMode="select"
-                shouldCloseOnSelect
-                popperPlacement="bottom-start"
-                calendarClassName="tracker-calendar"
-                popperClassName="tracker-calendar-popper"
-              />
-            </label>
-
-            <div className="field">
-              <span>Did you feel sick today?</span>
-              <div className="toggle-row">
+          <h2>{t('home.dailyEntry')}</h2>
+          <div className="entry-columns">
+            <form ref={formRef} className="entry-form" onSubmit={onSubmit}>
+              <div className="toggle-row entry-mode">
                 <button
                   type="button"
-                  className={`toggle-btn ${!isSick ? 'active-yes' : ''}`}
-                  onClick={() => setIsSick(false)}
+                  className={`toggle-btn ${entryMode === 'single' ? 'active-mode' : ''}`}
+                  onClick={() => setEntryMode('single')}
                 >
-                  No
+                  {t('home.singleDay')}
                 </button>
                 <button
                   type="button"
-                  className={`toggle-btn ${isSick ? 'active-no' : ''}`}
-                  onClick={() => setIsSick(true)}
+                  className={`toggle-btn ${entryMode === 'range' ? 'active-mode' : ''}`}
+                  onClick={() => {
+                    setEntryMode('range');
+                    if (!rangeDates[0]) setRangeDates([formDate, null]);
+                  }}
                 >
-                  Yes
+                  {t('home.dateRange')}
                 </button>
               </div>
-            </div>
 
-            <div className={`severity-holder ${isSick ? 'show' : 'hide'}`}>
               <label className="field">
-                How bad was it? (1-5)
-                <div className="severity-chips">
-                  {[1, 2, 3, 4, 5].map((value) => (
-                    <button
-                      key={value}
-                      type="button"
-                      className={`chip ${severity === value ? 'selected' : ''}`}
-                      onClick={() => setSeverity(value)}
-                    >
-                      {value}
-                    </button>
-                  ))}
-                </div>
+                {entryMode === 'range' ? t('home.rangeDates') : t('home.date')}
+                {entryMode === 'range' ? (
+                  <DatePicker
+                    selectsRange
+                    startDate={rangeDates[0]}
+                    endDate={rangeDates[1]}
+                    onChange={onSelectRange}
+                    dateFormat="P"
+                    locale={language}
+                    calendarStartDay={weekStart}
+                    customInput={<DateButton />}
+                    showMonthDropdown
+                    showYearDropdown
+                    dropdownMode="select"
+                    popperPlacement="bottom-start"
+                    calendarClassName="tracker-calendar"
+                    popperClassName="tracker-calendar-popper"
+                  />
+                ) : (
+                  <DatePicker
+                    selected={formDate}
+                    onChange={onSelectDate}
+                    dateFormat="P"
+                    locale={language}
+                    calendarStartDay={weekStart}
+                    customInput={<DateButton />}
+                    showMonthDropdown
+                    showYearDropdown
+                    dropdownMode="select"
+                    shouldCloseOnSelect
+                    popperPlacement="bottom-start"
+                    calendarClassName="tracker-calendar"
+                    popperClassName="tracker-calendar-popper"
+                  />
+                )}
               </label>
-            </div>
 
-            <button type="submit" className="primary-btn full" disabled={busy}>
-              Save Entry
-            </button>
+              <div className="field">
+                <span>{t('home.feltSick')}</span>
+                <div className="toggle-row">
+                  <button
+                    type="button"
+                    className={`toggle-btn ${!isSick ? 'active-yes' : ''}`}
+                    onClick={() => setIsSick(false)}
+                  >
+                    {t('home.no')}
+                  </button>
+                  <button
+                    type="button"
+                    className={`toggle-btn ${isSick ? 'active-no' : ''}`}
+                    onClick={() => setIsSick(true)}
+                  >
+                    {t('home.yes')}
+                  </button>
+                </div>
+              </div>
 
-            {info ? <div className="info-text">{info}</div> : null}
-            {error ? <div className="error-text">{error}</div> : null}
-          </form>
-        </section>
+              <div className={`severity-holder ${isSick ? 'show' : 'hide'}`}>
+                <label className="field">
+                  {t('home.severity')}
+                  <div className="severity-chips">
+                    {[1, 2, 3, 4, 5].map((value) => (
+                      <button
+                        key={value}
+                        type="button"
+                        className={`chip ${severity === value ? 'selected' : ''}`}
+                        onClick={() => setSeverity(value)}
+                      >
+                        {value}
+                      </button>
+                    ))}
+                  </div>
+                </label>
+              </div>
 
-        <section className="heatmap-card">
-          <div className="heatmap-top-row">
-            <h2>Yearly Heatmap</h2>
+              <div className="field">
+                <span>{t('home.symptoms')}</span>
+                <SymptomPicker
+                  options={symptomOptions}
+                  selected={symptoms}
+                  onChange={setSymptoms}
+                  onAddTag={onAddSymptomTag}
+                />
+              </div>
 
-            <div className="mini-stats">
-              <span>Healthy: {healthyCount}</span>
-              <span>Sick: {sickCount}</span>
-            </div>
+              <label className="field">
+                {t('home.notes')}
+                <textarea
+                  value={note}
+                  rows={2}
+                  maxLength={1000}
+                  placeholder={t('home.optional')}
+                  onChange={(e) => setNote(e.target.value)}
+                />
+              </label>
 
-            <div className="year-tools">
-              <button type="button" className="year-nav" onClick={() => setSelectedYear((y) => y - 1)}>
-                ◀
+              {entryMode === 'single' ? (
+                <MetricFields
+                  values={metricFields}
+                  onChange={(key, value) => setMetricFields((prev) => ({ ...prev, [key]: value }))}
+                />
+              ) : (
+                <p className="muted">{t('metrics.rangeHint')}</p>
+              )}
+
+              <button type="submit" className="primary-btn full" disabled={busy}>
+                {entryMode === 'range' ? t('home.previewRange') : t('home.saveEntry')}
               </button>
 
-              <Select
-                value={selectedYearOption}
-                options={yearOptions}
-                onChange={(option) => setSelectedYear(option.value)}
-                isSearchable={false}
-                classNamePrefix="year-select"
-                menuPlacement="auto"
-                styles={{
-                  control: (base) => ({
-                    ...base,
-                    minHeight: 38,
-                    borderRadius: 12,
-                    borderColor: isDark ? '#2d3f61' : '#c5d3ea',
-                    background: isDark ? '#0f172a' : '#ffffff',
-                    boxShadow: 'none',
-                    cursor: 'pointer'
-                  }),
-                  singleValue: (base) => ({
-                    ...base,
-                    color: isDark ? '#e2e8f0' : '#14213a',
-                    width: '100%',
-                    textAlign: 'center',
-                    fontWeight: 700
-                  }),
-                  valueContainer: (base) => ({
-                    ...base,
-                    justifyContent: 'center'
-                  }),
-                  indicatorSeparator: () => ({ display: 'none' }),
-                  dropdownIndicator: () => ({ display: 'none' }),
-                  menu: (base) => ({
-                    ...base,
-                    borderRadius: 12,
-                    overflow: 'hidden',
-                    background: isDark ? '#0b1325' : '#ffffff'
-                  }),
-                  option: (base, state) => ({
-                    ...base,
-                    cursor: 'pointer',
-                    background: state.isFocused ? (isDark ? '#1e293b' : '#e9f1ff') : (isDark ? '#0b1325' : '#ffffff'),
-                    color: isDark ? '#e2e8f0' : '#14213a'
-                  })
-                }}
-              />
+              {info ? <div className="info-text">{info}</div> : null}
+              {error ? <div className="error-text">{error}</div> : null}
+            </form>
+
+            <MedicationLog
+              dayLabel={formatDate(formDate)}
+              doses={formDoses}
+              medications={medications}
+              onAddDose={onAddDose}
+              onDeleteDose={onDeleteDose}
+              busy={busy}
+            />
+          </div>
+        </section>
 
-              <button type="button" className="year-nav" onClick={() => setSelectedYear((y) => y + 1)}>
-                ▶
-              </button>
+        <div className={`heatmap-row ${showEpisodes ? 'has-episodes' : ''}`}>
+          <section className={`heatmap-card ${showMissed ? 'has-banner' : ''}`}>
+            {showMissed ? (
+              <div className="missed-banner" role="status">
+                <div>
+                  <strong>{t('home.missed', { count: missed.length })}</strong>{' '}
+                  <span className="muted">
+                    {missed.length === 1
+                      ? formatDateKey(missed[0])
+                      : `${formatDateKey(missed[0])} – ${formatDateKey(missed[missed.length - 1])}`}
+                  </span>
+                  {missed.length > MAX_BATCH_DAYS ? (
+                    <span className="muted"> {t('home.backfillLimit', { max: MAX_BATCH_DAYS })}</span>
+                  ) : null}
+                </div>
+                <div className="missed-actions">
+                  <button type="button" className="primary-btn" onClick={onBackfillHealthy} disabled={busy}>
+                    {t('home.markHealthy')}
+                  </button>
+                  <button type="button" className="ghost-btn" onClick={onBackfillRange} disabled={busy}>
+                    {t('home.fillRange')}
+                  </button>
+                  <button
+                    type="button"
+                    className="toast-close"
+                    aria-label={t('common.dismiss')}
+                    onClick={() => setDismissedGap(missed[0])}
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+            ) : null}
+
+            <div className="heatmap-top-row">
+              <h2>
+                {heatmapTitle}
+                <button
+                  type="button"
+                  className="icon-btn shortcut-btn"
+                  aria-label={t('home.shortcuts')}
+                  title={t('home.shortcutsTitle')}
+                  onClick={() => setShowShortcuts(true)}
+                >
+                  ?
+                </button>
+              </h2>
+
+              <div className="mini-stats">
+                <span>{t('home.healthyCount', { count: healthyCount })}</span>
+                <span>{t('home.sickCount', { count: sickCount })}</span>
+                {pendingCount ? <span>{t('home.pendingCount', { count: pendingCount })}</span> : null}
+              </div>
+
+              {detail ? (
+                <div className="year-tools">
+                  <button
+                    type="button"
+                    className="year-nav"
+                    aria-label={t('common.previous')}
+                    onClick={() => navigate(detail.prevPath)}
+                  >
+                    ◀
+                  </button>
+                  <button
+                    type="button"
+                    className="year-nav"
+                    aria-label={t('common.next')}
+                    onClick={() => navigate(detail.nextPath)}
+                  >
+                    ▶
+                  </button>
+                  <button
+                    type="button"
+                    className="theme-toggle"
+                    onClick={() => navigate(detail.mode === 'month' ? weekPath(detail.start) : monthPath(detail.start))}
+                  >
+                    {detail.mode === 'month' ? t('home.week') : t('home.month')}
+                  </button>
+                  <button type="button" className="theme-toggle" onClick={() => navigate('/home')}>
+                    {t('home.heatmap')}
+                  </button>
+                </div>
+              ) : (
+                <div className="year-tools">
+                  <select
+                    className="view-select"
+                    value={viewMode}
+                    onChange={(e) => setViewMode(e.target.value)}
+                    aria-label={t('home.viewLabel')}
+                  >
+                    {VIEW_MODES.filter((mode) => mode.value !== 'compare' || profiles.length > 0).map((mode) => (
+                      <option key={mode.value} value={mode.value}>
+                        {t(mode.labelKey)}
+                      </option>
+                    ))}
+                  </select>
+
+                  <select
+                    className="view-select"
+                    value={heatmapMetric}
+                    onChange={(e) => setHeatmapMetric(e.target.value)}
+                    aria-label={t('metrics.colourBy')}
+                  >
+                    {HEATMAP_METRICS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {t(option.labelKey)}
+                      </option>
+                    ))}
+                  </select>
+
+                  {viewMode === 'compare' ? (
+                    <select
+                      className="view-select"
+                      value={compareWith}
+                      onChange={(e) => setCompareWith(e.target.value)}
+                      aria-label={t('home.compareWith')}
+                    >
+                      {compareOptions.map((item) => (
+                        <option key={item.id || SELF_PROFILE} value={item.id || SELF_PROFILE}>
+                          {t('home.versus', { name: item.name })}
+                        </option>
+                      ))}
+                    </select>
+                  ) : null}
+
+                  <button
+                    type="button"
+                    className="theme-toggle"
+                    onClick={() => navigate(monthPath(toDateKey(formDate)))}
+                  >
+                    {t('home.month')}
+                  </button>
+                  <button
+                    type="button"
+                    className="theme-toggle"
+                    onClick={() => navigate(weekPath(toDateKey(formDate)))}
+                  >
+                    {t('home.week')}
+                  </button>
+
+                  {viewMode === 'range' ? (
+                    <div className="range-inputs">
+                      <input
+                        type="date"
+                        value={customRange.start}
+                        aria-label={t('home.rangeStart')}
+                        onChange={(e) =>
+                          e.target.value && setCustomRange((prev) => ({ ...prev, start: e.target.value }))
+                        }
+                      />
+                      <input
+                        type="date"
+                        value={customRange.end}
+                        aria-label={t('home.rangeEnd')}
+                        onChange={(e) =>
+                          e.target.value && setCustomRange((prev) => ({ ...prev, end: e.target.value }))
+                        }
+                      />
+                    </div>
+                  ) : null}
+
+                  {viewMode === 'year' || viewMode === 'stacked' || viewMode === 'compare' ? (
+                    <>
+                      <button type="button" className="year-nav" onClick={() => setSelectedYear((y) => y - 1)}>
+                        ◀
+                      </button>
+
+                      <Select
+                        value={selectedYearOption}
+                        options={yearOptions}
+                        onChange={(option) => setSelectedYear(option.value)}
+                        isSearchable={false}
+                        classNamePrefix="year-select"
+                        menuPlacement="auto"
+                        styles={yearSelectStyles(themeTokens(theme).select)}
+                      />
+
+                      <button type="button" className="year-nav" onClick={() => setSelectedYear((y) => y + 1)}>
+                        ▶
+                      </button>
+                    </>
+                  ) : null}
+
+                  {viewMode === 'year' ? (
+                    <HeatmapExport
+                      year={selectedYear}
+                      title={`${profileName(profileId)} · ${selectedYear}`}
+                      entries={entries}
+                      doses={doses}
+                      theme={theme}
+                      palette={palette}
+                      glyphs={glyphs}
+                      weekStart={weekStart}
+                      metric={heatmapMetric}
+                      disabled={busy}
+                    />
+                  ) : null}
+                  <TransferMenu
+                    onExport={onExport}
+                    onImportFile={onImportFile}
+                    viewIsYear={exportIsYear}
+                    disabled={busy}
+                  />
+                </div>
+              )}
             </div>
-          </div>
 
-          <div className="heatmap-content">
-            {busy ? (
-              <div className="muted">Loading...</div>
-            ) : (
-              <YearHeatmap year={selectedYear} entries={entries} onDayClick={onHeatmapDayClick} theme={theme} />
-            )}
-          </div>
+            <div className="heatmap-content">
+              {busy ? (
+                <div className="muted">{t('common.loading')}</div>
+              ) : detail?.mode === 'month' ? (
+                <div className="detail-view">
+                  <MonthGrid
+                    start={detail.start}
+                    end={detail.end}
+                    entryMap={entryMap}
+                    selectedKey={editingKey}
+                    onSelectDay={(dateKey) => setEditingKey((prev) => (prev === dateKey ? null : dateKey))}
+                    palette={palette}
+                    weekStart={weekStart}
+                  />
+                  {editingKey ? (
+                    <div className="detail-editor">
+                      <h3>{formatDateKey(editingKey, 'EEEE P')}</h3>
+                      <DayEditor
+                        entry={entryMap[editingKey] || null}
+                        symptomOptions={symptomOptions}
+                        busy={busy}
+                        onSave={(value) => requestSave(editingKey, value)}
+                        onClear={entryMap[editingKey] ? () => commitDelete(entryMap[editingKey]) : null}
+                        onCancel={() => setEditingKey(null)}
+                      />
+                    </div>
+                  ) : null}
+                </div>
+              ) : detail?.mode === 'week' ? (
+                <div className="detail-view">
+                  <WeekList
+                    start={detail.start}
+                    end={detail.end}
+                    entryMap={entryMap}
+                    doses={doses}
+                    editingKey={editingKey}
+                    symptomOptions={symptomOptions}
+                    busy={busy}
+                    onEditDay={setEditingKey}
+                    onSaveDay={requestSave}
+                    onClearDay={commitDelete}
+                    palette={palette}
+                  />
+                </div>
+              ) : viewMode === 'compare' ? (
+                <div className="heatmap-stack">
+                  <div className="heatmap-stack-item">
+                    <span className="heatmap-stack-label">{profileName(profileId)}</span>
+                    <YearHeatmap
+                      year={selectedYear}
+                      entries={entries}
+                      doses={doses}
+                      onDayClick={onHeatmapDayClick}
+                      onRangeSelect={onHeatmapRangeSelect}
+                      highlightRange={highlightRange}
+                      outlineRange={hoveredEpisode}
+                      theme={theme}
+                      palette={palette}
+                      glyphs={glyphs}
+                      weekStart={weekStart}
+                      metric={heatmapMetric}
+                    />
+                  </div>
+                  <div className="heatmap-stack-item">
+                    <span className="heatmap-stack-label">
+                      {profileName(compareWith === SELF_PROFILE ? null : compareWith)}
+                    </span>
+                    <YearHeatmap
+                      year={selectedYear}
+                      entries={compareEntries}
+                      theme={theme}
+                      palette={palette}
+                      glyphs={glyphs}
+                      weekStart={weekStart}
+                      metric={heatmapMetric}
+                    />
+                  </div>
+                </div>
+              ) : viewMode === 'stacked' ? (
+                <div className="heatmap-stack">
+                  {[...view.years].reverse().map((year) => (
+                    <div key={year} className="heatmap-stack-item">
+                      <span className="heatmap-stack-label">{year}</span>
+                      <YearHeatmap
+                        year={year}
+                        entries={entries}
+                        doses={doses}
+                        onDayClick={onHeatmapDayClick}
+                        onRangeSelect={onHeatmapRangeSelect}
+                        highlightRange={highlightRange}
+                        outlineRange={hoveredEpisode}
+                        theme={theme}
+                        palette={palette}
+                        glyphs={glyphs}
+                        weekStart={weekStart}
+                        metric={heatmapMetric}
+                      />
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <YearHeatmap
+                  year={selectedYear}
+                  start={view.start}
+                  end={view.end}
+                  entries={entries}
+                  doses={doses}
+                  onDayClick={onHeatmapDayClick}
+                  onRangeSelect={onHeatmapRangeSelect}
+                  highlightRange={highlightRange}
+                  outlineRange={hoveredEpisode}
+                  theme={theme}
+                  palette={palette}
+                  glyphs={glyphs}
+                  weekStart={weekStart}
+                  metric={heatmapMetric}
+                />
+              )}
+            </div>
 
-          <div className="legend">
-            <span><i style={{ background: '#ffffff' }} />No entry</span>
-            <span><i style={{ background: '#2ed272' }} />Healthy</span>
-            <span><i style={{ background: '#f6b1b1' }} />1</span>
-            <span><i style={{ background: '#ef8a8a' }} />2</span>
-            <span><i style={{ background: '#e35d5d' }} />3</span>
-            <span><i style={{ background: '#ce3030' }} />4</span>
-            <span><i style={{ background: '#990f0f' }} />5</span>
-          </div>
-        </section>
+            <HeatmapLegend
+              palette={palette}
+              glyphs={glyphs}
+              labels={detail || heatmapMetric === 'status' ? null : metricScaleLabels(heatmapMetric)}
+            >
+              <span><i className="pending" />{t('legend.pending')}</span>
+              <span><i className="medication" />{t('legend.medication')}</span>
+              {viewMode === 'compare' ? <span>{t('legend.bothSick', { count: bothSickDays })}</span> : null}
+              {viewMode === 'range' && view.start > customRange.start && view.start > customRange.end ? (
+                <span>{t('legend.rangeTrimmed', { years: Math.floor(MAX_RANGE_DAYS / 366) })}</span>
+              ) : null}
+            </HeatmapLegend>
+          </section>
+
+          {showEpisodes ? (
+            <EpisodeList
+              episodes={episodes}
+              busy={busy}
+              onHover={(episode) => setHoveredEpisode(episode ? { start: episode.start, end: episode.end } : null)}
+              onSave={onSaveEpisode}
+            />
+          ) : null}
+        </div>
       </main>
 
       {existingEntryNotice ? (
         <div className="modal" onClick={() => setExistingEntryNotice(null)}>
           <div className="modal-card" onClick={(e) => e.stopPropagation()}>
-            <h3>Entry already exists</h3>
-            <p>{format(parseDateFromKey(existingEntryNotice.dateKey), 'dd/MM/yyyy')}</p>
-            <p>Current value: {describeEntry(existingEntryNotice)}</p>
-            <button type="button" className="primary-btn" onClick={() => setExistingEntryNotice(null)}>
-              Continue editing
+            <h3>{t('modal.exists')}</h3>
+            <p>{formatDateKey(existingEntryNotice.dateKey)}</p>
+            <p>{t('modal.currentValue', { value: describeEntry(existingEntryNotice) })}</p>
+            {describeSymptoms(existingEntryNotice) ? (
+              <p>{t('modal.symptoms', { value: describeSymptoms(existingEntryNotice) })}</p>
+            ) : null}
+            {describeMetrics(existingEntryNotice) ? (
+              <p>{t('metrics.summary', { value: describeMetrics(existingEntryNotice) })}</p>
+            ) : null}
+            {existingEntryNotice.note ? (
+              <p className="note-text">{t('modal.note', { note: existingEntryNotice.note })}</p>
+            ) : null}
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="danger-btn"
+                disabled={busy}
+                onClick={() => commitDelete(existingEntryNotice)}
+              >
+                {t('modal.clearDay')}
+              </button>
+              <button type="button" className="primary-btn" onClick={() => setExistingEntryNotice(null)}>
+                {t('modal.continue')}
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {toast ? (
+        <div className="toast" role="status">
+          <span>{toast}</span>
+          {undoStack.length ? (
+            <button type="button" className="text-btn" disabled={busy} onClick={onUndo}>
+              {t('modal.undo')}
             </button>
+          ) : null}
+          <button type="button" className="toast-close" aria-label={t('common.dismiss')} onClick={() => setToast('')}>
+            ×
+          </button>
+        </div>
+      ) : null}
+
+      {showShortcuts ? <ShortcutHelp onClose={() => setShowShortcuts(false)} /> : null}
+
+      {syncConflicts.length ? (
+        <div className="modal">
+          <div className="modal-card">
+            <h3>{t('modal.conflictTitle')}</h3>
+            <p>{t('modal.person', { name: profileName(syncConflicts[0].profileId || null) })}</p>
+            <p>{t('modal.date', { day: formatDateKey(syncConflicts[0].dateKey) })}</p>
+            <p>{t('modal.serverValue', { value: describeEntry(syncConflicts[0].server) })}</p>
+            <p>{t('modal.offlineValue', { value: describeEntry(syncConflicts[0].payload) })}</p>
+            <div className="modal-actions">
+              <button type="button" className="ghost-btn" onClick={() => onResolveConflict(syncConflicts[0], false)}>
+                {t('modal.keepServer')}
+              </button>
+              <button type="button" className="primary-btn" onClick={() => onResolveConflict(syncConflicts[0], true)}>
+                {t('modal.keepOffline')}
+              </button>
+            </div>
           </div>
         </div>
       ) : null}
 
+      {rangePreview ? (
+        <RangePreview
+          preview={rangePreview}
+          busy={busy}
+          onCancel={() => setRangePreview(null)}
+          onConfirm={() => commitRange(rangePreview)}
+        />
+      ) : null}
+
+      {importPreview ? (
+        <ImportPreview
+          preview={importPreview}
+          busy={busy}
+          onCancel={() => setImportPreview(null)}
+          onConfirm={onConfirmImport}
+        />
+      ) : null}
+
       {updatePreview ? (
         <div className="modal" onClick={() => setUpdatePreview(null)}>
           <div className="modal-card" onClick={(e) => e.stopPropagation()}>
-            <h3>Update this entry?</h3>
-            <p>Date: {format(parseDateFromKey(updatePreview.dateKey), 'dd/MM/yyyy')}</p>
-            <p>Current value: {describeEntry(updatePreview.existing)}</p>
-            <p>
-              New value:{' '}
-              {updatePreview.next.isSick
-                ? `Sick (${updatePreview.next.severity}/5)`
-                : 'Healthy'}
-            </p>
+            <h3>{t('modal.updateTitle')}</h3>
+            <p>{t('modal.date', { day: formatDateKey(updatePreview.dateKey) })}</p>
+            <p>{t('modal.currentValue', { value: describeEntry(updatePreview.existing) })}</p>
+            <p>{t('modal.newValue', { value: describeEntry(updatePreview.next) })}</p>
+            {describeSymptoms(updatePreview.existing) !== describeSymptoms(updatePreview.next) ? (
+              <p>
+                {t('modal.symptomsChange', {
+                  from: describeSymptoms(updatePreview.existing) || t('common.none'),
+                  to: describeSymptoms(updatePreview.next) || t('common.none')
+                })}
+              </p>
+            ) : null}
+            {describeMetrics(updatePreview.existing) !== describeMetrics(updatePreview.next) ? (
+              <p>
+                {t('metrics.change', {
+                  from: describeMetrics(updatePreview.existing) || t('common.none'),
+                  to: describeMetrics(updatePreview.next) || t('common.none')
+                })}
+              </p>
+            ) : null}
+            {updatePreview.existing.note !== updatePreview.next.note ? (
+              <p className="note-text">{t('modal.note', { note: updatePreview.next.note || t('modal.removed') })}</p>
+            ) : null}
             <div className="modal-actions">
               <button type="button" className="ghost-btn" onClick={() => setUpdatePreview(null)}>
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
                 type="button"
                 className="primary-btn"
                 onClick={() => commitSave(updatePreview.next)}
               >
-                Update Entry
+                {t('modal.update')}
               </button>
             </div>
           </div>
@@ -590,13 +1933,77 @@ function PublicOnlyRoute({ token, children }) {
 
 export default function App() {
   const location = useLocation();
-  const [auth, setAuth] = useState(() => readPersistedAuth());
-  const [theme, setTheme] = useState(() => readTheme());
+  const [auth, setAuth] = useState(() => readStoredSession());
+  const [restoring, setRestoring] = useState(() => hasRestorableSession());
+  // A catalog key and its variables, so the notice follows the chosen language.
+  const [authNotice, setAuthNotice] = useState(null);
+  const authRef = useRef(auth);
+  const logoutRef = useRef(null);
+  authRef.current = auth;
+  logoutRef.current = onLogout;
+  const [themeMode, setThemeMode] = useState(() => readThemeMode());
+  const [prefersDark, setPrefersDark] = useState(() => systemPrefersDark());
+  const theme = resolveTheme(themeMode, prefersDark);
+  const [palette, setPalette] = useState(() => readPalette());
+  const [glyphs, setGlyphs] = useState(() => localStorage.getItem(GLYPHS_KEY) === '1');
+  const [language, setLanguageChoice] = useState(() => readLanguage());
+  const [weekStartSetting, setWeekStartSetting] = useState(() => readWeekStart());
+  const weekStart = resolveWeekStart(weekStartSetting, language);
+  const [temperatureUnit, setTemperatureUnitChoice] = useState(() => readTemperatureUnit());
+  // Switch the catalog and unit before any child renders so the whole tree uses them.
+  setLanguage(language);
+  setTemperatureUnit(temperatureUnit);
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState(() => readProfileId());
+
+  useEffect(() => watchSystemTheme(setPrefersDark), []);
+
+  // Before paint, so the first frame already has the theme's colours.
+  useLayoutEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
 
   useEffect(() => {
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem(THEME_KEY, theme);
-  }, [theme]);
+    localStorage.setItem(THEME_KEY, themeMode);
+  }, [themeMode]);
+
+  useEffect(() => {
+    document.documentElement.setAttribute('lang', language);
+    localStorage.setItem(LANGUAGE_KEY, language);
+  }, [language]);
+
+  useEffect(() => {
+    localStorage.setItem(WEEK_START_KEY, weekStartSetting);
+  }, [weekStartSetting]);
+
+  useEffect(() => {
+    localStorage.setItem(TEMPERATURE_UNIT_KEY, temperatureUnit);
+  }, [temperatureUnit]);
+
+  useEffect(() => {
+    localStorage.setItem(PALETTE_KEY, palette);
+    localStorage.setItem(GLYPHS_KEY, glyphs ? '1' : '0');
+  }, [palette, glyphs]);
+
+  useEffect(() => {
+    if (profileId) localStorage.setItem(PROFILE_KEY, profileId);
+    else localStorage.removeItem(PROFILE_KEY);
+  }, [profileId]);
+
+  useEffect(() => {
+    if (!auth.token) {
+      setProfiles([]);
+      return;
+    }
+
+    fetchProfiles(auth.token)
+      .then((data) => {
+        const list = (data?.profiles || []).map(normalizeProfile).filter(Boolean);
+        setProfiles(list);
+        setProfileId((prev) => (prev && list.some((item) => item.id === prev) ? prev : null));
+      })
+      .catch(() => setProfiles([]));
+  }, [auth.token]);
 
   useEffect(() => {
     if (!auth.token) return;
@@ -604,63 +2011,295 @@ export default function App() {
     getMe(auth.token)
       .then((data) => {
         if (data?.user) {
-          persistAuth(auth.token, data.user);
+          storeSession({ ...authRef.current, user: data.user });
           setAuth((prev) => ({ ...prev, user: data.user }));
         }
       })
-      .catch(() => {
-        clearAuthStorage();
-        setAuth({ token: null, user: null });
+      .catch((err) => {
+        // Keep the session while offline; 401s are already handled by the API client.
+        if (isNetworkError(err) || err.status === 401) return;
+        logoutRef.current();
       });
   }, [auth.token]);
 
+  useEffect(() => {
+    configureSession({
+      getToken: () => authRef.current.token,
+      getRefreshToken: () => authRef.current.refreshToken,
+      onRefreshed: (data) => {
+        const current = authRef.current;
+        const next = {
+          token: data.token,
+          user: data.user || current.user,
+          refreshToken: data.refreshToken || current.refreshToken
+        };
+        storeSession(next);
+        authRef.current = next;
+        setAuth(next);
+      },
+      onExpired: () => {
+        if (!authRef.current.token) return;
+        logoutRef.current();
+        setAuthNotice({ key: 'auth.sessionExpired' });
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!restoring) return;
+
+    // Cookie sessions keep nothing readable in the page; trade the HttpOnly
+    // refresh cookie for a fresh in-memory access token.
+    refreshSession()
+      .then((token) => {
+        if (!token) clearStoredSession();
+      })
+      .finally(() => setRestoring(false));
+  }, [restoring]);
+
+  useEffect(() => {
+    if (!auth.token || !IDLE_TIMEOUT_MS) return undefined;
+
+    let timer = null;
+    function arm() {
+      window.clearTimeout(timer);
+      timer = window.setTimeout(() => {
+        logoutRef.current();
+        setAuthNotice({ key: 'auth.idleLogout', vars: { count: Math.round(IDLE_TIMEOUT_MS / 60000) } });
+      }, IDLE_TIMEOUT_MS);
+    }
+
+    arm();
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, arm, { passive: true }));
+    return () => {
+      window.clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, arm));
+    };
+  }, [auth.token]);
+
   useEffect(() => {
     if (!auth.token && location.pathname === '/') {
       window.history.replaceState({}, '', '/login');
     }
   }, [auth.token, location.pathname]);
 
-  function onAuthSuccess(token, user) {
-    persistAuth(token, user);
-    setAuth({ token, user });
+  function onAuthSuccess(session, remember) {
+    const next = { token: session.token, user: session.user, refreshToken: session.refreshToken || null };
+    storeSession(next, remember);
+    setAuth(next);
+    setAuthNotice(null);
   }
 
   function onLogout() {
-    clearAuthStorage();
-    setAuth({ token: null, user: null });
+    if (authRef.current.token) logout(authRef.current.refreshToken).catch(() => {});
+    clearStoredSession();
+    clearApiCache().catch(() => {});
+    authRef.current = EMPTY_AUTH;
+    setAuth(EMPTY_AUTH);
+    setProfileId(null);
+  }
+
+  function onUserUpdated(user) {
+    storeSession({ ...auth, user });
+    setAuth((prev) => ({ ...prev, user }));
+  }
+
+  async function onAccountDeleted() {
+    await clearPendingSaves().catch(() => {});
+    localStorage.removeItem(SYMPTOM_TAGS_KEY);
+    onLogout();
+  }
+
+  async function onAddProfile(name) {
+    const data = await createProfile({ name }, auth.token);
+    const profile = normalizeProfile(data?.profile);
+    if (!profile) throw new Error(t('profiles.createFailed'));
+    setProfiles((prev) => [...prev, profile]);
+    setProfileId(profile.id);
   }
 
   function onToggleTheme() {
-    setTheme((prev) => (prev === 'dark' ? 'light' : 'dark'));
+    setThemeMode((prev) => nextThemeMode(prev));
+  }
+
+  if (restoring) {
+    return (
+      <div className="auth-page">
+        <div className="muted">{t('auth.restoring')}</div>
+      </div>
+    );
   }
 
   return (
-    <Routes>
-      <Route
-        path="/login"
-        element={
-          <PublicOnlyRoute token={auth.token}>
-            <AuthPage type="login" onAuthSuccess={onAuthSuccess} theme={theme} onToggleTheme={onToggleTheme} />
-          </PublicOnlyRoute>
-        }
-      />
-      <Route
-        path="/signup"
-        element={
-          <PublicOnlyRoute token={auth.token}>
-            <AuthPage type="signup" onAuthSuccess={onAuthSuccess} theme={theme} onToggleTheme={onToggleTheme} />
-          </PublicOnlyRoute>
-        }
-      />
-      <Route
-        path="/home"
-        element={
-          <ProtectedRoute token={auth.token}>
-            <HomePage token={auth.token} user={auth.user} onLogout={onLogout} theme={theme} onToggleTheme={onToggleTheme} />
-          </ProtectedRoute>
-        }
-      />
-      <Route path="*" element={<Navigate to={auth.token ? '/home' : '/login'} replace />} />
-    </Routes>
+    <>
+      <UpdatePrompt />
+      <Routes>
+        <Route
+          path="/login"
+          element={
+            <PublicOnlyRoute token={auth.token}>
+              <AuthPage
+                type="login"
+                onAuthSuccess={onAuthSuccess}
+                themeMode={themeMode}
+                onToggleTheme={onToggleTheme}
+                language={language}
+                onLanguageChange={setLanguageChoice}
+                notice={authNotice}
+              />
+            </PublicOnlyRoute>
+          }
+        />
+        <Route
+          path="/signup"
+          element={
+            <PublicOnlyRoute token={auth.token}>
+              <AuthPage
+                type="signup"
+                onAuthSuccess={onAuthSuccess}
+                themeMode={themeMode}
+                onToggleTheme={onToggleTheme}
+                language={language}
+                onLanguageChange={setLanguageChoice}
+              />
+            </PublicOnlyRoute>
+          }
+        />
+        <Route
+          path="/forgot-password"
+          element={
+            <PublicOnlyRoute token={auth.token}>
+              <ForgotPasswordPage themeMode={themeMode} onToggleTheme={onToggleTheme} />
+            </PublicOnlyRoute>
+          }
+        />
+        <Route
+          path="/reset-password/:token"
+          element={
+            <PublicOnlyRoute token={auth.token}>
+              <ResetPasswordPage themeMode={themeMode} onToggleTheme={onToggleTheme} />
+            </PublicOnlyRoute>
+          }
+        />
+        <Route
+          path="/verify-email/:token"
+          element={
+            <PublicOnlyRoute token={auth.token}>
+              <VerifyEmailPage themeMode={themeMode} onToggleTheme={onToggleTheme} />
+            </PublicOnlyRoute>
+          }
+        />
+        <Route
+          path="/home/:year?/:month?/:day?"
+          element={
+            <ProtectedRoute token={auth.token}>
+              <HomePage
+                token={auth.token}
+                user={auth.user}
+                onLogout={onLogout}
+                theme={theme}
+                themeMode={themeMode}
+                onToggleTheme={onToggleTheme}
+                palette={palette}
+                glyphs={glyphs}
+                language={language}
+                weekStart={weekStart}
+                profiles={profiles}
+                profileId={profileId}
+                onSelectProfile={setProfileId}
+                onAddProfile={onAddProfile}
+              />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/stats"
+          element={
+            <ProtectedRoute token={auth.token}>
+              <StatsPage
+                token={auth.token}
+                user={auth.user}
+                onLogout={onLogout}
+                theme={theme}
+                themeMode={themeMode}
+                onToggleTheme={onToggleTheme}
+                palette={palette}
+                glyphs={glyphs}
+                weekStart={weekStart}
+                profiles={profiles}
+                profileId={profileId}
+                onSelectProfile={setProfileId}
+                onAddProfile={onAddProfile}
+              />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/report"
+          element={
+            <ProtectedRoute token={auth.token}>
+              <ReportPage
+                token={auth.token}
+                user={auth.user}
+                onLogout={onLogout}
+                themeMode={themeMode}
+                onToggleTheme={onToggleTheme}
+                palette={palette}
+                glyphs={glyphs}
+                weekStart={weekStart}
+                profiles={profiles}
+                profileId={profileId}
+                onSelectProfile={setProfileId}
+                onAddProfile={onAddProfile}
+              />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/settings"
+          element={
+            <ProtectedRoute token={auth.token}>
+              <SettingsPage
+                token={auth.token}
+                user={auth.user}
+                onLogout={onLogout}
+                themeMode={themeMode}
+                onToggleTheme={onToggleTheme}
+                palette={palette}
+                glyphs={glyphs}
+                profiles={profiles}
+                profileId={profileId}
+                onSelectProfile={setProfileId}
+                onAddProfile={onAddProfile}
+                onPaletteChange={setPalette}
+                onGlyphsChange={setGlyphs}
+                language={language}
+                onLanguageChange={setLanguageChoice}
+                weekStartSetting={weekStartSetting}
+                onWeekStartChange={setWeekStartSetting}
+                temperatureUnit={temperatureUnit}
+                onTemperatureUnitChange={setTemperatureUnitChoice}
+                onUserUpdated={onUserUpdated}
+                onAccountDeleted={onAccountDeleted}
+              />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/shared/:shareId"
+          element={
+            <SharedPage
+              theme={theme}
+              themeMode={themeMode}
+              onToggleTheme={onToggleTheme}
+              palette={palette}
+              glyphs={glyphs}
+              weekStart={weekStart}
+            />
+          }
+        />
+        <Route path="*" element={<Navigate to={auth.token ? '/home' : '/login'} replace />} />
+      </Routes>
+    </>
   );
 }
@@ -0,0 +1,54 @@
+import { fetchYears, loadYearEntries } from './entries';
+import { fetchEpisodesByYear } from './episodes';
+import { fetchDosesByYear, fetchMedications } from './medications';
+import { fetchProfiles } from './profiles';
+
+async function collectPerson(token, profileId) {
+  const data = await fetchYears(token, profileId);
+  const years = (Array.isArray(data.years) ? data.years : []).sort((a, b) => a - b);
+  const entries = [];
+  const doses = [];
+  const episodes = [];
+
+  for (const year of years) {
+    entries.push(...(await loadYearEntries(year, token, profileId)));
+    const doseData = await fetchDosesByYear(year, token, profileId);
+    if (Array.isArray(doseData.doses)) doses.push(...doseData.doses);
+    const episodeData = await fetchEpisodesByYear(year, token, profileId);
+    if (Array.isArray(episodeData.episodes)) episodes.push(...episodeData.episodes);
+  }
+
+  return {
+    entries: entries.map(({ dateKey, isSick, severity, symptoms, note, metrics }) => ({
+      date: dateKey,
+      isSick,
+      severity,
+      symptoms,
+      note,
+      metrics
+    })),
+    doses,
+    episodes
+  };
+}
+
+// Gathers everything the account holds into one JSON-serialisable object:
+// the user record, medications and, per person, all entries, doses and
+// episode labels.
+export async function collectAccountData(token, user) {
+  const [profileData, medicationData] = await Promise.all([fetchProfiles(token), fetchMedications(token)]);
+  const profiles = Array.isArray(profileData.profiles) ? profileData.profiles : [];
+
+  const people = [{ profileId: null, name: user?.name || 'Me', ...(await collectPerson(token, null)) }];
+  for (const profile of profiles) {
+    const id = profile._id || profile.id;
+    people.push({ profileId: id, name: profile.name, ...(await collectPerson(token, id)) });
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: user ? { name: user.name, email: user.email } : null,
+    medications: Array.isArray(medicationData.medications) ? medicationData.medications : [],
+    people
+  };
+}
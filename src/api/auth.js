@@ -1,37 +1,83 @@
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
+import { apiRequest } from './client';
 
-async function handleResponse(response, fallbackMessage) {
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.message || fallbackMessage);
-  }
-  return response.json();
+export async function signup(payload) {
+  return apiRequest('/auth/signup', { method: 'POST', body: payload, fallbackMessage: 'Failed to sign up' });
 }
 
-export async function signup(payload) {
-  const response = await fetch(`${API_URL}/auth/signup`, {
+export async function login(payload) {
+  return apiRequest('/auth/login', { method: 'POST', body: payload, fallbackMessage: 'Failed to login' });
+}
+
+export async function getMe(token) {
+  return apiRequest('/auth/me', { token, fallbackMessage: 'Failed to validate session' });
+}
+
+export async function requestPasswordReset(email) {
+  return apiRequest('/auth/forgot-password', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+    body: { email },
+    fallbackMessage: 'Failed to send reset email'
   });
+}
 
-  return handleResponse(response, 'Failed to sign up');
+export async function resetPassword(resetToken, password) {
+  return apiRequest('/auth/reset-password', {
+    method: 'POST',
+    body: { token: resetToken, password },
+    fallbackMessage: 'Failed to reset password'
+  });
 }
 
-export async function login(payload) {
-  const response = await fetch(`${API_URL}/auth/login`, {
+export async function verifyEmail(verifyToken) {
+  return apiRequest('/auth/verify-email', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+    body: { token: verifyToken },
+    fallbackMessage: 'Failed to verify email'
   });
+}
 
-  return handleResponse(response, 'Failed to login');
+export async function resendVerification(email) {
+  return apiRequest('/auth/verify-email/resend', {
+    method: 'POST',
+    body: { email },
+    fallbackMessage: 'Failed to send verification email'
+  });
 }
 
-export async function getMe(token) {
-  const response = await fetch(`${API_URL}/auth/me`, {
-    headers: { Authorization: `Bearer ${token}` }
+// Reset and verification links are single-use and time-limited; the API
+// answers 400/410 once they are spent or stale.
+export function isExpiredLinkError(err) {
+  return err?.status === 400 || err?.status === 410;
+}
+
+export async function updateMe(payload, token) {
+  return apiRequest('/auth/me', { method: 'PATCH', token, body: payload, fallbackMessage: 'Failed to update profile' });
+}
+
+export async function changePassword(currentPassword, newPassword, token) {
+  return apiRequest('/auth/change-password', {
+    method: 'POST',
+    token,
+    body: { currentPassword, newPassword },
+    fallbackMessage: 'Failed to change password'
   });
+}
+
+export async function deleteAccount(password, token) {
+  return apiRequest('/auth/me', {
+    method: 'DELETE',
+    token,
+    body: { password },
+    fallbackMessage: 'Failed to delete account'
+  });
+}
 
-  return handleResponse(response, 'Failed to validate session');
+// Asks the API to revoke the refresh token and clear its session cookie. Sent
+// without the access token so an expired one cannot trigger a refresh.
+export async function logout(refreshToken) {
+  return apiRequest('/auth/logout', {
+    method: 'POST',
+    body: refreshToken ? { refreshToken } : {},
+    fallbackMessage: 'Failed to log out'
+  });
 }
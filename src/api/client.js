@@ -0,0 +1,108 @@
+import { t } from '../i18n';
+import { SESSION_MODE } from './sessionStore';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
+
+// App.js wires these up so the client can read the current session and report
+// changes without importing any React state.
+const session = {
+  getToken: () => null,
+  getRefreshToken: () => null,
+  onRefreshed: () => {},
+  onExpired: () => {}
+};
+
+let refreshInFlight = null;
+
+export function configureSession(handlers) {
+  Object.assign(session, handlers);
+}
+
+// Entries, doses and episodes without a profile belong to the account holder.
+export function profileQuery(profileId) {
+  return profileId ? `?profileId=${encodeURIComponent(profileId)}` : '';
+}
+
+function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function buildError(status, body, fallbackMessage) {
+  const error = new Error(body?.message || fallbackMessage);
+  error.status = status;
+  return error;
+}
+
+// In cookie mode the browser attaches the HttpOnly session cookie itself.
+const credentials = SESSION_MODE === 'cookie' ? 'include' : 'same-origin';
+
+// Concurrent 401s share one refresh exchange so a rotating refresh token is
+// only spent once. Also used on page load to restore a cookie session.
+export function refreshSession() {
+  if (refreshInFlight) return refreshInFlight;
+
+  const refreshToken = session.getRefreshToken();
+  if (SESSION_MODE !== 'cookie' && !refreshToken) return Promise.resolve(null);
+
+  refreshInFlight = fetch(`${API_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials,
+    body: JSON.stringify(SESSION_MODE === 'cookie' ? {} : { refreshToken })
+  })
+    .then(async (response) => {
+      if (!response.ok) return null;
+      const data = await response.json().catch(() => ({}));
+      if (!data.token) return null;
+      session.onRefreshed(data);
+      return data.token;
+    })
+    .catch(() => null)
+    .finally(() => {
+      refreshInFlight = null;
+    });
+
+  return refreshInFlight;
+}
+
+// `fresh` requests skip the HTTP cache; the service worker also leaves
+// `no-store` requests alone, so they always reach the server.
+async function send(path, { method, token, body, fresh }) {
+  const headers = { ...authHeaders(token) };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  return fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    credentials,
+    cache: fresh ? 'no-store' : 'default',
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+// Sends a JSON request and returns the parsed response body. Authenticated
+// requests that come back 401 get one retry: with the newer token if another
+// request already refreshed it, otherwise after a refresh-token exchange. If
+// neither works the session is ended through `onExpired`.
+export async function apiRequest(
+  path,
+  { method = 'GET', token = null, body, fresh = false, fallbackMessage = 'Request failed' } = {}
+) {
+  let response = await send(path, { method, token, body, fresh });
+
+  if (response.status === 401 && token) {
+    const current = session.getToken();
+    const nextToken = current && current !== token ? current : await refreshSession();
+
+    if (nextToken) response = await send(path, { method, token: nextToken, body, fresh });
+
+    if (response.status === 401) {
+      session.onExpired();
+      throw buildError(401, { message: t('auth.sessionExpired') }, fallbackMessage);
+    }
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw buildError(response.status, data, fallbackMessage);
+  return data;
+}
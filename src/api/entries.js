@@ -1,41 +1,32 @@
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
+import { normalizeEntry } from '../utils/entryModel';
+import { apiRequest, profileQuery } from './client';
 
-function authHeaders(token) {
-  return token ? { Authorization: `Bearer ${token}` } : {};
+export async function fetchYears(token, profileId = null) {
+  return apiRequest(`/entries/years${profileQuery(profileId)}`, { token, fallbackMessage: 'Failed to fetch years' });
 }
 
-export async function fetchYears(token) {
-  const response = await fetch(`${API_URL}/entries/years`, {
-    headers: { ...authHeaders(token) }
+// Pass `fresh` to read past any cached copy, e.g. when checking for conflicts.
+export async function fetchEntriesByYear(year, token, profileId = null, { fresh = false } = {}) {
+  return apiRequest(`/entries/year/${year}${profileQuery(profileId)}`, {
+    token,
+    fresh,
+    fallbackMessage: 'Failed to fetch entries'
   });
-
-  if (!response.ok) throw new Error('Failed to fetch years');
-  return response.json();
 }
 
-export async function fetchEntriesByYear(year, token) {
-  const response = await fetch(`${API_URL}/entries/year/${year}`, {
-    headers: { ...authHeaders(token) }
-  });
-
-  if (!response.ok) throw new Error('Failed to fetch entries');
-  return response.json();
+export async function loadYearEntries(year, token, profileId = null) {
+  const data = await fetchEntriesByYear(year, token, profileId);
+  return Array.isArray(data.entries) ? data.entries.map(normalizeEntry).filter(Boolean) : [];
 }
 
 export async function saveEntry(payload, token) {
-  const response = await fetch(`${API_URL}/entries`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...authHeaders(token)
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.message || 'Failed to save entry');
-  }
+  return apiRequest('/entries', { method: 'POST', token, body: payload, fallbackMessage: 'Failed to save entry' });
+}
 
-  return response.json();
+export async function deleteEntry(dateKey, token, profileId = null) {
+  return apiRequest(`/entries/${dateKey}${profileQuery(profileId)}`, {
+    method: 'DELETE',
+    token,
+    fallbackMessage: 'Failed to delete entry'
+  });
 }
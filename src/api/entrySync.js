@@ -0,0 +1,218 @@
+import { deleteEntry, fetchEntriesByYear, saveEntry } from './entries';
+import { deletePendingSave, pendingKey, readPendingSaves, writePendingSave } from './offlineStore';
+import { entryValue, isSameEntryValue, normalizeEntry, toDateKey } from '../utils/entryModel';
+
+// Everything the sync layer touches from the outside world. Pass a replacement
+// object (e.g. a mock of the /entries endpoints and an in-memory queue) to
+// exercise the queue without a server or IndexedDB.
+const defaultDeps = {
+  save: saveEntry,
+  remove: deleteEntry,
+  // Conflict checks must see other devices' edits, never the service worker's cached year.
+  fetchYear: (year, token, profileId) => fetchEntriesByYear(year, token, profileId, { fresh: true }),
+  readPending: readPendingSaves,
+  writePending: writePendingSave,
+  deletePending: deletePendingSave
+};
+
+export function isNetworkError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  // fetch rejects with a TypeError when the request never reaches the server.
+  return err instanceof TypeError;
+}
+
+function pendingEntry(item) {
+  return { ...item.payload, dateKey: item.dateKey, pending: true };
+}
+
+function sameProfile(a, b) {
+  return (a || null) === (b || null);
+}
+
+// Queued deletes come back as `{ dateKey, deleted: true }` so callers can hide
+// the server's copy of the day until the delete has synced.
+export async function readPendingEntries(userId, profileId = null, deps = defaultDeps) {
+  if (!userId) return [];
+  const items = await deps.readPending();
+  return items
+    .filter((item) => item.userId === userId && sameProfile(item.profileId, profileId))
+    .map((item) => (item.deleted ? { dateKey: item.dateKey, deleted: true } : pendingEntry(item)));
+}
+
+// Without a known account there is no safe owner for a queued save, so the
+// network error is passed on instead.
+export async function saveOrQueueEntry(payload, token, userId, base = null, deps = defaultDeps) {
+  const dateKey = toDateKey(new Date(payload.date));
+  const profileId = payload.profileId || null;
+  const key = pendingKey(userId, profileId, dateKey);
+
+  let response = null;
+  try {
+    response = await deps.save(payload, token);
+  } catch (err) {
+    if (!isNetworkError(err) || !userId) throw err;
+  }
+
+  if (response) {
+    // An older offline edit of the day would otherwise replay over this save.
+    if (userId) await deps.deletePending(key);
+    return { entry: response.entry, queued: false };
+  }
+
+  const queued = await deps.readPending();
+  const previous = queued.find((item) => item.key === key);
+
+  // Keep the base from the first offline edit of the day: it is the last server
+  // value this client saw, which is what conflicts are detected against.
+  const item = {
+    key,
+    userId,
+    profileId,
+    dateKey,
+    payload,
+    base: previous ? previous.base : entryValue(base),
+    queuedAt: new Date().toISOString()
+  };
+
+  await deps.writePending(item);
+  return { entry: pendingEntry(item), queued: true };
+}
+
+// Only the signed-in account's items are sent; other accounts' stay queued
+// until they sign in again.
+export async function flushPendingSaves(token, userId, deps = defaultDeps) {
+  const result = { synced: [], removed: [], conflicts: [], failed: [], offline: false };
+  if (!userId) return result;
+  const pending = (await deps.readPending()).filter((item) => item.userId === userId);
+  if (!pending.length) return result;
+
+  const serverByYear = new Map();
+  const ordered = [...pending].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+  for (const item of ordered) {
+    const profileId = item.profileId || null;
+    const year = Number(item.dateKey.slice(0, 4));
+    const yearKey = `${profileId || 'self'}:${year}`;
+
+    try {
+      if (!serverByYear.has(yearKey)) {
+        const data = await deps.fetchYear(year, token, profileId);
+        const map = Object.create(null);
+        (Array.isArray(data.entries) ? data.entries : [])
+          .map(normalizeEntry)
+          .filter(Boolean)
+          .forEach((entry) => {
+            map[entry.dateKey] = entry;
+          });
+        serverByYear.set(yearKey, map);
+      }
+
+      const current = serverByYear.get(yearKey)[item.dateKey] || null;
+
+      if (item.deleted && !current) {
+        await deps.deletePending(item.key);
+        result.removed.push({ dateKey: item.dateKey, profileId });
+        continue;
+      }
+
+      if (!item.deleted && current && isSameEntryValue(current, item.payload)) {
+        await deps.deletePending(item.key);
+        result.synced.push({ ...current, profileId });
+        continue;
+      }
+
+      if (!isSameEntryValue(current, item.base)) {
+        result.conflicts.push({ ...item, server: current });
+        continue;
+      }
+
+      if (item.deleted) {
+        await deps.remove(item.dateKey, token, profileId);
+        await deps.deletePending(item.key);
+        result.removed.push({ dateKey: item.dateKey, profileId });
+        continue;
+      }
+
+      const response = await deps.save(item.payload, token);
+      await deps.deletePending(item.key);
+      result.synced.push({ ...response.entry, profileId });
+    } catch (err) {
+      if (isNetworkError(err)) {
+        result.offline = true;
+        break;
+      }
+      // The client has already ended the session; keep the queue for next login.
+      if (err.status === 401) break;
+      result.failed.push({ dateKey: item.dateKey, message: err.message || 'Failed to sync entry' });
+    }
+  }
+
+  return result;
+}
+
+export async function resolvePendingConflict(conflict, keepLocal, token, deps = defaultDeps) {
+  if (!keepLocal) {
+    await deps.deletePending(conflict.key);
+    return { entry: conflict.server, queued: false };
+  }
+
+  try {
+    if (conflict.deleted) {
+      await deps.remove(conflict.dateKey, token, conflict.profileId || null);
+      await deps.deletePending(conflict.key);
+      return { entry: null, queued: false };
+    }
+    const response = await deps.save(conflict.payload, token);
+    await deps.deletePending(conflict.key);
+    return { entry: response.entry, queued: false };
+  } catch (err) {
+    if (!isNetworkError(err)) throw err;
+  }
+
+  // Still offline: accept the server value as the new base so the next flush
+  // does not flag the same conflict again.
+  const item = {
+    key: conflict.key,
+    userId: conflict.userId,
+    profileId: conflict.profileId || null,
+    dateKey: conflict.dateKey,
+    payload: conflict.payload,
+    deleted: conflict.deleted === true,
+    base: entryValue(conflict.server),
+    queuedAt: conflict.queuedAt
+  };
+  await deps.writePending(item);
+  return { entry: item.deleted ? null : pendingEntry(item), queued: true };
+}
+
+// `base` is the entry being cleared as this client last saw it. Offline, the
+// delete is queued like a save and checked against it for conflicts on flush.
+export async function removeEntry(dateKey, token, userId, profileId = null, base = null, deps = defaultDeps) {
+  const key = pendingKey(userId, profileId, dateKey);
+  const queued = userId ? (await deps.readPending()).find((item) => item.key === key) : null;
+  // The day only ever existed on this device, so there is nothing to delete remotely.
+  if (queued && !queued.base) {
+    await deps.deletePending(key);
+    return { queued: false };
+  }
+
+  try {
+    await deps.remove(dateKey, token, profileId);
+    if (queued) await deps.deletePending(key);
+    return { queued: false };
+  } catch (err) {
+    if (!isNetworkError(err) || !userId) throw err;
+  }
+
+  await deps.writePending({
+    key,
+    userId,
+    profileId: profileId || null,
+    dateKey,
+    payload: null,
+    deleted: true,
+    base: queued ? queued.base : entryValue(base),
+    queuedAt: new Date().toISOString()
+  });
+  return { queued: true };
+}
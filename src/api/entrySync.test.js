@@ -0,0 +1,242 @@
+import { flushPendingSaves, readPendingEntries, removeEntry, saveOrQueueEntry } from './entrySync';
+import { pendingKey } from './offlineStore';
+
+const USER = 'user-a';
+
+function payloadFor(dateKey, value = {}) {
+  return {
+    date: `${dateKey}T00:00:00.000Z`,
+    isSick: true,
+    severity: 2,
+    symptoms: [],
+    note: '',
+    ...value
+  };
+}
+
+function serverEntry(dateKey, value = {}) {
+  return { ...payloadFor(dateKey, value), dateKey };
+}
+
+// A mock of the /entries endpoints backed by `server` (profile -> dateKey ->
+// entry) and an in-memory queue in place of IndexedDB.
+function mockDeps({ server = {}, online = true } = {}) {
+  const queue = new Map();
+  const calls = { save: [], remove: [], fetchYear: [] };
+  const state = { online };
+  const offlineError = () => new TypeError('Failed to fetch');
+  const table = (profileId) => {
+    const id = profileId || 'self';
+    if (!server[id]) server[id] = {};
+    return server[id];
+  };
+
+  const deps = {
+    async save(payload) {
+      calls.save.push(payload);
+      if (!state.online) throw offlineError();
+      const dateKey = payload.date.slice(0, 10);
+      const entry = { ...payload, dateKey };
+      table(payload.profileId)[dateKey] = entry;
+      return { entry };
+    },
+    async remove(dateKey, token, profileId) {
+      calls.remove.push({ dateKey, profileId });
+      if (!state.online) throw offlineError();
+      delete table(profileId)[dateKey];
+      return {};
+    },
+    async fetchYear(year, token, profileId) {
+      calls.fetchYear.push({ year, profileId });
+      if (!state.online) throw offlineError();
+      return { entries: Object.values(table(profileId)).filter((entry) => entry.dateKey.startsWith(`${year}-`)) };
+    },
+    async readPending() {
+      return [...queue.values()];
+    },
+    async writePending(item) {
+      queue.set(item.key, item);
+      return item;
+    },
+    async deletePending(key) {
+      queue.delete(key);
+    }
+  };
+
+  return { deps, queue, calls, server, state };
+}
+
+describe('saveOrQueueEntry', () => {
+  it('queues the save when the network is down and syncs it once back online', async () => {
+    const mock = mockDeps({ online: false });
+
+    const queued = await saveOrQueueEntry(payloadFor('2024-03-01'), 'token', USER, null, mock.deps);
+    expect(queued.queued).toBe(true);
+    expect(queued.entry).toMatchObject({ dateKey: '2024-03-01', pending: true });
+    expect(mock.queue.size).toBe(1);
+
+    const offlineFlush = await flushPendingSaves('token', USER, mock.deps);
+    expect(offlineFlush.offline).toBe(true);
+    expect(mock.queue.size).toBe(1);
+
+    mock.state.online = true;
+    const result = await flushPendingSaves('token', USER, mock.deps);
+    expect(result.synced).toHaveLength(1);
+    expect(result.conflicts).toHaveLength(0);
+    expect(mock.queue.size).toBe(0);
+    expect(mock.server.self['2024-03-01']).toMatchObject({ isSick: true, severity: 2 });
+  });
+
+  it('rethrows server errors instead of queueing', async () => {
+    const mock = mockDeps();
+    mock.deps.save = jest.fn().mockRejectedValue(Object.assign(new Error('Bad request'), { status: 400 }));
+
+    await expect(saveOrQueueEntry(payloadFor('2024-03-01'), 'token', USER, null, mock.deps)).rejects.toThrow(
+      'Bad request'
+    );
+    expect(mock.queue.size).toBe(0);
+  });
+
+  it('keeps the base from the first offline edit of the day', async () => {
+    const mock = mockDeps({ online: false });
+    const original = serverEntry('2024-03-01', { severity: 1 });
+
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 3 }), 'token', USER, original, mock.deps);
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 4 }), 'token', USER, null, mock.deps);
+
+    const [item] = mock.queue.values();
+    expect(item.payload.severity).toBe(4);
+    expect(item.base).toMatchObject({ isSick: true, severity: 1 });
+  });
+
+  it('drops the queued edit of a day once a newer save reaches the server', async () => {
+    const mock = mockDeps({ online: false });
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 2 }), 'token', USER, null, mock.deps);
+
+    mock.state.online = true;
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 5 }), 'token', USER, null, mock.deps);
+    expect(mock.queue.size).toBe(0);
+
+    const result = await flushPendingSaves('token', USER, mock.deps);
+    expect(result.synced).toHaveLength(0);
+    expect(mock.server.self['2024-03-01'].severity).toBe(5);
+  });
+});
+
+describe('flushPendingSaves', () => {
+  it('reports a conflict when the server changed the day while offline', async () => {
+    const mock = mockDeps({ server: { self: { '2024-03-01': serverEntry('2024-03-01', { severity: 1 }) } } });
+    mock.state.online = false;
+    const base = mock.server.self['2024-03-01'];
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 3 }), 'token', USER, base, mock.deps);
+
+    // Another device edits the same day.
+    mock.server.self['2024-03-01'] = serverEntry('2024-03-01', { severity: 5 });
+    mock.state.online = true;
+    const result = await flushPendingSaves('token', USER, mock.deps);
+
+    expect(result.synced).toHaveLength(0);
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0].server).toMatchObject({ severity: 5 });
+    expect(mock.calls.save).toHaveLength(1);
+    expect(mock.queue.size).toBe(1);
+  });
+
+  it('drops a queued save the server already has', async () => {
+    const mock = mockDeps({ online: false });
+    await saveOrQueueEntry(payloadFor('2024-03-01'), 'token', USER, null, mock.deps);
+
+    mock.server.self = { '2024-03-01': serverEntry('2024-03-01') };
+    mock.state.online = true;
+    const result = await flushPendingSaves('token', USER, mock.deps);
+
+    expect(result.synced).toHaveLength(1);
+    expect(mock.calls.save).toHaveLength(1);
+    expect(mock.queue.size).toBe(0);
+  });
+
+  it('keeps the queue of each profile apart', async () => {
+    const mock = mockDeps({ online: false });
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 1 }), 'token', USER, null, mock.deps);
+    await saveOrQueueEntry(payloadFor('2024-03-01', { severity: 4, profileId: 'kid' }), 'token', USER, null, mock.deps);
+
+    expect([...mock.queue.keys()].sort()).toEqual([
+      pendingKey(USER, 'kid', '2024-03-01'),
+      pendingKey(USER, null, '2024-03-01')
+    ]);
+    expect(await readPendingEntries(USER, null, mock.deps)).toEqual([expect.objectContaining({ severity: 1 })]);
+    expect(await readPendingEntries(USER, 'kid', mock.deps)).toEqual([expect.objectContaining({ severity: 4 })]);
+
+    mock.state.online = true;
+    const result = await flushPendingSaves('token', USER, mock.deps);
+
+    expect(result.synced.map((entry) => entry.profileId).sort()).toEqual(['kid', null].sort());
+    expect(mock.calls.fetchYear).toEqual([
+      { year: 2024, profileId: null },
+      { year: 2024, profileId: 'kid' }
+    ]);
+    expect(mock.server.self['2024-03-01'].severity).toBe(1);
+    expect(mock.server.kid['2024-03-01'].severity).toBe(4);
+  });
+
+  it('leaves the queue of another account for its own next login', async () => {
+    const mock = mockDeps({ online: false });
+    await saveOrQueueEntry(payloadFor('2024-03-01'), 'token', USER, null, mock.deps);
+
+    // Someone else signs in on the same browser.
+    mock.state.online = true;
+    expect(await readPendingEntries('user-b', null, mock.deps)).toEqual([]);
+    const result = await flushPendingSaves('other-token', 'user-b', mock.deps);
+
+    expect(result.synced).toHaveLength(0);
+    expect(mock.calls.save).toHaveLength(1);
+    expect(mock.calls.fetchYear).toHaveLength(0);
+    expect(mock.server.self).toBeUndefined();
+    expect(mock.queue.size).toBe(1);
+
+    const own = await flushPendingSaves('token', USER, mock.deps);
+    expect(own.synced).toHaveLength(1);
+    expect(mock.queue.size).toBe(0);
+  });
+});
+
+describe('removeEntry', () => {
+  it('queues a delete while offline and sends it on the next flush', async () => {
+    const existing = serverEntry('2024-03-01');
+    const mock = mockDeps({ server: { self: { '2024-03-01': existing } }, online: false });
+
+    const response = await removeEntry('2024-03-01', 'token', USER, null, existing, mock.deps);
+    expect(response.queued).toBe(true);
+    expect(await readPendingEntries(USER, null, mock.deps)).toEqual([{ dateKey: '2024-03-01', deleted: true }]);
+
+    mock.state.online = true;
+    const result = await flushPendingSaves('token', USER, mock.deps);
+    expect(result.removed).toEqual([{ dateKey: '2024-03-01', profileId: null }]);
+    expect(mock.server.self['2024-03-01']).toBeUndefined();
+    expect(mock.queue.size).toBe(0);
+  });
+
+  it('drops a day that only exists in the queue without calling the server', async () => {
+    const mock = mockDeps({ online: false });
+    await saveOrQueueEntry(payloadFor('2024-03-01'), 'token', USER, null, mock.deps);
+
+    const response = await removeEntry('2024-03-01', 'token', USER, null, null, mock.deps);
+    expect(response.queued).toBe(false);
+    expect(mock.calls.remove).toHaveLength(0);
+    expect(mock.queue.size).toBe(0);
+  });
+
+  it('reports a conflict when the server changed a day deleted offline', async () => {
+    const existing = serverEntry('2024-03-01', { severity: 1 });
+    const mock = mockDeps({ server: { self: { '2024-03-01': existing } }, online: false });
+    await removeEntry('2024-03-01', 'token', USER, null, existing, mock.deps);
+
+    mock.server.self['2024-03-01'] = serverEntry('2024-03-01', { severity: 4 });
+    mock.state.online = true;
+    const result = await flushPendingSaves('token', USER, mock.deps);
+
+    expect(result.conflicts).toEqual([expect.objectContaining({ dateKey: '2024-03-01', deleted: true })]);
+    expect(mock.calls.remove).toHaveLength(1);
+    expect(mock.server.self['2024-03-01'].severity).toBe(4);
+  });
+});
@@ -0,0 +1,18 @@
+import { apiRequest, profileQuery } from './client';
+
+export async function fetchEpisodesByYear(year, token, profileId = null) {
+  return apiRequest(`/episodes/year/${year}${profileQuery(profileId)}`, {
+    token,
+    fallbackMessage: 'Failed to fetch episodes'
+  });
+}
+
+// Creates the label, or updates it when `payload.id` is set.
+export async function saveEpisode(payload, token) {
+  return apiRequest('/episodes', {
+    method: 'POST',
+    token,
+    body: payload,
+    fallbackMessage: 'Failed to save episode'
+  });
+}
@@ -0,0 +1,38 @@
+import { apiRequest, profileQuery } from './client';
+
+export async function fetchMedications(token) {
+  return apiRequest('/medications', { token, fallbackMessage: 'Failed to fetch medications' });
+}
+
+export async function saveMedication(payload, token) {
+  return apiRequest('/medications', {
+    method: 'POST',
+    token,
+    body: payload,
+    fallbackMessage: 'Failed to save medication'
+  });
+}
+
+export async function fetchDosesByYear(year, token, profileId = null) {
+  return apiRequest(`/medications/doses/year/${year}${profileQuery(profileId)}`, {
+    token,
+    fallbackMessage: 'Failed to fetch medication log'
+  });
+}
+
+export async function saveDose(payload, token) {
+  return apiRequest('/medications/doses', {
+    method: 'POST',
+    token,
+    body: payload,
+    fallbackMessage: 'Failed to save medication'
+  });
+}
+
+export async function deleteDose(id, token) {
+  return apiRequest(`/medications/doses/${id}`, {
+    method: 'DELETE',
+    token,
+    fallbackMessage: 'Failed to delete medication'
+  });
+}
@@ -0,0 +1,65 @@
+import { t } from '../i18n';
+import { getRegistration } from '../serviceWorkerRegistration';
+
+const REMINDER_TAG = 'daily-reminder';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'unsupported';
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Hands the worker what it needs to remind without the page open: the chosen
+// time, whether today already has an entry and the notification text in the
+// current language. Periodic sync (Chromium only) wakes the worker roughly
+// daily; elsewhere reminders need an open tab.
+export async function syncReminderState(state) {
+  const registration = await getRegistration();
+  if (!registration) return;
+
+  registration.active?.postMessage({
+    type: 'reminder-state',
+    state: { ...state, title: t('reminder.title'), body: t('reminder.body') }
+  });
+
+  if (!registration.periodicSync) return;
+  try {
+    if (state.enabled) await registration.periodicSync.register(REMINDER_TAG, { minInterval: DAY_MS / 2 });
+    else await registration.periodicSync.unregister(REMINDER_TAG);
+  } catch {
+    // Periodic sync needs an installed app; the in-page timer still covers open tabs.
+  }
+}
+
+// Prefers the worker so the notification survives the tab; development builds
+// run without one and fall back to a page notification.
+export async function showReminderNotification() {
+  if (notificationPermission() !== 'granted') return;
+  const registration = await getRegistration();
+  const title = t('reminder.title');
+  const body = t('reminder.body');
+
+  if (registration) {
+    await registration.showNotification(title, {
+      body,
+      tag: REMINDER_TAG,
+      data: { url: '/home' }
+    });
+    return;
+  }
+
+  const notification = new Notification(title, { body, tag: REMINDER_TAG });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+}
@@ -0,0 +1,79 @@
+const DB_NAME = 'sickness-tracker';
+const DB_VERSION = 1;
+const PENDING_STORE = 'pendingEntrySaves';
+
+// Used when IndexedDB is unavailable (private mode, tests). Queued saves then
+// only survive for the lifetime of the page.
+const memoryStore = new Map();
+
+let dbPromise = null;
+
+// Keyed by account as well as person: the queue outlives a logout, and another
+// account signing in on the same browser must never sync it.
+export function pendingKey(userId, profileId, dateKey) {
+  return `${userId}:${profileId || 'self'}:${dateKey}`;
+}
+
+function hasIndexedDb() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PENDING_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, run) {
+  const db = await openDb();
+  const tx = db.transaction(PENDING_STORE, mode);
+  return promisify(run(tx.objectStore(PENDING_STORE)));
+}
+
+export async function readPendingSaves() {
+  if (!hasIndexedDb()) return [...memoryStore.values()];
+  return withStore('readonly', (store) => store.getAll());
+}
+
+export async function writePendingSave(item) {
+  if (!hasIndexedDb()) {
+    memoryStore.set(item.key, item);
+    return item;
+  }
+  await withStore('readwrite', (store) => store.put(item));
+  return item;
+}
+
+export async function deletePendingSave(key) {
+  if (!hasIndexedDb()) {
+    memoryStore.delete(key);
+    return;
+  }
+  await withStore('readwrite', (store) => store.delete(key));
+}
+
+export async function clearPendingSaves() {
+  if (!hasIndexedDb()) {
+    memoryStore.clear();
+    return;
+  }
+  await withStore('readwrite', (store) => store.clear());
+}
@@ -0,0 +1,14 @@
+import { apiRequest } from './client';
+
+export async function fetchProfiles(token) {
+  return apiRequest('/profiles', { token, fallbackMessage: 'Failed to fetch profiles' });
+}
+
+export async function createProfile(payload, token) {
+  return apiRequest('/profiles', {
+    method: 'POST',
+    token,
+    body: payload,
+    fallbackMessage: 'Failed to create profile'
+  });
+}
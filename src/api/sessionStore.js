@@ -0,0 +1,109 @@
+// Where the session lives between page loads.
+//
+// 'cookie' (default): the API keeps the refresh token in an HttpOnly cookie and
+// the access token only ever exists in memory, so no script on the page can read
+// either. A reload restores the session with a credentialed refresh call.
+//
+// 'storage': for APIs without cookie support. Tokens go to localStorage when
+// "remember me" is ticked and to sessionStorage otherwise.
+export const SESSION_MODE = process.env.REACT_APP_SESSION_MODE === 'storage' ? 'storage' : 'cookie';
+
+const idleMinutes = Number(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES);
+// 0 disables the idle logout.
+export const IDLE_TIMEOUT_MS = (Number.isFinite(idleMinutes) && idleMinutes >= 0 ? idleMinutes : 30) * 60 * 1000;
+
+const REMEMBER_DAYS = 30;
+const TOKEN_KEY = 'auth_token';
+const USER_KEY = 'auth_user';
+const REFRESH_KEY = 'auth_refresh_token';
+// Non-secret marker telling the app a server session may exist ('1') or
+// should outlive the browser session ('remember').
+const HINT_COOKIE = 'auth_session';
+
+const EMPTY_SESSION = { token: null, user: null, refreshToken: null };
+
+function cookieGet(name) {
+  const pairs = document.cookie.split(';').map((item) => item.trim());
+  const row = pairs.find((item) => item.startsWith(`${name}=`));
+  return row ? decodeURIComponent(row.split('=').slice(1).join('=')) : null;
+}
+
+function cookieSet(name, value, maxAgeSeconds) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'path=/', 'SameSite=Strict'];
+  if (maxAgeSeconds) parts.push(`max-age=${maxAgeSeconds}`);
+  if (window.location.protocol === 'https:') parts.push('Secure');
+  document.cookie = parts.join('; ');
+}
+
+function cookieDelete(name) {
+  document.cookie = `${name}=; path=/; max-age=0; SameSite=Strict`;
+}
+
+function parseUser(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Earlier versions mirrored the token and user into readable cookies with a
+// 30-day lifetime; drop them so they stop leaking with every request.
+function dropLegacyCookies() {
+  [TOKEN_KEY, USER_KEY, REFRESH_KEY].forEach((name) => {
+    if (cookieGet(name) !== null) cookieDelete(name);
+  });
+}
+
+function clearStorage(storage) {
+  storage.removeItem(TOKEN_KEY);
+  storage.removeItem(USER_KEY);
+  storage.removeItem(REFRESH_KEY);
+}
+
+export function isRemembered() {
+  if (SESSION_MODE === 'storage') return Boolean(localStorage.getItem(TOKEN_KEY));
+  return cookieGet(HINT_COOKIE) === 'remember';
+}
+
+// True when a reload should try to pick the server session back up.
+export function hasRestorableSession() {
+  return SESSION_MODE === 'cookie' && cookieGet(HINT_COOKIE) !== null;
+}
+
+export function readStoredSession() {
+  dropLegacyCookies();
+
+  if (SESSION_MODE === 'cookie') {
+    clearStorage(localStorage);
+    return EMPTY_SESSION;
+  }
+
+  const storage = localStorage.getItem(TOKEN_KEY) ? localStorage : sessionStorage;
+  return {
+    token: storage.getItem(TOKEN_KEY),
+    user: parseUser(storage.getItem(USER_KEY)),
+    refreshToken: storage.getItem(REFRESH_KEY)
+  };
+}
+
+export function storeSession({ token, user, refreshToken }, remember = isRemembered()) {
+  if (SESSION_MODE === 'cookie') {
+    cookieSet(HINT_COOKIE, remember ? 'remember' : '1', remember ? REMEMBER_DAYS * 24 * 60 * 60 : 0);
+    return;
+  }
+
+  const storage = remember ? localStorage : sessionStorage;
+  clearStorage(remember ? sessionStorage : localStorage);
+  storage.setItem(TOKEN_KEY, token);
+  storage.setItem(USER_KEY, JSON.stringify(user));
+  if (refreshToken) storage.setItem(REFRESH_KEY, refreshToken);
+  else storage.removeItem(REFRESH_KEY);
+}
+
+export function clearStoredSession() {
+  cookieDelete(HINT_COOKIE);
+  dropLegacyCookies();
+  clearStorage(localStorage);
+  clearStorage(sessionStorage);
+}
@@ -0,0 +1,35 @@
+import { normalizeEntry } from '../utils/entryModel';
+import { apiRequest } from './client';
+
+export async function fetchShares(token) {
+  return apiRequest('/shares', { token, fallbackMessage: 'Failed to fetch share links' });
+}
+
+export async function createShare(payload, token) {
+  return apiRequest('/shares', {
+    method: 'POST',
+    token,
+    body: payload,
+    fallbackMessage: 'Failed to create share link'
+  });
+}
+
+export async function revokeShare(id, token) {
+  return apiRequest(`/shares/${id}`, {
+    method: 'DELETE',
+    token,
+    fallbackMessage: 'Failed to revoke share link'
+  });
+}
+
+// The shared routes are public: the share id in the path is the only credential.
+export async function fetchSharedSummary(shareId) {
+  return apiRequest(`/shared/${encodeURIComponent(shareId)}`, { fallbackMessage: 'Failed to open shared link' });
+}
+
+export async function loadSharedYearEntries(shareId, year) {
+  const data = await apiRequest(`/shared/${encodeURIComponent(shareId)}/year/${year}`, {
+    fallbackMessage: 'Failed to fetch entries'
+  });
+  return Array.isArray(data.entries) ? data.entries.map(normalizeEntry).filter(Boolean) : [];
+}
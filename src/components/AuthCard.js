@@ -0,0 +1,25 @@
+import React from 'react';
+import { t } from '../i18n';
+import { themeModeLabel } from '../utils/themes';
+import LanguageSelect from './LanguageSelect';
+
+export default function AuthCard({ themeMode, onToggleTheme, language, onLanguageChange, title, subtitle, children }) {
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <div className="auth-top-row">
+          <div className="brand-mark">SicknessTracker</div>
+          <div className="auth-top-tools">
+            {onLanguageChange ? <LanguageSelect language={language} onChange={onLanguageChange} /> : null}
+            <button type="button" className="theme-toggle" title={t('theme.title')} onClick={onToggleTheme}>
+              {t('theme.label', { mode: themeModeLabel(themeMode) })}
+            </button>
+          </div>
+        </div>
+        <h1>{title}</h1>
+        {subtitle ? <p>{subtitle}</p> : null}
+        {children}
+      </div>
+    </div>
+  );
+}
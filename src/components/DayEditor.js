@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { t } from '../i18n';
+import { metricInputs, metricLabel, parseMetricInputs } from '../utils/metrics';
+import MetricFields from './MetricFields';
+import SymptomPicker from './SymptomPicker';
+
+export default function DayEditor({ entry, symptomOptions, busy, onSave, onClear, onCancel }) {
+  const [isSick, setIsSick] = useState(entry ? entry.isSick : false);
+  const [severity, setSeverity] = useState(entry?.severity || 1);
+  const [symptoms, setSymptoms] = useState(entry ? entry.symptoms : []);
+  const [metricFields, setMetricFields] = useState(() => metricInputs(entry?.metrics));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setIsSick(entry ? entry.isSick : false);
+    setSeverity(entry?.severity || 1);
+    setSymptoms(entry ? entry.symptoms : []);
+    setMetricFields(metricInputs(entry?.metrics));
+    setError('');
+  }, [entry]);
+
+  function save() {
+    const { metrics, invalid } = parseMetricInputs(metricFields);
+    if (invalid.length) {
+      setError(t('metrics.invalid', { fields: invalid.map((key) => metricLabel(key)).join(', ') }));
+      return;
+    }
+
+    setError('');
+    onSave({ isSick, severity, symptoms, note: entry ? entry.note : '', metrics });
+  }
+
+  return (
+    <div className="day-editor">
+      <div className="toggle-row">
+        <button
+          type="button"
+          className={`toggle-btn ${!isSick ? 'active-yes' : ''}`}
+          onClick={() => setIsSick(false)}
+        >
+          {t('entry.healthy')}
+        </button>
+        <button
+          type="button"
+          className={`toggle-btn ${isSick ? 'active-no' : ''}`}
+          onClick={() => setIsSick(true)}
+        >
+          {t('dayEditor.sick')}
+        </button>
+      </div>
+
+      {isSick ? (
+        <div className="severity-chips">
+          {[1, 2, 3, 4, 5].map((value) => (
+            <button
+              key={value}
+              type="button"
+              className={`chip ${severity === value ? 'selected' : ''}`}
+              onClick={() => setSeverity(value)}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      <SymptomPicker options={symptomOptions} selected={symptoms} onChange={setSymptoms} />
+
+      <MetricFields
+        values={metricFields}
+        onChange={(key, value) => setMetricFields((prev) => ({ ...prev, [key]: value }))}
+      />
+
+      {error ? <div className="error-text">{error}</div> : null}
+
+      <div className="day-editor-actions">
+        {entry && onClear ? (
+          <button type="button" className="danger-btn" disabled={busy} onClick={onClear}>
+            {t('dayEditor.clear')}
+          </button>
+        ) : null}
+        {onCancel ? (
+          <button type="button" className="ghost-btn" onClick={onCancel}>
+            {t('common.cancel')}
+          </button>
+        ) : null}
+        <button type="button" className="primary-btn" disabled={busy} onClick={save}>
+          {t('common.save')}
+        </button>
+      </div>
+    </div>
+  );
+}
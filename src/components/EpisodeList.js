@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { formatDateKey, t } from '../i18n';
+import { EPISODE_GAP_DAYS, MAX_DIAGNOSIS, MAX_EPISODE_NAME, summarizeEpisodes } from '../utils/episodes';
+
+function episodeDates(episode) {
+  return episode.start === episode.end
+    ? formatDateKey(episode.start)
+    : `${formatDateKey(episode.start)} – ${formatDateKey(episode.end)}`;
+}
+
+export default function EpisodeList({ episodes, busy, onHover, onSave }) {
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({ name: '', diagnosis: '' });
+
+  const summary = summarizeEpisodes(episodes);
+
+  function startEdit(episode) {
+    setEditing(episode.start);
+    setForm({ name: episode.name, diagnosis: episode.diagnosis });
+  }
+
+  async function onSubmit(event, episode) {
+    event.preventDefault();
+    const saved = await onSave(episode, { name: form.name.trim(), diagnosis: form.diagnosis.trim() });
+    if (saved) setEditing(null);
+  }
+
+  return (
+    <section className="episode-card" onMouseLeave={() => onHover(null)}>
+      <h2>{t('episodes.title')}</h2>
+      {episodes.length ? (
+        <p className="muted episode-summary">
+          {[
+            t('episodes.count', { count: summary.count }),
+            t('episodes.sickDays', { count: summary.sickDays }),
+            t('episodes.longest', { count: summary.longest }),
+            t('episodes.peak', { peak: summary.peak })
+          ].join(' · ')}
+        </p>
+      ) : (
+        <p className="muted">{t('episodes.empty')}</p>
+      )}
+
+      <ul className="episode-list">
+        {episodes.map((episode) => (
+          <li
+            key={episode.start}
+            className="episode-row"
+            onMouseEnter={() => onHover(episode)}
+            onFocus={() => onHover(episode)}
+          >
+            {editing === episode.start ? (
+              <form className="episode-form" onSubmit={(e) => onSubmit(e, episode)}>
+                <span className="muted">{episodeDates(episode)}</span>
+                <input
+                  value={form.name}
+                  onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                  placeholder={t('episodes.namePlaceholder')}
+                  maxLength={MAX_EPISODE_NAME}
+                  aria-label={t('episodes.name')}
+                  autoFocus
+                />
+                <input
+                  value={form.diagnosis}
+                  onChange={(e) => setForm((prev) => ({ ...prev, diagnosis: e.target.value }))}
+                  placeholder={t('episodes.diagnosisPlaceholder')}
+                  maxLength={MAX_DIAGNOSIS}
+                  aria-label={t('episodes.diagnosis')}
+                />
+                <div className="episode-actions">
+                  <button type="submit" className="primary-btn" disabled={busy}>
+                    {busy ? t('common.saving') : t('episodes.save')}
+                  </button>
+                  <button type="button" className="ghost-btn" onClick={() => setEditing(null)} disabled={busy}>
+                    {t('common.cancel')}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button type="button" className="episode-item" onClick={() => startEdit(episode)}>
+                <strong>{episode.name || t('episodes.untitled')}</strong>
+                <span className="muted">{episodeDates(episode)}</span>
+                <span>
+                  {[
+                    t('episodes.days', { count: episode.duration }),
+                    t('episodes.sickDays', { count: episode.sickDays }),
+                    t('episodes.peak', { peak: episode.peak })
+                  ].join(' · ')}
+                </span>
+                {episode.diagnosis ? <span className="episode-diagnosis">{episode.diagnosis}</span> : null}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {episodes.length ? <p className="muted episode-hint">{t('episodes.hint', { gap: EPISODE_GAP_DAYS })}</p> : null}
+    </section>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { t } from '../i18n';
+import { downloadFile } from '../utils/entryTransfer';
+import { composeHeatmapSvg, svgFromDataUrl, svgToPngBlob } from '../utils/heatmapImage';
+import { metricLabel, metricScaleLabels } from '../utils/metrics';
+import { SCALE_GLYPHS, paletteColors, scaleLabel } from '../utils/palettes';
+import { themeTokens } from '../utils/themes';
+import YearHeatmap, { DEFAULT_HEATMAP_WIDTH } from './YearHeatmap';
+
+// Tall enough for seven rows of cells plus the month and weekday labels.
+const EXPORT_HEIGHT = 200;
+
+// Mirrors HeatmapLegend, including the metric scale wording; the medication
+// dot is only listed when the year has doses.
+function legendItems(palette, glyphs, metric, doseColor) {
+  const labels = metric === 'status' ? null : metricScaleLabels(metric);
+  const items = paletteColors(palette)
+    .map((color, index) => ({
+      color,
+      glyph: glyphs ? SCALE_GLYPHS[index] : '',
+      label: labels ? labels[index] : scaleLabel(index)
+    }))
+    .filter((item) => item.label !== null);
+  return doseColor ? [...items, { color: doseColor, label: t('legend.medication'), round: true }] : items;
+}
+
+function canShareFiles() {
+  try {
+    const probe = new File([''], 'heatmap.png', { type: 'image/png' });
+    return Boolean(navigator.canShare && navigator.canShare({ files: [probe] }));
+  } catch {
+    return false;
+  }
+}
+
+// Draws the year once more off-screen, without any interaction state, and
+// turns it into a PNG or SVG with the title and legend added.
+export default function HeatmapExport({
+  year,
+  title,
+  entries,
+  doses = [],
+  theme,
+  palette,
+  glyphs,
+  weekStart,
+  metric = 'status',
+  disabled
+}) {
+  const [open, setOpen] = useState(false);
+  const [hideNumbers, setHideNumbers] = useState(false);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+  const wrapRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    function onPointerDown(event) {
+      if (wrapRef.current && !wrapRef.current.contains(event.target)) setOpen(false);
+    }
+
+    document.addEventListener('mousedown', onPointerDown);
+    return () => document.removeEventListener('mousedown', onPointerDown);
+  }, [open]);
+
+  function start(action) {
+    setError('');
+    setJob(action);
+  }
+
+  async function onImage(url) {
+    const action = job;
+    if (!action) return;
+    setJob(null);
+
+    const chart = themeTokens(theme).chart;
+    const yearDoses = doses.some((dose) => dose.dateKey.startsWith(`${year}-`));
+    const byMetric = metric !== 'status';
+    const svg = composeHeatmapSvg({
+      chartSvg: svgFromDataUrl(url),
+      title: byMetric ? `${title} · ${metricLabel(metric)}` : title,
+      legend: legendItems(palette, glyphs, metric, yearDoses ? chart.accent : null),
+      colors: chart
+    });
+    const baseName = `sickness-heatmap-${year}${byMetric ? `-${metric}` : ''}`;
+
+    try {
+      if (action === 'svg') {
+        downloadFile(`${baseName}.svg`, svg, 'image/svg+xml');
+      } else {
+        const blob = await svgToPngBlob(svg);
+        if (action === 'share') {
+          await navigator.share({ title, files: [new File([blob], `${baseName}.png`, { type: 'image/png' })] });
+        } else {
+          downloadFile(`${baseName}.png`, blob, 'image/png');
+        }
+      }
+      setOpen(false);
+    } catch (err) {
+      // Closing the share sheet rejects with AbortError; that is not a failure.
+      if (err.name !== 'AbortError') setError(err.message || t('export.failed'));
+    }
+  }
+
+  return (
+    <div className="menu-wrap" ref={wrapRef}>
+      <button
+        type="button"
+        className="theme-toggle"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        disabled={disabled}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        {t('export.button')}
+      </button>
+
+      {open ? (
+        <div className="menu-popover" role="menu">
+          <span className="menu-heading">{t('export.heading', { year })}</span>
+          <button type="button" role="menuitem" disabled={Boolean(job)} onClick={() => start('png')}>
+            {t('export.png')}
+          </button>
+          <button type="button" role="menuitem" disabled={Boolean(job)} onClick={() => start('svg')}>
+            {t('export.svg')}
+          </button>
+          {canShareFiles() ? (
+            <button type="button" role="menuitem" disabled={Boolean(job)} onClick={() => start('share')}>
+              {t('export.share')}
+            </button>
+          ) : null}
+          <label className="remember-row menu-check">
+            <input type="checkbox" checked={hideNumbers} onChange={(e) => setHideNumbers(e.target.checked)} />
+            {t('export.hideNumbers')}
+          </label>
+          {error ? <div className="error-text">{error}</div> : null}
+        </div>
+      ) : null}
+
+      {job ? (
+        <div className="heatmap-export-stage" style={{ width: DEFAULT_HEATMAP_WIDTH, height: EXPORT_HEIGHT }}>
+          <YearHeatmap
+            year={year}
+            entries={entries}
+            doses={doses}
+            theme={theme}
+            palette={palette}
+            glyphs={glyphs}
+            weekStart={weekStart}
+            metric={metric}
+            dayNumbers={!hideNumbers}
+            staticImage
+            onImage={onImage}
+          />
+        </div>
+      ) : null}
+    </div>
+  );
+}
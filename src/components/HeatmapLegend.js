@@ -0,0 +1,20 @@
+import React from 'react';
+import { DEFAULT_PALETTE, SCALE_GLYPHS, paletteColors, scaleLabel } from '../utils/palettes';
+
+// `labels` replaces the sick/severity wording, e.g. for a metric scale; a null
+// label hides that colour.
+export default function HeatmapLegend({ palette = DEFAULT_PALETTE, glyphs = false, labels = null, children }) {
+  return (
+    <div className="legend">
+      {paletteColors(palette).map((color, index) =>
+        labels && labels[index] === null ? null : (
+          <span key={index}>
+            <i style={{ background: color }}>{glyphs ? SCALE_GLYPHS[index] : null}</i>
+            {labels ? labels[index] : scaleLabel(index)}
+          </span>
+        )
+      )}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useMemo } from 'react';
+import { formatDateKey, monthNames, t } from '../i18n';
+import { formatDoses, formatLabel } from '../utils/dayLabel';
+import { formatMetric } from '../utils/metrics';
+
+const DAY_NUMBERS = Array.from({ length: 31 }, (_, index) => index + 1);
+
+// The cell text follows what colours the heatmap: status or one metric.
+function shortValue(entry, metric) {
+  if (metric !== 'status') {
+    const value = entry?.metrics?.[metric];
+    return value === null || value === undefined ? '–' : formatMetric(metric, value);
+  }
+  if (!entry) return '–';
+  return entry.isSick ? `S${entry.severity}` : 'H';
+}
+
+// Screen-reader rendering of the heatmap: one row per month, one cell per day,
+// each labelled with the same text the tooltip shows.
+export default function HeatmapTable({ start, end, entryMap, doseMap = {}, metric = 'status' }) {
+  const names = monthNames('wide');
+  const months = useMemo(() => {
+    const rows = [];
+    const last = new Date(`${end}T00:00:00.000Z`);
+    for (
+      let month = new Date(Date.UTC(Number(start.slice(0, 4)), Number(start.slice(5, 7)) - 1, 1));
+      month <= last;
+      month.setUTCMonth(month.getUTCMonth() + 1)
+    ) {
+      rows.push({ year: month.getUTCFullYear(), month: month.getUTCMonth() });
+    }
+    return rows;
+  }, [start, end]);
+
+  return (
+    <table className="sr-only">
+      <caption>
+        {t('heatmap.caption', { start: formatDateKey(start), end: formatDateKey(end) })}
+      </caption>
+      <thead>
+        <tr>
+          <th scope="col">{t('heatmap.month')}</th>
+          {DAY_NUMBERS.map((day) => (
+            <th key={day} scope="col">
+              {day}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {months.map(({ year, month }) => {
+          const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+          const prefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+
+          return (
+            <tr key={prefix}>
+              <th scope="row">
+                {names[month]} {year}
+              </th>
+              {DAY_NUMBERS.map((day) => {
+                const dateKey = `${prefix}-${String(day).padStart(2, '0')}`;
+                if (day > daysInMonth || dateKey < start || dateKey > end) return <td key={day} />;
+
+                const entry = entryMap[dateKey] || null;
+                const label = `${formatDateKey(dateKey, 'PPP')}: ${formatLabel(entry, { plain: true })}${formatDoses(
+                  doseMap[dateKey],
+                  { plain: true }
+                )}`;
+                return (
+                  <td key={day} aria-label={label}>
+                    {shortValue(entry, metric)}
+                  </td>
+                );
+              })}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
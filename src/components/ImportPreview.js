@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { formatDateKey, t } from '../i18n';
+import { describeEntry, describeSymptoms } from '../utils/entryModel';
+
+function describeWithSymptoms(entry) {
+  const symptoms = describeSymptoms(entry);
+  return symptoms ? `${describeEntry(entry)} · ${symptoms}` : describeEntry(entry);
+}
+
+export default function ImportPreview({ preview, busy, onCancel, onConfirm }) {
+  const [accepted, setAccepted] = useState(
+    () => new Set(preview.rows.filter((row) => row.status === 'new').map((row) => row.entry.dateKey))
+  );
+
+  const newRows = preview.rows.filter((row) => row.status === 'new');
+  const conflictRows = preview.rows.filter((row) => row.status === 'conflict');
+  const unchangedCount = preview.rows.length - newRows.length - conflictRows.length;
+
+  function toggle(dateKey) {
+    setAccepted((prev) => {
+      const next = new Set(prev);
+      if (next.has(dateKey)) next.delete(dateKey);
+      else next.add(dateKey);
+      return next;
+    });
+  }
+
+  function renderRow(row) {
+    return (
+      <label key={row.entry.dateKey} className="import-row">
+        <input
+          type="checkbox"
+          checked={accepted.has(row.entry.dateKey)}
+          onChange={() => toggle(row.entry.dateKey)}
+        />
+        <span>{formatDateKey(row.entry.dateKey)}</span>
+        <span>
+          {row.existing ? `${describeWithSymptoms(row.existing)} → ` : ''}
+          {describeWithSymptoms(row.entry)}
+        </span>
+      </label>
+    );
+  }
+
+  return (
+    <div className="modal" onClick={onCancel}>
+      <div className="modal-card import-card" onClick={(e) => e.stopPropagation()}>
+        <h3>{t('import.title', { file: preview.filename })}</h3>
+        <p>
+          {t('import.summary', { added: newRows.length, conflicts: conflictRows.length, unchanged: unchangedCount })}
+        </p>
+        {preview.invalid.length ? (
+          <p className="error-text">
+            {t('import.skipped', { count: preview.invalid.length })}{' '}
+            {preview.invalid
+              .slice(0, 5)
+              .map((item) => t('import.row', { line: item.line, reason: item.reason }))
+              .join(', ')}
+            {preview.invalid.length > 5 ? ', ...' : ''}
+          </p>
+        ) : null}
+
+        <div className="import-list">
+          {newRows.length ? <h4>{t('import.new')}</h4> : null}
+          {newRows.map(renderRow)}
+          {conflictRows.length ? <h4>{t('import.overwrite')}</h4> : null}
+          {conflictRows.map(renderRow)}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="ghost-btn" onClick={onCancel}>
+            {t('common.cancel')}
+          </button>
+          <button
+            type="button"
+            className="primary-btn"
+            disabled={busy || !accepted.size}
+            onClick={() => onConfirm(preview.rows.filter((row) => accepted.has(row.entry.dateKey)))}
+          >
+            {t('import.confirm', { count: accepted.size })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { LANGUAGES, t } from '../i18n';
+
+export default function LanguageSelect({ language, onChange, className = 'view-select' }) {
+  return (
+    <select
+      className={className}
+      value={language}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={t('common.language')}
+    >
+      {LANGUAGES.map((item) => (
+        <option key={item.value} value={item.value} lang={item.value}>
+          {item.label}
+        </option>
+      ))}
+    </select>
+  );
+}
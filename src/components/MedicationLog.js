@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { t } from '../i18n';
+import { HELPED_OPTIONS, describeDose } from '../utils/medicationModel';
+
+const EMPTY_FORM = { name: '', dose: '', time: '', helped: 'unsure' };
+
+export default function MedicationLog({ dayLabel, doses, medications, onAddDose, onDeleteDose, busy }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  function onNameChange(name) {
+    const known = medications.find((item) => item.name.toLowerCase() === name.trim().toLowerCase());
+    setForm((prev) => ({
+      ...prev,
+      name,
+      dose: known && !prev.dose ? known.defaultDose : prev.dose
+    }));
+  }
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    if (!form.name.trim()) return;
+
+    const added = await onAddDose({ ...form, name: form.name.trim(), dose: form.dose.trim() });
+    if (added) setForm(EMPTY_FORM);
+  }
+
+  return (
+    <div className="medication-log">
+      <h3>{t('medication.title')}</h3>
+      <p className="muted medication-day">{dayLabel}</p>
+
+      {doses.length ? (
+        <ul className="dose-list">
+          {doses.map((dose) => (
+            <li key={dose.id || `${dose.name}-${dose.time}`}>
+              <span>{describeDose(dose)}</span>
+              <button
+                type="button"
+                className="icon-btn"
+                aria-label={t('medication.remove', { name: dose.name })}
+                disabled={busy}
+                onClick={() => onDeleteDose(dose)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="muted medication-empty">{t('medication.empty')}</p>
+      )}
+
+      <form className="dose-form" onSubmit={onSubmit}>
+        <input
+          type="text"
+          list="medication-options"
+          value={form.name}
+          placeholder={t('medication.title')}
+          maxLength={80}
+          onChange={(e) => onNameChange(e.target.value)}
+          required
+        />
+        <datalist id="medication-options">
+          {medications.map((item) => (
+            <option key={item.id || item.name} value={item.name} />
+          ))}
+        </datalist>
+        <input
+          type="text"
+          value={form.dose}
+          placeholder={t('medication.dose')}
+          maxLength={40}
+          onChange={(e) => setForm((prev) => ({ ...prev, dose: e.target.value }))}
+        />
+        <input
+          type="time"
+          value={form.time}
+          onChange={(e) => setForm((prev) => ({ ...prev, time: e.target.value }))}
+        />
+        <select value={form.helped} onChange={(e) => setForm((prev) => ({ ...prev, helped: e.target.value }))}>
+          {HELPED_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {t(option.labelKey)}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="ghost-btn" disabled={busy || !form.name.trim()}>
+          {t('medication.log')}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { t } from '../i18n';
+import { metricInputRange, metricLabel } from '../utils/metrics';
+
+// Measurement inputs; `values` holds the form strings from metricInputs().
+export default function MetricFields({ values, onChange }) {
+  return (
+    <fieldset className="metric-fields">
+      <legend>{t('metrics.title')}</legend>
+      {['temperature', 'sleep'].map((key) => (
+        <label key={key} className="field">
+          {metricLabel(key)}
+          <input
+            type="number"
+            inputMode="decimal"
+            {...metricInputRange(key)}
+            value={values[key]}
+            placeholder={t('home.optional')}
+            onChange={(e) => onChange(key, e.target.value)}
+          />
+        </label>
+      ))}
+      {['mood', 'energy'].map((key) => (
+        <label key={key} className="field">
+          {metricLabel(key)}
+          <select value={values[key]} onChange={(e) => onChange(key, e.target.value)}>
+            <option value="">—</option>
+            {[5, 4, 3, 2, 1].map((score) => (
+              <option key={score} value={score}>
+                {t(`metrics.score.${score}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </fieldset>
+  );
+}
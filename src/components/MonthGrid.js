@@ -0,0 +1,67 @@
+import React from 'react';
+import { formatDateKey, weekdayNames } from '../i18n';
+import { describeEntry, describeSymptoms, parseDateFromKey } from '../utils/entryModel';
+import { daysInRange } from '../utils/heatmapView';
+import { DEFAULT_PALETTE, paletteColors } from '../utils/palettes';
+import { entryToScale } from './YearHeatmap';
+
+export default function MonthGrid({
+  start,
+  end,
+  entryMap,
+  selectedKey,
+  onSelectDay,
+  palette = DEFAULT_PALETTE,
+  weekStart = 0
+}) {
+  const days = daysInRange(start, end);
+  const colors = paletteColors(palette);
+  const leading = (parseDateFromKey(start).getUTCDay() - weekStart + 7) % 7;
+  const names = weekdayNames();
+  const headers = Array.from({ length: 7 }, (_, index) => names[(weekStart + index) % 7]);
+
+  // Leading blanks, then the days, cut into week rows for the grid role; the
+  // rows use `display: contents` so the cells still share one CSS grid.
+  const cells = [...Array.from({ length: leading }, () => null), ...days];
+  const weeks = Array.from({ length: Math.ceil(cells.length / 7) }, (_, index) =>
+    cells.slice(index * 7, index * 7 + 7)
+  );
+
+  return (
+    <div className="month-grid" role="grid" aria-label={formatDateKey(start, 'LLLL yyyy')}>
+      <div className="month-grid-row" role="row">
+        {headers.map((name, index) => (
+          <div key={index} className="month-grid-head" role="columnheader">
+            {name}
+          </div>
+        ))}
+      </div>
+      {weeks.map((week, weekIndex) => (
+        <div key={weekIndex} className="month-grid-row" role="row">
+          {week.map((dateKey, index) => {
+            if (!dateKey) return <div key={`blank-${index}`} className="month-grid-blank" role="gridcell" />;
+
+            const entry = entryMap[dateKey] || null;
+            const symptoms = describeSymptoms(entry);
+
+            return (
+              <button
+                key={dateKey}
+                type="button"
+                role="gridcell"
+                className={`month-day ${selectedKey === dateKey ? 'selected' : ''} ${entry?.pending ? 'pending' : ''}`}
+                style={{ '--day-color': colors[entryToScale(entry)] }}
+                aria-label={`${formatDateKey(dateKey)}: ${describeEntry(entry)}`}
+                onClick={() => onSelectDay(dateKey)}
+              >
+                <span className="month-day-number">{Number(dateKey.slice(8, 10))}</span>
+                <span className="month-day-status">{entry ? describeEntry(entry) : ''}</span>
+                {symptoms ? <span className="month-day-symptoms">{symptoms}</span> : null}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import React, { useState } from 'react';
+import { t } from '../i18n';
+
+export default function PasswordInput({ value, onChange, minLength = 6, autoComplete, required = true }) {
+  const [visible, setVisible] = useState(false);
+
+  return (
+    <div className="password-input-wrap">
+      <input
+        type={visible ? 'text' : 'password'}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        required={required}
+        minLength={minLength}
+        autoComplete={autoComplete}
+      />
+      <button type="button" className="password-toggle-btn" onClick={() => setVisible((prev) => !prev)}>
+        {visible ? t('password.hide') : t('password.show')}
+      </button>
+    </div>
+  );
+}
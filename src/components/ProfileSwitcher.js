@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { t } from '../i18n';
+
+export default function ProfileSwitcher({ profiles = [], profileId, onSelect, onAdd }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const wrapRef = useRef(null);
+
+  const current = profiles.find((item) => item.id === profileId);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    function onPointerDown(event) {
+      if (wrapRef.current && !wrapRef.current.contains(event.target)) setOpen(false);
+    }
+
+    document.addEventListener('mousedown', onPointerDown);
+    return () => document.removeEventListener('mousedown', onPointerDown);
+  }, [open]);
+
+  function choose(id) {
+    setOpen(false);
+    onSelect(id);
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      await onAdd(trimmed);
+      setName('');
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="menu-wrap" ref={wrapRef}>
+      <button
+        type="button"
+        className="theme-toggle profile-toggle"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title={t('profiles.switchTitle')}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        {current ? current.name : t('common.me')}
+      </button>
+
+      {open ? (
+        <div className="menu-popover" role="menu">
+          <span className="menu-heading">{t('profiles.trackingFor')}</span>
+          <button
+            type="button"
+            role="menuitemradio"
+            aria-checked={!profileId}
+            className={!profileId ? 'active' : ''}
+            onClick={() => choose(null)}
+          >
+            {t('common.me')}
+          </button>
+          {profiles.map((profile) => (
+            <button
+              key={profile.id}
+              type="button"
+              role="menuitemradio"
+              aria-checked={profile.id === profileId}
+              className={profile.id === profileId ? 'active' : ''}
+              onClick={() => choose(profile.id)}
+            >
+              {profile.name}
+            </button>
+          ))}
+          <span className="menu-heading">{t('profiles.addPerson')}</span>
+          <form className="profile-add" onSubmit={onSubmit}>
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('auth.name')}
+              maxLength={60}
+              aria-label={t('profiles.newName')}
+            />
+            <button type="submit" className="primary-btn" disabled={busy || !name.trim()}>
+              {t('common.add')}
+            </button>
+          </form>
+          {error ? <div className="error-text">{error}</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
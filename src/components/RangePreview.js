@@ -0,0 +1,58 @@
+import React from 'react';
+import { formatDateKey, t } from '../i18n';
+import { describeEntry } from '../utils/entryModel';
+
+const STATUSES = ['new', 'overwrite', 'unchanged', 'saved', 'failed'];
+
+export default function RangePreview({ preview, busy, onCancel, onConfirm }) {
+  const counts = preview.rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const toSave = (counts.new || 0) + (counts.overwrite || 0) + (counts.failed || 0);
+  const first = preview.rows[0].dateKey;
+  const last = preview.rows[preview.rows.length - 1].dateKey;
+
+  return (
+    <div className="modal" onClick={busy ? undefined : onCancel}>
+      <div className="modal-card import-card" onClick={(e) => e.stopPropagation()}>
+        <h3>{preview.done ? t('range.savedWithErrors') : t('range.apply')}</h3>
+        <p>
+          {formatDateKey(first)} – {formatDateKey(last)}:{' '}
+          {describeEntry(preview.value)}
+        </p>
+        <p>
+          {STATUSES.filter((status) => counts[status])
+            .map((status) => `${t(`range.${status}`)}: ${counts[status]}`)
+            .join(' · ')}
+        </p>
+
+        <div className="import-list">
+          {preview.rows.map((row) => (
+            <div key={row.dateKey} className={`range-row ${row.status}`}>
+              <span>{formatDateKey(row.dateKey, 'EEE P')}</span>
+              <span>{t(`range.${row.status}`)}</span>
+              <span className="muted">
+                {row.status === 'failed'
+                  ? row.error
+                  : row.existing
+                    ? t('range.was', { value: describeEntry(row.existing) })
+                    : ''}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="ghost-btn" disabled={busy} onClick={onCancel}>
+            {preview.done ? t('common.close') : t('common.cancel')}
+          </button>
+          <button type="button" className="primary-btn" disabled={busy || !toSave} onClick={onConfirm}>
+            {busy
+              ? t('common.saving')
+              : preview.done
+                ? t('range.retry', { count: toSave })
+                : t('range.save', { count: toSave })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
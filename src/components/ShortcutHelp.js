@@ -0,0 +1,46 @@
+import React from 'react';
+import { t } from '../i18n';
+
+export const SHORTCUTS = [
+  { keys: ['←', '→'], actionKey: 'shortcuts.week' },
+  { keys: ['↑', '↓'], actionKey: 'shortcuts.day' },
+  { keys: ['PgUp', 'PgDn'], actionKey: 'shortcuts.month' },
+  { keys: ['Home', 'End'], actionKey: 'shortcuts.ends' },
+  { keys: ['Enter'], actionKey: 'shortcuts.select' },
+  { keys: ['0'], actionKey: 'shortcuts.healthy' },
+  { keys: ['1', '–', '5'], actionKey: 'shortcuts.sick' },
+  { keys: ['s'], actionKey: 'shortcuts.save' },
+  { keys: ['?'], actionKey: 'shortcuts.toggle' }
+];
+
+export default function ShortcutHelp({ onClose }) {
+  return (
+    <div className="modal" onClick={onClose}>
+      <div
+        className="modal-card shortcut-card"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="shortcut-title">{t('home.shortcuts')}</h3>
+        <p className="muted">{t('shortcuts.intro')}</p>
+        <dl className="shortcut-list">
+          {SHORTCUTS.map((item) => (
+            <div key={item.actionKey} className="shortcut-row">
+              <dt>
+                {item.keys.map((key) => (key === '–' ? <span key={key}> – </span> : <kbd key={key}>{key}</kbd>))}
+              </dt>
+              <dd>{t(item.actionKey)}</dd>
+            </div>
+          ))}
+        </dl>
+        <div className="modal-actions">
+          <button type="button" className="primary-btn" onClick={onClose} autoFocus>
+            {t('common.close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
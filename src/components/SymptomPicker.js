@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { t } from '../i18n';
+import { formatSymptom, normalizeSymptom } from '../utils/entryModel';
+
+export default function SymptomPicker({ options, selected, onChange, onAddTag }) {
+  const [draft, setDraft] = useState('');
+
+  function toggle(tag) {
+    onChange(selected.includes(tag) ? selected.filter((item) => item !== tag) : [...selected, tag]);
+  }
+
+  function addDraft() {
+    const tag = normalizeSymptom(draft);
+    if (!tag) return;
+    if (onAddTag) onAddTag(tag);
+    if (!selected.includes(tag)) onChange([...selected, tag]);
+    setDraft('');
+  }
+
+  return (
+    <div className="symptom-picker">
+      <div className="symptom-chips">
+        {options.map((tag) => (
+          <button
+            key={tag}
+            type="button"
+            className={`chip symptom-chip ${selected.includes(tag) ? 'selected' : ''}`}
+            aria-pressed={selected.includes(tag)}
+            onClick={() => toggle(tag)}
+          >
+            {formatSymptom(tag)}
+          </button>
+        ))}
+      </div>
+      <div className="symptom-add-row">
+        <input
+          type="text"
+          value={draft}
+          placeholder={t('symptoms.addCustom')}
+          maxLength={40}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addDraft();
+            }
+          }}
+        />
+        <button type="button" className="ghost-btn" onClick={addDraft} disabled={!normalizeSymptom(draft)}>
+          {t('common.add')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import { t } from '../i18n';
+import { themeModeLabel } from '../utils/themes';
+import ProfileSwitcher from './ProfileSwitcher';
+
+export default function TopBar({
+  user,
+  themeMode,
+  onToggleTheme,
+  onLogout,
+  profiles,
+  profileId,
+  onSelectProfile,
+  onAddProfile
+}) {
+  return (
+    <header className="top-bar">
+      <div className="top-bar-left">
+        <div className="logo">SicknessTracker</div>
+        <nav className="top-nav">
+          <NavLink to="/home">{t('nav.tracker')}</NavLink>
+          <NavLink to="/stats">{t('nav.stats')}</NavLink>
+          <NavLink to="/report">{t('nav.report')}</NavLink>
+          <NavLink to="/settings">{t('nav.settings')}</NavLink>
+        </nav>
+      </div>
+      <div className="user-box">
+        <button type="button" className="theme-toggle" title={t('theme.title')} onClick={onToggleTheme}>
+          {t('theme.label', { mode: themeModeLabel(themeMode) })}
+        </button>
+        {onSelectProfile ? (
+          <ProfileSwitcher profiles={profiles} profileId={profileId} onSelect={onSelectProfile} onAdd={onAddProfile} />
+        ) : null}
+        <span className="user-name">{user?.name || user?.email || t('common.user')}</span>
+        <button type="button" className="logout-btn" onClick={onLogout}>
+          {t('nav.logout')}
+        </button>
+      </div>
+    </header>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { t } from '../i18n';
+
+// "view" options read "This year" when the heatmap shows one year and
+// "Shown period" for range and stacked views.
+const EXPORT_OPTIONS = [
+  { scope: 'view', format: 'csv', labelKey: 'transfer.viewCsv', yearLabelKey: 'transfer.yearCsv' },
+  { scope: 'view', format: 'json', labelKey: 'transfer.viewJson', yearLabelKey: 'transfer.yearJson' },
+  { scope: 'all', format: 'csv', labelKey: 'transfer.allCsv' },
+  { scope: 'all', format: 'json', labelKey: 'transfer.allJson' }
+];
+
+export default function TransferMenu({ onExport, onImportFile, viewIsYear, disabled }) {
+  const [open, setOpen] = useState(false);
+  const wrapRef = useRef(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    function onPointerDown(event) {
+      if (wrapRef.current && !wrapRef.current.contains(event.target)) setOpen(false);
+    }
+
+    document.addEventListener('mousedown', onPointerDown);
+    return () => document.removeEventListener('mousedown', onPointerDown);
+  }, [open]);
+
+  return (
+    <div className="menu-wrap" ref={wrapRef}>
+      <button
+        type="button"
+        className="theme-toggle"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        disabled={disabled}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        {t('transfer.data')}
+      </button>
+
+      {open ? (
+        <div className="menu-popover" role="menu">
+          <span className="menu-heading">{t('transfer.export')}</span>
+          {EXPORT_OPTIONS.map((option) => (
+            <button
+              key={option.labelKey}
+              type="button"
+              role="menuitem"
+              onClick={() => {
+                setOpen(false);
+                onExport(option.scope, option.format);
+              }}
+            >
+              {t(viewIsYear && option.yearLabelKey ? option.yearLabelKey : option.labelKey)}
+            </button>
+          ))}
+          <span className="menu-heading">{t('transfer.import')}</span>
+          <button type="button" role="menuitem" onClick={() => fileRef.current?.click()}>
+            {t('transfer.fromFile')}
+          </button>
+        </div>
+      ) : null}
+
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        hidden
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          setOpen(false);
+          if (file) onImportFile(file);
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import React, { useEffect, useState } from 'react';
+import { t } from '../i18n';
+import { applyUpdate, onUpdateAvailable } from '../serviceWorkerRegistration';
+
+export default function UpdatePrompt() {
+  const [worker, setWorker] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => onUpdateAvailable(setWorker), []);
+
+  if (!worker || dismissed) return null;
+
+  return (
+    <div className="toast update-toast" role="status">
+      <span>{t('update.available')}</span>
+      <button type="button" className="text-btn" onClick={() => applyUpdate(worker)}>
+        {t('update.reload')}
+      </button>
+      <button type="button" className="toast-close" aria-label={t('common.dismiss')} onClick={() => setDismissed(true)}>
+        ×
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from 'react';
+import { formatDateKey, t } from '../i18n';
+import { describeEntry, describeSymptoms } from '../utils/entryModel';
+import { daysInRange } from '../utils/heatmapView';
+import { describeDose } from '../utils/medicationModel';
+import { DEFAULT_PALETTE, paletteColors } from '../utils/palettes';
+import DayEditor from './DayEditor';
+import { entryToScale } from './YearHeatmap';
+
+export default function WeekList({
+  start,
+  end,
+  entryMap,
+  doses,
+  editingKey,
+  symptomOptions,
+  busy,
+  onEditDay,
+  onSaveDay,
+  onClearDay,
+  palette = DEFAULT_PALETTE
+}) {
+  const colors = paletteColors(palette);
+
+  return (
+    <ol className="week-list">
+      {daysInRange(start, end).map((dateKey) => {
+        const entry = entryMap[dateKey] || null;
+        const symptoms = describeSymptoms(entry);
+        const dayDoses = doses.filter((dose) => dose.dateKey === dateKey);
+
+        return (
+          <li key={dateKey} className={`week-day ${entry?.pending ? 'pending' : ''}`}>
+            <div className="week-day-row">
+              <i className="week-day-swatch" style={{ background: colors[entryToScale(entry)] }} />
+              <strong>{formatDateKey(dateKey, 'EEE P')}</strong>
+              <span>{describeEntry(entry)}</span>
+              <span className="muted week-day-details">
+                {[symptoms, ...dayDoses.map(describeDose)].filter(Boolean).join(' · ')}
+              </span>
+              <button
+                type="button"
+                className="ghost-btn"
+                onClick={() => onEditDay(editingKey === dateKey ? null : dateKey)}
+              >
+                {editingKey === dateKey ? t('common.close') : t('common.edit')}
+              </button>
+            </div>
+            {entry?.note ? <p className="muted week-day-note">{entry.note}</p> : null}
+            {editingKey === dateKey ? (
+              <DayEditor
+                entry={entry}
+                symptomOptions={symptomOptions}
+                busy={busy}
+                onSave={(value) => onSaveDay(dateKey, value)}
+                onClear={entry ? () => onClearDay(entry) : null}
+              />
+            ) : null}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -1,5 +1,15 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import ReactECharts from 'echarts-for-react';
+import { formatDateKey, getLanguage, monthNames, t, weekdayNames } from '../i18n';
+import { formatDoses, formatLabel } from '../utils/dayLabel';
+import { metricToScale } from '../utils/metrics';
+import { DEFAULT_PALETTE, SCALE_GLYPHS, paletteColors } from '../utils/palettes';
+import { DEFAULT_THEME, themeTokens } from '../utils/themes';
+import HeatmapTable from './HeatmapTable';
+
+const DAY_MS = 86400000;
+// Width assumed until the container has been measured; off-screen renders use it as is.
+export const DEFAULT_HEATMAP_WIDTH = 980;
 
 function toDateKey(date) {
   const y = date.getUTCFullYear();
@@ -8,22 +18,73 @@ function toDateKey(date) {
   return `${y}-${m}-${d}`;
 }
 
-function formatLabel(entry) {
-  if (!entry) return 'No entry';
-  if (!entry.isSick) return 'Healthy';
-  return `Sick (${entry.severity}/5)`;
+function shiftKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+}
+
+// Columns are weeks and rows weekdays, so left/right move a week and up/down a day.
+const KEY_STEPS = { ArrowLeft: -7, ArrowRight: 7, ArrowUp: -1, ArrowDown: 1 };
+
+// How many cells precede `date` in its week column when weeks start on `weekStart`.
+function weekOffset(date, weekStart) {
+  return (date.getUTCDay() - weekStart + 7) % 7;
+}
+
+function dayOfYear(date) {
+  return Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
 }
 
-function entryToScale(entry) {
+export function entryToScale(entry) {
   if (!entry) return 0;
   if (!entry.isSick) return 1;
   return Math.min(6, Math.max(2, (entry.severity || 1) + 1));
 }
 
-export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark' }) {
-  const isDark = theme === 'dark';
+// Renders `year`, or any `start`..`end` span of dateKeys (e.g. a rolling twelve
+// months) when both are given. With `staticImage` the chart is drawn off-screen
+// and shown as a plain <img>, for printing; `onImage` receives its SVG data URL.
+// `metric` colours cells by one of the optional measurements instead of status.
+export default function YearHeatmap({
+  year,
+  start,
+  end,
+  entries,
+  doses = [],
+  onDayClick,
+  onRangeSelect,
+  highlightRange = null,
+  outlineRange = null,
+  theme = DEFAULT_THEME,
+  palette = DEFAULT_PALETTE,
+  glyphs = false,
+  weekStart = 0,
+  metric = 'status',
+  dayNumbers = true,
+  staticImage = false,
+  onImage
+}) {
+  const language = getLanguage();
+  const chart = themeTokens(theme).chart;
+  const dragStartRef = useRef(null);
+  const draggedRef = useRef(false);
+  const chartRef = useRef(null);
+  const [imageUrl, setImageUrl] = useState('');
+  const [focusKey, setFocusKey] = useState(null);
+  const [keyboardActive, setKeyboardActive] = useState(false);
+  const rangeStart = start && end ? start : `${year}-01-01`;
+  const rangeEnd = start && end ? end : `${year}-12-31`;
+  const spansYears = rangeStart.slice(0, 4) !== rangeEnd.slice(0, 4);
+
+  const weekCount = useMemo(() => {
+    const first = new Date(`${rangeStart}T00:00:00.000Z`);
+    const totalDays = Math.round((new Date(`${rangeEnd}T00:00:00.000Z`).getTime() - first.getTime()) / DAY_MS) + 1;
+    return Math.ceil((weekOffset(first, weekStart) + totalDays) / 7);
+  }, [rangeStart, rangeEnd, weekStart]);
+
   const containerRef = useRef(null);
-  const [containerWidth, setContainerWidth] = useState(980);
+  const [containerWidth, setContainerWidth] = useState(DEFAULT_HEATMAP_WIDTH);
 
   useEffect(() => {
     if (!containerRef.current || typeof ResizeObserver === 'undefined') return undefined;
@@ -43,8 +104,8 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
   const horizontalPadding = isTiny ? 28 : 44;
   const calendarLeft = isTiny ? 10 : 16;
   const usableWidth = Math.max(320, containerWidth - horizontalPadding);
-  const cellSize = Math.max(6, usableWidth / 53);
-  const calendarWidth = cellSize * 53;
+  const cellSize = Math.max(6, usableWidth / weekCount);
+  const calendarWidth = cellSize * weekCount;
   const calendarHeight = cellSize * 7;
   const calendarTop = isTiny ? 30 : 34;
   const calendarBottom = isTiny ? 30 : 34;
@@ -56,65 +117,88 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
       map[entry.dateKey] = entry;
     });
 
-    const yearStart = new Date(Date.UTC(year, 0, 1));
-    const nextYearStart = new Date(Date.UTC(year + 1, 0, 1));
+    const last = new Date(`${rangeEnd}T00:00:00.000Z`);
     const points = [];
 
-    let dayCounter = 1;
-    for (let date = new Date(yearStart); date < nextYearStart; date.setUTCDate(date.getUTCDate() + 1)) {
+    for (let date = new Date(`${rangeStart}T00:00:00.000Z`); date <= last; date.setUTCDate(date.getUTCDate() + 1)) {
       const key = toDateKey(date);
       const entry = map[key] || null;
-      points.push([key, entryToScale(entry), dayCounter]);
-      dayCounter += 1;
+      const scale = metric === 'status' ? entryToScale(entry) : metricToScale(metric, entry);
+      const value = [key, scale, dayOfYear(date)];
+      const highlighted = highlightRange && key >= highlightRange.start && key <= highlightRange.end;
+      const outlined = outlineRange && key >= outlineRange.start && key <= outlineRange.end;
+
+      if (keyboardActive && key === focusKey) {
+        points.push({ value, itemStyle: { borderColor: chart.accent, borderWidth: 3 } });
+      } else if (highlighted) {
+        points.push({ value, itemStyle: { borderColor: chart.text, borderWidth: 2 } });
+      } else if (outlined) {
+        points.push({ value, itemStyle: { borderColor: chart.accent, borderWidth: 2 } });
+      } else if (entry && entry.pending) {
+        points.push({
+          value,
+          itemStyle: { borderColor: chart.accent, borderWidth: 2, borderType: 'dashed' }
+        });
+      } else {
+        points.push(value);
+      }
     }
 
     return { dataPoints: points, detailsMap: map };
-  }, [year, entries]);
+  }, [rangeStart, rangeEnd, entries, metric, highlightRange, outlineRange, chart, keyboardActive, focusKey]);
+
+  const { doseMap, dosePoints } = useMemo(() => {
+    const map = {};
+    doses.forEach((dose) => {
+      if (dose.dateKey < rangeStart || dose.dateKey > rangeEnd) return;
+      if (!map[dose.dateKey]) map[dose.dateKey] = [];
+      map[dose.dateKey].push(dose);
+    });
+
+    return { doseMap: map, dosePoints: Object.keys(map).map((key) => [key, map[key].length]) };
+  }, [rangeStart, rangeEnd, doses]);
 
   const monthBoundaryWeeks = useMemo(() => {
-    const jan1 = new Date(Date.UTC(year, 0, 1));
-    const offset = jan1.getUTCDay();
+    const first = new Date(`${rangeStart}T00:00:00.000Z`);
+    const last = new Date(`${rangeEnd}T00:00:00.000Z`);
+    const offset = weekOffset(first, weekStart);
     const boundaries = new Set();
 
-    for (let month = 1; month < 12; month += 1) {
-      const monthStart = new Date(Date.UTC(year, month, 1));
-      const dayIndex = Math.floor((monthStart.getTime() - jan1.getTime()) / 86400000);
+    for (
+      let monthStart = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 1));
+      monthStart <= last;
+      monthStart.setUTCMonth(monthStart.getUTCMonth() + 1)
+    ) {
+      const dayIndex = Math.floor((monthStart.getTime() - first.getTime()) / DAY_MS);
       const weekIndex = Math.floor((offset + dayIndex) / 7);
       boundaries.add(weekIndex);
     }
 
     return [...boundaries].sort((a, b) => a - b);
-  }, [year]);
+  }, [rangeStart, rangeEnd, weekStart]);
 
   const option = useMemo(
     () => ({
-      animation: true,
+      animation: !staticImage,
       tooltip: {
         trigger: 'item',
         confine: true,
-        backgroundColor: isDark ? '#0f1a31' : '#ffffff',
-        borderColor: isDark ? '#2a3f68' : '#c8d7ef',
+        backgroundColor: chart.tooltipBg,
+        borderColor: chart.tooltipBorder,
         borderWidth: 1,
-        textStyle: { color: isDark ? '#e8eefb' : '#162744' },
+        textStyle: { color: chart.text },
         formatter(params) {
           const dateKey = Array.isArray(params.value) ? params.value[0] : '';
           const entry = detailsMap[dateKey] || null;
-          return `${dateKey.split('-').reverse().join('/')}<br/>${formatLabel(entry)}`;
+          return `${formatDateKey(dateKey)}<br/>${formatLabel(entry)}${formatDoses(doseMap[dateKey])}`;
         }
       },
       visualMap: {
         show: false,
         type: 'piecewise',
+        seriesIndex: 0,
         dimension: 1,
-        pieces: [
-          { value: 0, color: '#ffffff' },
-          { value: 1, color: '#2ecc71' },
-          { value: 2, color: '#f6b1b1' },
-          { value: 3, color: '#ef8a8a' },
-          { value: 4, color: '#e35d5d' },
-          { value: 5, color: '#ce3030' },
-          { value: 6, color: '#990f0f' }
-        ]
+        pieces: paletteColors(palette).map((color, value) => ({ value, color }))
       },
       calendar: {
         top: calendarTop,
@@ -122,32 +206,36 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
         bottom: calendarBottom,
         width: calendarWidth,
         height: calendarHeight,
-        range: `${year}`,
+        range: [rangeStart, rangeEnd],
         cellSize: [cellSize, cellSize],
         splitLine: {
           show: true,
           lineStyle: {
-            color: isDark ? '#172a49' : '#e8effa',
+            color: chart.splitLine,
             width: 1
           }
         },
         itemStyle: {
-          borderColor: isDark ? '#172a49' : '#e8effa',
+          borderColor: chart.splitLine,
           borderWidth: 1
         },
         yearLabel: { show: false },
         dayLabel: {
           show: !isTiny,
-          firstDay: 0,
-          nameMap: ['S', 'M', 'T', 'W', 'T', 'F', 'S'],
-          color: isDark ? '#93a7cb' : '#6078a4',
+          firstDay: weekStart,
+          nameMap: weekdayNames('narrow', language),
+          color: chart.dayLabel,
           margin: 10
         },
         monthLabel: {
           show: true,
-          nameMap: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+          nameMap: monthNames('abbreviated', language),
+          formatter(params) {
+            // Ranges that cross New Year mark where the new year begins.
+            return spansYears && Number(params.M) === 1 ? `${params.nameMap} ${params.yyyy}` : params.nameMap;
+          },
           position: 'end',
-          color: isDark ? '#b7c7e6' : '#4a638d',
+          color: chart.axisText,
           margin: isTiny ? 10 : 14
         }
       },
@@ -160,19 +248,37 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
             show: true,
             position: 'inside',
             formatter(params) {
-              return Array.isArray(params.value) ? String(params.value[2]) : '';
+              if (!Array.isArray(params.value)) return '';
+              if (glyphs) return SCALE_GLYPHS[params.value[1]];
+              return dayNumbers ? String(params.value[2]) : '';
             },
-            color: isDark ? '#9aa7bf' : '#6f7f9b',
-            fontSize: Math.max(5, Math.floor(cellSize * 0.4)),
-            fontWeight: 400,
+            color: glyphs ? '#0b1220' : chart.cellText,
+            textBorderColor: glyphs ? 'rgba(255, 255, 255, 0.85)' : 'transparent',
+            textBorderWidth: glyphs ? 2 : 0,
+            fontSize: Math.max(5, Math.floor(cellSize * (glyphs ? 0.5 : 0.4))),
+            fontWeight: glyphs ? 700 : 400,
             fontFamily: "'Courier New', 'Consolas', monospace"
           },
           emphasis: {
             itemStyle: {
               shadowBlur: 8,
-              shadowColor: isDark ? 'rgba(87, 125, 196, 0.45)' : 'rgba(62, 92, 147, 0.35)'
+              shadowColor: chart.shadow
             }
           }
+        },
+        {
+          type: 'scatter',
+          coordinateSystem: 'calendar',
+          data: dosePoints,
+          symbol: 'circle',
+          symbolSize: Math.max(3, Math.floor(cellSize * 0.26)),
+          symbolOffset: [cellSize * 0.3, -cellSize * 0.3],
+          itemStyle: {
+            color: chart.accent,
+            borderColor: chart.tooltipBg,
+            borderWidth: 1
+          },
+          z: 3
         }
       ],
       graphic: [
@@ -185,7 +291,7 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
           top: calendarTop,
           shape: { width: monthGapWidth, height: calendarHeight },
           style: {
-            fill: isDark ? '#10203e' : '#ffffff',
+            fill: chart.card,
             stroke: 'rgba(0, 0, 0, 0)',
             lineWidth: 0
           }
@@ -202,7 +308,7 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
             height: calendarHeight
           },
           style: {
-            fill: isDark ? '#10203e' : '#ffffff',
+            fill: chart.card,
             stroke: 'rgba(0, 0, 0, 0)',
             lineWidth: 0
           }
@@ -216,7 +322,7 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
           top: calendarTop,
           shape: { width: monthGapWidth, height: calendarHeight },
           style: {
-            fill: isDark ? '#10203e' : '#ffffff',
+            fill: chart.card,
             stroke: 'rgba(0, 0, 0, 0)',
             lineWidth: 0
           }
@@ -224,10 +330,14 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
       ]
     }),
     [
-      year,
+      rangeStart,
+      rangeEnd,
+      spansYears,
       dataPoints,
       detailsMap,
-      isDark,
+      dosePoints,
+      doseMap,
+      chart,
       isTiny,
       cellSize,
       calendarWidth,
@@ -236,29 +346,158 @@ export default function YearHeatmap({ year, entries, onDayClick, theme = 'dark'
       calendarBottom,
       calendarLeft,
       monthGapWidth,
-      monthBoundaryWeeks
+      monthBoundaryWeeks,
+      palette,
+      glyphs,
+      dayNumbers,
+      weekStart,
+      language,
+      staticImage
     ]
   );
 
+  function dayFromParams(params) {
+    if (params.componentType !== 'series') return null;
+    if (params.seriesType !== 'heatmap' && params.seriesType !== 'scatter') return null;
+    if (!Array.isArray(params.value) || typeof params.value[0] !== 'string') return null;
+    return params.value[0];
+  }
+
+  // Pressing on one day and releasing on another selects the span between them;
+  // echarts may still report a click afterwards, which is swallowed.
   const onEvents = {
+    mousedown(params) {
+      draggedRef.current = false;
+      dragStartRef.current = dayFromParams(params);
+    },
+    mouseup(params) {
+      const from = dragStartRef.current;
+      const to = dayFromParams(params);
+      dragStartRef.current = null;
+      if (!onRangeSelect || !from || !to || from === to) return;
+      draggedRef.current = true;
+      onRangeSelect(new Date(`${from}T00:00:00.000Z`), new Date(`${to}T00:00:00.000Z`));
+    },
     click(params) {
+      if (draggedRef.current) {
+        draggedRef.current = false;
+        return;
+      }
       if (!onDayClick) return;
-      if (params.componentType !== 'series' || params.seriesType !== 'heatmap') return;
-      if (!Array.isArray(params.value) || typeof params.value[0] !== 'string') return;
-      onDayClick(new Date(`${params.value[0]}T00:00:00.000Z`));
+      const dateKey = dayFromParams(params);
+      if (!dateKey) return;
+      onDayClick(new Date(`${dateKey}T00:00:00.000Z`), { shiftKey: Boolean(params.event?.event?.shiftKey) });
+    },
+    finished() {
+      if (!staticImage || !chartRef.current) return;
+      const url = chartRef.current.getEchartsInstance().getDataURL();
+      setImageUrl(url);
+      if (onImage) onImage(url);
     }
   };
 
+  function clampKey(dateKey) {
+    if (dateKey < rangeStart) return rangeStart;
+    if (dateKey > rangeEnd) return rangeEnd;
+    return dateKey;
+  }
+
+  function onFocus(event) {
+    // Only draw the focus cell for keyboard focus, not when a click focuses the wrapper.
+    try {
+      setKeyboardActive(event.currentTarget.matches(':focus-visible'));
+    } catch {
+      setKeyboardActive(false);
+    }
+    if (focusKey && focusKey >= rangeStart && focusKey <= rangeEnd) return;
+    const today = toDateKey(new Date(Date.UTC(new Date().getFullYear(), new Date().getMonth(), new Date().getDate())));
+    setFocusKey(clampKey(today));
+  }
+
+  function onKeyDown(event) {
+    if (!focusKey) return;
+
+    let next = null;
+    if (KEY_STEPS[event.key]) next = shiftKey(focusKey, KEY_STEPS[event.key]);
+    else if (event.key === 'Home') next = rangeStart;
+    else if (event.key === 'End') next = rangeEnd;
+    else if (event.key === 'PageUp' || event.key === 'PageDown') {
+      const date = new Date(`${focusKey}T00:00:00.000Z`);
+      date.setUTCMonth(date.getUTCMonth() + (event.key === 'PageUp' ? -1 : 1));
+      next = toDateKey(date);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      if (onDayClick) onDayClick(new Date(`${focusKey}T00:00:00.000Z`), { shiftKey: event.shiftKey });
+      return;
+    }
+
+    if (next === null) return;
+    event.preventDefault();
+    setKeyboardActive(true);
+    setFocusKey(clampKey(next));
+  }
+
+  const focusLabel = focusKey
+    ? `${formatDateKey(focusKey)}: ${formatLabel(detailsMap[focusKey], { plain: true })}${formatDoses(
+        doseMap[focusKey],
+        { plain: true }
+      )}`
+    : '';
+
+  if (staticImage) {
+    return (
+      <div ref={containerRef} className="heatmap-echart-wrap heatmap-static">
+        <div aria-hidden="true" className="heatmap-echart heatmap-capture">
+          <ReactECharts
+            ref={chartRef}
+            option={option}
+            opts={{ renderer: 'svg' }}
+            onEvents={onEvents}
+            notMerge
+            style={{ height: '100%', width: '100%' }}
+          />
+        </div>
+        {imageUrl ? (
+          <img
+            className="heatmap-image"
+            src={imageUrl}
+            alt={t('heatmap.caption', { start: formatDateKey(rangeStart), end: formatDateKey(rangeEnd) })}
+          />
+        ) : null}
+      </div>
+    );
+  }
+
+  // The table fallback sits outside the application region so screen readers
+  // can browse it with their normal table commands.
   return (
-    <div ref={containerRef} className="heatmap-echart-wrap">
-      <ReactECharts
-        option={option}
-        opts={{ renderer: 'svg' }}
-        onEvents={onEvents}
-        notMerge
-        lazyUpdate
-        style={{ height: '100%', width: '100%' }}
-      />
-    </div>
+    <>
+      <div
+        ref={containerRef}
+        className="heatmap-echart-wrap"
+        tabIndex={0}
+        role="application"
+        aria-roledescription="heatmap"
+        aria-label={t('heatmap.label')}
+        onFocus={onFocus}
+        onBlur={() => setKeyboardActive(false)}
+        onKeyDown={onKeyDown}
+      >
+        <div aria-hidden="true" className="heatmap-echart">
+          <ReactECharts
+            option={option}
+            opts={{ renderer: 'svg' }}
+            onEvents={onEvents}
+            notMerge
+            lazyUpdate
+            style={{ height: '100%', width: '100%' }}
+          />
+        </div>
+        <div className="sr-only" aria-live="polite">
+          {keyboardActive ? focusLabel : ''}
+        </div>
+      </div>
+      <HeatmapTable start={rangeStart} end={rangeEnd} entryMap={detailsMap} doseMap={doseMap} metric={metric} />
+    </>
   );
 }
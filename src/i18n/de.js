@@ -0,0 +1,475 @@
+const de = {
+  'common.cancel': 'Abbrechen',
+  'common.close': 'Schließen',
+  'common.dismiss': 'Ausblenden',
+  'common.saving': 'Speichern...',
+  'common.loading': 'Laden...',
+  'common.previous': 'Zurück',
+  'common.next': 'Weiter',
+  'common.none': 'Keine',
+  'common.me': 'Ich',
+  'common.unknown': 'Unbekannt',
+  'common.user': 'Benutzer',
+  'common.language': 'Sprache',
+  'common.add': 'Hinzufügen',
+  'common.edit': 'Bearbeiten',
+  'common.save': 'Speichern',
+
+  'nav.tracker': 'Tracker',
+  'nav.stats': 'Statistik',
+  'nav.report': 'Bericht',
+  'nav.settings': 'Einstellungen',
+  'nav.logout': 'Abmelden',
+
+  'theme.label': 'Design: {mode}',
+  'theme.title': 'Design wechseln (Auto folgt dem System)',
+  'theme.auto': 'Auto',
+  'theme.light': 'Hell',
+  'theme.dark': 'Dunkel',
+
+  'weekStart.locale': 'Wie die Sprache',
+  'weekStart.sunday': 'Sonntag',
+  'weekStart.monday': 'Montag',
+  'weekStart.saturday': 'Samstag',
+
+  'entry.none': 'Kein Eintrag',
+  'entry.healthy': 'Gesund',
+  'entry.sick': 'Krank ({severity}/5)',
+  'entry.pending': 'Noch nicht synchronisiert',
+  'entry.note': 'Notiz: {note}',
+  'entry.medication': 'Medikamente: {list}',
+
+  'auth.loginTitle': 'Willkommen zurück',
+  'auth.signupTitle': 'Konto erstellen',
+  'auth.loginSubtitle': 'Behalte deine Gesundheit das ganze Jahr im Blick.',
+  'auth.signupSubtitle': 'Beginne deine Gesundheitschronik.',
+  'auth.name': 'Name',
+  'auth.email': 'E-Mail',
+  'auth.password': 'Passwort',
+  'auth.remember': '30 Tage angemeldet bleiben',
+  'auth.forgot': 'Passwort vergessen?',
+  'auth.wait': 'Bitte warten...',
+  'auth.login': 'Anmelden',
+  'auth.createAccount': 'Konto erstellen',
+  'auth.newHere': 'Neu hier?',
+  'auth.haveAccount': 'Schon ein Konto?',
+  'auth.signUp': 'Registrieren',
+  'auth.failed': 'Etwas ist schiefgelaufen',
+  'auth.sessionExpired': 'Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.',
+  'auth.idleLogout.one': 'Du wurdest nach {count} Minute Inaktivität abgemeldet.',
+  'auth.idleLogout.other': 'Du wurdest nach {count} Minuten Inaktivität abgemeldet.',
+  'auth.restoring': 'Sitzung wird wiederhergestellt...',
+
+  'home.selectDate': 'Datum wählen',
+  'home.dailyEntry': 'Tageseintrag',
+  'home.singleDay': 'Einzelner Tag',
+  'home.dateRange': 'Zeitraum',
+  'home.rangeDates': 'Daten (oder in der Heatmap Umschalt-Klick / ziehen)',
+  'home.date': 'Datum',
+  'home.feltSick': 'Hast du dich heute krank gefühlt?',
+  'home.no': 'Nein',
+  'home.yes': 'Ja',
+  'home.severity': 'Wie schlimm war es? (1-5)',
+  'home.symptoms': 'Symptome',
+  'home.notes': 'Notizen',
+  'home.optional': 'Optional',
+  'home.previewRange': 'Zeitraum prüfen',
+  'home.saveEntry': 'Eintrag speichern',
+
+  'home.loadFailed': 'Einträge konnten nicht geladen werden',
+  'home.synced.one': '{count} Offline-Eintrag synchronisiert.',
+  'home.synced.other': '{count} Offline-Einträge synchronisiert.',
+  'home.syncFailed': 'Synchronisierung von {days} fehlgeschlagen: {message}',
+  'home.invalidEntry': 'Der Server hat einen ungültigen Eintrag geliefert.',
+  'home.savedOffline':
+    'Du bist offline. Der Eintrag wurde auf diesem Gerät gespeichert und wird automatisch synchronisiert.',
+  'home.saved': 'Eintrag gespeichert.',
+  'home.saveFailed': 'Eintrag konnte nicht gespeichert werden',
+  'home.cleared': 'Eintrag gelöscht.',
+  'home.clearedOffline':
+    'Du bist offline. Der Tag wurde auf diesem Gerät gelöscht und wird automatisch synchronisiert.',
+  'home.deleteFailed': 'Eintrag konnte nicht gelöscht werden',
+  'home.undoSaved': '{day} gespeichert',
+  'home.undoUpdated': '{day} aktualisiert',
+  'home.undoCleared': '{day} gelöscht',
+  'home.undoSavedDays.one': '{count} Tag gespeichert',
+  'home.undoSavedDays.other': '{count} Tage gespeichert',
+  'home.savedDays.one': '{count} Tag gespeichert.',
+  'home.savedDays.other': '{count} Tage gespeichert.',
+  'home.failedDays.one': '{count} Tag konnte nicht gespeichert werden.',
+  'home.failedDays.other': '{count} Tage konnten nicht gespeichert werden.',
+  'home.selectRange': 'Wähle ein Start- und Enddatum.',
+  'home.rangeTooLong': 'Ein Zeitraum darf höchstens {max} Tage umfassen.',
+  'home.conflictFailed': 'Synchronisierungskonflikt konnte nicht gelöst werden',
+  'home.invalidMedication': 'Der Server hat ein ungültiges Medikament geliefert.',
+  'home.medicationLogged': 'Medikament eingetragen.',
+  'home.medicationSaveFailed': 'Medikament konnte nicht gespeichert werden',
+  'home.medicationRemoved': 'Medikament entfernt.',
+  'home.medicationDeleteFailed': 'Medikament konnte nicht gelöscht werden',
+  'home.exported.one': '{count} Eintrag exportiert.',
+  'home.exported.other': '{count} Einträge exportiert.',
+  'home.exportFailed': 'Einträge konnten nicht exportiert werden',
+  'home.exportEmpty': 'Im angezeigten Zeitraum gibt es keine Einträge zum Exportieren.',
+  'home.importNoValid': 'Keine gültigen Zeilen in {file}.',
+  'home.importEmpty': '{file} enthält keine Einträge.',
+  'home.importReadFailed': 'Importdatei konnte nicht gelesen werden',
+  'home.imported.one': '{count} Tag importiert.',
+  'home.imported.other': '{count} Tage importiert.',
+  'home.importFailed': '{count} konnten nicht importiert werden: {list}',
+
+  'home.missed.one': 'Du hast {count} Tag ausgelassen',
+  'home.missed.other': 'Du hast {count} Tage ausgelassen',
+  'home.backfillLimit': '(Nachtragen umfasst die letzten {max})',
+  'home.markHealthy': 'Alle als gesund markieren',
+  'home.fillRange': 'Als Zeitraum ausfüllen',
+
+  'home.yearlyHeatmap': 'Jahres-Heatmap',
+  'home.weekOf': 'Woche vom {day}',
+  'home.shortcuts': 'Tastenkürzel',
+  'home.shortcutsTitle': 'Tastenkürzel (?)',
+  'home.healthyCount': 'Gesund: {count}',
+  'home.sickCount': 'Krank: {count}',
+  'home.pendingCount': 'Ausstehend: {count}',
+  'home.week': 'Woche',
+  'home.month': 'Monat',
+  'home.heatmap': 'Heatmap',
+  'home.viewLabel': 'Heatmap-Ansicht',
+  'home.compareWith': 'Vergleichen mit',
+  'home.versus': 'vs. {name}',
+  'home.rangeStart': 'Beginn des Zeitraums',
+  'home.rangeEnd': 'Ende des Zeitraums',
+
+  'view.year': 'Jahr',
+  'view.rolling': 'Letzte 12 Monate',
+  'view.range': 'Eigener Zeitraum',
+  'view.stacked': 'Mehrere Jahre',
+  'view.compare': 'Personen vergleichen',
+
+  'legend.pending': 'Noch nicht synchronisiert',
+  'legend.medication': 'Medikament',
+  'legend.bothSick.one': 'Beide krank: {count} Tag',
+  'legend.bothSick.other': 'Beide krank: {count} Tage',
+  'legend.rangeTrimmed': 'Es werden die letzten {years} Jahre des Zeitraums angezeigt.',
+
+  'heatmap.label': 'Tages-Heatmap. Mit den Pfeiltasten zwischen Tagen wechseln, mit Enter auswählen.',
+  'heatmap.caption': 'Eingetragene Tage vom {start} bis {end}',
+  'heatmap.month': 'Monat',
+
+  'modal.exists': 'Eintrag existiert bereits',
+  'modal.currentValue': 'Aktueller Wert: {value}',
+  'modal.symptoms': 'Symptome: {value}',
+  'modal.note': 'Notiz: {note}',
+  'modal.clearDay': 'Diesen Tag löschen',
+  'modal.continue': 'Weiter bearbeiten',
+  'modal.undo': 'Rückgängig',
+  'modal.conflictTitle': 'Synchronisierungskonflikt',
+  'modal.person': 'Person: {name}',
+  'modal.date': 'Datum: {day}',
+  'modal.serverValue': 'Auf dem Server: {value}',
+  'modal.offlineValue': 'Offline gespeichert: {value}',
+  'modal.keepServer': 'Server behalten',
+  'modal.keepOffline': 'Offline behalten',
+  'modal.updateTitle': 'Eintrag aktualisieren?',
+  'modal.newValue': 'Neuer Wert: {value}',
+  'modal.symptomsChange': 'Symptome: {from} → {to}',
+  'modal.removed': 'Entfernt',
+  'modal.update': 'Eintrag aktualisieren',
+
+  'range.new': 'Neu',
+  'range.overwrite': 'Überschreiben',
+  'range.unchanged': 'Unverändert',
+  'range.saved': 'Gespeichert',
+  'range.failed': 'Fehlgeschlagen',
+  'range.savedWithErrors': 'Zeitraum mit Fehlern gespeichert',
+  'range.apply': 'Auf Zeitraum anwenden?',
+  'range.was': 'vorher {value}',
+  'range.retry': '{count} fehlgeschlagene erneut versuchen',
+  'range.save.one': '{count} Tag speichern',
+  'range.save.other': '{count} Tage speichern',
+
+  'import.title': '{file} importieren?',
+  'import.summary': 'Neue Tage: {added} · Konflikte: {conflicts} · Unverändert: {unchanged}',
+  'import.skipped.one': '{count} ungültige Zeile übersprungen:',
+  'import.skipped.other': '{count} ungültige Zeilen übersprungen:',
+  'import.row': 'Zeile {line} ({reason})',
+  'import.new': 'Neu',
+  'import.overwrite': 'Vorhandene überschreiben',
+  'import.confirm.one': '{count} Tag importieren',
+  'import.confirm.other': '{count} Tage importieren',
+  'import.noList': 'Die JSON-Datei enthält keine Eintragsliste.',
+  'import.invalidRow': 'Datum oder Status fehlt oder ist ungültig',
+  'import.noSuchDate': 'Datum existiert nicht',
+  'import.invalidSeverity': 'Schweregrad muss eine ganze Zahl von 1 bis 5 sein',
+  'import.invalidMetric': 'Messwert außerhalb des gültigen Bereichs: {fields}',
+
+  'episodes.title': 'Krankheitsphasen',
+  'episodes.empty': 'Keine Krankheitstage in diesem Zeitraum.',
+  'episodes.count.one': '{count} Phase',
+  'episodes.count.other': '{count} Phasen',
+  'episodes.days.one': '{count} Tag',
+  'episodes.days.other': '{count} Tage',
+  'episodes.sickDays.one': '{count} Krankheitstag',
+  'episodes.sickDays.other': '{count} Krankheitstage',
+  'episodes.longest.one': 'längste {count} Tag',
+  'episodes.longest.other': 'längste {count} Tage',
+  'episodes.peak': 'Höchstwert {peak}/5',
+  'episodes.untitled': 'Unbenannte Phase',
+  'episodes.name': 'Name der Phase',
+  'episodes.namePlaceholder': 'z. B. Grippe im März',
+  'episodes.diagnosis': 'Diagnose',
+  'episodes.diagnosisPlaceholder': 'Diagnose (optional)',
+  'episodes.save': 'Speichern',
+  'episodes.saved': 'Phase gespeichert.',
+  'episodes.saveFailed': 'Phase konnte nicht gespeichert werden',
+  'episodes.hint': 'Krankheitstage mit bis zu {gap} Tagen Abstand werden zusammengefasst. Zum Benennen anklicken.',
+
+  'report.title': 'Gesundheitsbericht',
+  'report.from': 'Bericht ab',
+  'report.to': 'Bericht bis',
+  'report.sickOnly': 'Nur Krankheitstage auflisten',
+  'report.print': 'Drucken / Als PDF speichern',
+  'report.printHint': 'Für eine PDF-Datei im Druckdialog „Als PDF speichern“ als Drucker wählen.',
+  'report.generated': 'Erstellt am {date}',
+  'report.summary': 'Zusammenfassung',
+  'report.logged': 'Erfasste Tage',
+  'report.sickDays': 'Krankheitstage',
+  'report.average': 'Durchschnittlicher Schweregrad',
+  'report.episodes': 'Krankheitsphasen',
+  'report.longestSick': 'Längste Krankheitsserie',
+  'report.longestHealthy': 'Längste gesunde Serie',
+  'report.dates': 'Zeitraum',
+  'report.episode': 'Phase',
+  'report.duration': 'Dauer',
+  'report.peak': 'Höchster Schweregrad',
+  'report.days': 'Tag für Tag',
+  'report.date': 'Datum',
+  'report.status': 'Status',
+  'report.noEntries': 'In diesem Zeitraum wurde nichts erfasst.',
+
+  'export.button': 'Bild',
+  'export.heading': 'Heatmap {year}',
+  'export.png': 'PNG herunterladen',
+  'export.svg': 'SVG herunterladen',
+  'export.share': 'Bild teilen...',
+  'export.hideNumbers': 'Tageszahlen ausblenden',
+  'export.failed': 'Bild konnte nicht erstellt werden',
+
+  'shared.readOnly': 'Nur lesen',
+  'shared.title': 'Gesundheitsprotokoll von {name}',
+  'shared.titleAnonymous': 'Geteiltes Gesundheitsprotokoll',
+  'shared.expires': 'Link läuft am {date} ab',
+  'shared.ofLogged.one': 'von {count} erfassten Tag',
+  'shared.ofLogged.other': 'von {count} erfassten Tagen',
+  'shared.unavailableTitle': 'Link nicht verfügbar',
+  'shared.unavailable': 'Dieser Link ist abgelaufen oder wurde widerrufen. Bitte um einen neuen Link.',
+
+  'metrics.title': 'Messwerte',
+  'metrics.temperature': 'Temperatur ({unit})',
+  'metrics.sleep': 'Schlaf (Stunden)',
+  'metrics.mood': 'Stimmung',
+  'metrics.energy': 'Energie',
+  'metrics.score.5': '5 – Sehr gut',
+  'metrics.score.4': '4 – Gut',
+  'metrics.score.3': '3 – Mittel',
+  'metrics.score.2': '2 – Niedrig',
+  'metrics.score.1': '1 – Sehr niedrig',
+  'metrics.hours': '{value} Std.',
+  'metrics.value.temperature': 'Temperatur {value}',
+  'metrics.value.sleep': 'Geschlafen {value}',
+  'metrics.value.mood': 'Stimmung {value}',
+  'metrics.value.energy': 'Energie {value}',
+  'metrics.summary': 'Messwerte: {value}',
+  'metrics.change': 'Messwerte: {from} → {to}',
+  'metrics.invalid': 'Bitte diese Messwerte prüfen: {fields}',
+  'metrics.colourBy': 'Farbe der Heatmap',
+  'metrics.byStatus': 'Farbe: Krankheitstage',
+  'metrics.by.temperature': 'Farbe: Temperatur',
+  'metrics.by.sleep': 'Farbe: Schlaf',
+  'metrics.by.mood': 'Farbe: Stimmung',
+  'metrics.by.energy': 'Farbe: Energie',
+  'metrics.noValue': 'Nicht gemessen',
+  'metrics.rangeHint':
+    'Messwerte gelten für einzelne Tage und werden bei Zeiträumen nicht gespeichert. Bearbeite einen einzelnen Tag, um sie einzutragen.',
+
+  'reminder.title': 'Wie geht es dir heute?',
+  'reminder.body': 'Du hast heute noch nichts eingetragen. Tippe, um einen Eintrag hinzuzufügen.',
+
+  'profiles.createFailed': 'Person konnte nicht angelegt werden',
+  'profiles.switchTitle': 'Wechseln, wessen Daten du siehst',
+  'profiles.trackingFor': 'Erfassen für',
+  'profiles.addPerson': 'Person hinzufügen',
+  'profiles.newName': 'Name des neuen Profils',
+
+  'stats.title': 'Statistik',
+  'stats.year': 'Jahr',
+  'stats.range': 'Zeitraum',
+  'stats.fromYear': 'Von Jahr',
+  'stats.toYear': 'Bis Jahr',
+  'stats.to': 'bis',
+  'stats.longestHealthy': 'Längste gesunde Phase',
+  'stats.current': 'Aktuelle Phase',
+  'stats.healthySince': 'Gesund seit {date}',
+  'stats.sickSince': 'Krank seit {date}',
+  'stats.longestSick': 'Längste Krankheit',
+  'stats.from': 'Ab {date}',
+  'stats.sickDays': 'Krankheitstage',
+  'stats.average': 'Durchschnittlicher Schweregrad',
+  'stats.monthly': 'Tage pro Monat',
+  'stats.severity': 'Verteilung der Schweregrade',
+  'stats.weekday': 'Wochentag',
+  'stats.yearOverYear': 'Jahresvergleich (Krankheitstage pro Monat)',
+  'stats.sick': 'Krank',
+  'stats.healthy': 'Gesund',
+  'stats.days': 'Tage',
+  'stats.sickRate': 'Krankheitsquote',
+  'stats.yearTotal': '{value} (Jahr gesamt {total})',
+
+  'settings.profile': 'Profil',
+  'settings.saveProfile': 'Profil speichern',
+  'settings.profileUpdated': 'Profil aktualisiert.',
+  'settings.profileFailed': 'Profil konnte nicht aktualisiert werden',
+  'settings.currentPassword': 'Aktuelles Passwort',
+  'settings.confirmPassword': 'Neues Passwort bestätigen',
+  'settings.changePassword': 'Passwort ändern',
+  'settings.passwordMismatch': 'Die neuen Passwörter stimmen nicht überein.',
+  'settings.passwordChanged': 'Passwort geändert.',
+  'settings.passwordFailed': 'Passwort konnte nicht geändert werden',
+  'settings.appearance': 'Darstellung',
+  'settings.appearanceHint': 'Farben für die Heatmap, ihre Legende und die Statistikdiagramme.',
+  'settings.palette': 'Farbpalette der Heatmap',
+  'settings.glyphs': 'Schweregrad zusätzlich mit Symbolen markieren',
+  'settings.weekStart': 'Erster Tag der Woche',
+  'settings.temperatureUnit': 'Temperatureinheit',
+  'settings.reminders': 'Erinnerungen',
+  'settings.remindersHint':
+    'Erhalte zu einer festen Uhrzeit eine Benachrichtigung, wenn du den Tag noch nicht eingetragen hast.',
+  'settings.reminderAt': 'Tägliche Erinnerung um',
+  'settings.reminderTime': 'Uhrzeit der Erinnerung',
+  'settings.notificationsUnsupported': 'Dieser Browser unterstützt keine Benachrichtigungen.',
+  'settings.notificationsBlocked':
+    'Benachrichtigungen sind für diese Seite blockiert. Erlaube sie in den Browsereinstellungen, um Erinnerungen zu erhalten.',
+  'settings.yourData': 'Deine Daten',
+  'settings.yourDataHint':
+    'Lade alle Einträge, Medikamente und Einnahmen für dich und die erfassten Personen als eine JSON-Datei herunter.',
+  'settings.preparing': 'Wird vorbereitet...',
+  'settings.exportAll': 'Alle Daten exportieren',
+  'settings.exportFailed': 'Daten konnten nicht exportiert werden',
+  'settings.deleteTitle': 'Konto löschen',
+  'settings.deleteHint':
+    'Entfernt dein Konto, alle Profile und alle erfassten Daten dauerhaft. Das kann nicht rückgängig gemacht werden.',
+  'settings.deleteOpen': 'Mein Konto und meine Daten löschen',
+  'settings.deleteConfirmTitle': 'Konto löschen?',
+  'settings.deleteConfirm':
+    'Alle Einträge, Medikamente und Profile von {email} werden gelöscht. Exportiere deine Daten vorher, wenn du eine Kopie behalten möchtest.',
+  'settings.deletePhrase': 'Zum Bestätigen {phrase} eingeben',
+  'settings.deleting': 'Wird gelöscht...',
+  'settings.deletePermanently': 'Endgültig löschen',
+  'settings.deleteFailed': 'Konto konnte nicht gelöscht werden',
+
+  'palette.default': 'Rot / Grün',
+  'palette.viridis': 'Farbenblind-freundlich',
+  'palette.contrast': 'Hoher Kontrast',
+  'palette.mono': 'Monochrom',
+
+  'account.newPassword': 'Neues Passwort',
+  'account.backToLogin': 'Zurück zur Anmeldung',
+  'account.linkExpired': 'Link abgelaufen',
+  'account.sendNewLink': 'Neuen Link senden',
+  'password.show': 'Anzeigen',
+  'password.hide': 'Verbergen',
+  'forgot.title': 'Passwort vergessen',
+  'forgot.subtitle': 'Gib die E-Mail-Adresse deines Kontos ein und wir senden dir einen Link zum Zurücksetzen.',
+  'forgot.send': 'Link zum Zurücksetzen senden',
+  'forgot.remembered': 'Doch wieder eingefallen?',
+  'forgot.sentTitle': 'Prüfe deinen Posteingang',
+  'forgot.sent':
+    'Falls ein Konto für {email} existiert, haben wir einen Link zum Zurücksetzen des Passworts gesendet. Er ist eine Stunde gültig.',
+  'forgot.notReceived': 'Nichts angekommen?',
+  'forgot.retry': 'Erneut versuchen',
+  'reset.title': 'Neues Passwort wählen',
+  'reset.confirm': 'Passwort bestätigen',
+  'reset.submit': 'Passwort aktualisieren',
+  'reset.mismatch': 'Die Passwörter stimmen nicht überein.',
+  'reset.doneTitle': 'Passwort aktualisiert',
+  'reset.done': 'Dein Passwort wurde geändert. Du kannst dich jetzt mit dem neuen anmelden.',
+  'reset.goToLogin': 'Zur Anmeldung',
+  'reset.expired': 'Dieser Link ist ungültig oder wurde bereits verwendet. Fordere einen neuen an, um fortzufahren.',
+  'verify.verifyingTitle': 'E-Mail wird bestätigt',
+  'verify.verifying': 'Einen Moment...',
+  'verify.doneTitle': 'E-Mail bestätigt',
+  'verify.done': 'Danke für die Bestätigung deiner Adresse.',
+  'verify.continue': 'Weiter zur Anmeldung',
+  'verify.failedTitle': 'Bestätigung fehlgeschlagen',
+  'verify.expired': 'Dieser Bestätigungslink ist ungültig oder abgelaufen.',
+  'verify.resent': 'Wir haben einen neuen Bestätigungslink an {email} gesendet.',
+
+  'dayEditor.sick': 'Krank',
+  'dayEditor.clear': 'Leeren',
+  'symptoms.addCustom': 'Eigenes Symptom hinzufügen',
+  'medication.title': 'Medikament',
+  'medication.empty': 'Für diesen Tag ist nichts eingetragen.',
+  'medication.remove': '{name} entfernen',
+  'medication.dose': 'Dosis (z. B. 400 mg)',
+  'medication.log': 'Medikament eintragen',
+  'medication.helped.yes': 'Hat geholfen',
+  'medication.helped.no': 'Hat nicht geholfen',
+  'medication.helped.unsure': 'Noch unklar',
+  'medication.at': 'um {time}',
+  'medication.outcome': '{dose} ({outcome})',
+  'medication.outcome.yes': 'hat geholfen',
+  'medication.outcome.no': 'hat nicht geholfen',
+  'transfer.data': 'Daten',
+  'transfer.export': 'Export',
+  'transfer.import': 'Import',
+  'transfer.yearCsv': 'Dieses Jahr (CSV)',
+  'transfer.yearJson': 'Dieses Jahr (JSON)',
+  'transfer.viewCsv': 'Angezeigter Zeitraum (CSV)',
+  'transfer.viewJson': 'Angezeigter Zeitraum (JSON)',
+  'transfer.allCsv': 'Alle Jahre (CSV)',
+  'transfer.allJson': 'Alle Jahre (JSON)',
+  'transfer.fromFile': 'Aus CSV- oder JSON-Datei...',
+  'shortcuts.intro':
+    'Springe mit Tab zur Heatmap, um zwischen Tagen zu wechseln. Beim Tippen in ein Feld sind Tastenkürzel aus.',
+  'shortcuts.week': 'Vorherige / nächste Woche in der Heatmap',
+  'shortcuts.day': 'Vorheriger / nächster Tag in der Heatmap',
+  'shortcuts.month': 'Vorheriger / nächster Monat in der Heatmap',
+  'shortcuts.ends': 'Erster / letzter angezeigter Tag',
+  'shortcuts.select': 'Fokussierten Tag auswählen (Umschalt+Enter erweitert einen Zeitraum)',
+  'shortcuts.healthy': 'Als gesund markieren',
+  'shortcuts.sick': 'Mit diesem Schweregrad als krank markieren',
+  'shortcuts.save': 'Eintrag speichern',
+  'shortcuts.toggle': 'Diese Liste ein- oder ausblenden',
+  'update.available': 'Eine neue Version ist verfügbar.',
+  'update.reload': 'Neu laden',
+
+  'share.title': 'Freigabelinks',
+  'share.hint':
+    'Wer einen Link hat, sieht Heatmap und Statistik ohne Anmeldung, kann aber nichts ändern. Widerrufe einen Link, damit er nicht mehr funktioniert.',
+  'share.whose': 'Wessen Daten',
+  'share.expires': 'Läuft ab',
+  'share.expiry.week': '1 Woche',
+  'share.expiry.month': '30 Tage',
+  'share.expiry.quarter': '90 Tage',
+  'share.expiry.never': 'Nie (bis zum Widerruf)',
+  'share.note': 'Notiz',
+  'share.notePlaceholder': 'z. B. Dr. Schmidt',
+  'share.create': 'Link erstellen',
+  'share.created': 'Link erstellt.',
+  'share.createdCopied': 'Link erstellt und kopiert.',
+  'share.createFailed': 'Freigabelink konnte nicht erstellt werden',
+  'share.invalid': 'Der Server hat einen ungültigen Freigabelink geliefert.',
+  'share.loadFailed': 'Freigabelinks konnten nicht geladen werden',
+  'share.copy': 'Link kopieren',
+  'share.copied': 'Link kopiert.',
+  'share.copyFailed': 'Kopieren fehlgeschlagen. Der Link lautet {url}',
+  'share.revoke': 'Widerrufen',
+  'share.revoked': 'Link widerrufen. Er öffnet sich nicht mehr.',
+  'share.revokeFailed': 'Freigabelink konnte nicht widerrufen werden',
+  'share.expiresOn': 'Läuft am {date} ab',
+  'share.noExpiry': 'Kein Ablaufdatum',
+  'share.lastOpened': 'Zuletzt geöffnet {date}',
+  'share.notOpened': 'Noch nicht geöffnet',
+  'share.none': 'Keine aktiven Links.'
+};
+
+export default de;
@@ -0,0 +1,471 @@
+// Keys ending in .one / .other are plural forms picked by t(key, { count }).
+const en = {
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.dismiss': 'Dismiss',
+  'common.saving': 'Saving...',
+  'common.loading': 'Loading...',
+  'common.previous': 'Previous',
+  'common.next': 'Next',
+  'common.none': 'None',
+  'common.me': 'Me',
+  'common.unknown': 'Unknown',
+  'common.user': 'User',
+  'common.language': 'Language',
+  'common.add': 'Add',
+  'common.edit': 'Edit',
+  'common.save': 'Save',
+
+  'nav.tracker': 'Tracker',
+  'nav.stats': 'Stats',
+  'nav.report': 'Report',
+  'nav.settings': 'Settings',
+  'nav.logout': 'Logout',
+
+  'theme.label': 'Theme: {mode}',
+  'theme.title': 'Switch theme (Auto follows your system)',
+  'theme.auto': 'Auto',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+
+  'weekStart.locale': 'Language default',
+  'weekStart.sunday': 'Sunday',
+  'weekStart.monday': 'Monday',
+  'weekStart.saturday': 'Saturday',
+
+  'entry.none': 'No entry',
+  'entry.healthy': 'Healthy',
+  'entry.sick': 'Sick ({severity}/5)',
+  'entry.pending': 'Pending sync',
+  'entry.note': 'Note: {note}',
+  'entry.medication': 'Medication: {list}',
+
+  'auth.loginTitle': 'Welcome Back',
+  'auth.signupTitle': 'Create Account',
+  'auth.loginSubtitle': 'Track your health pattern year-round.',
+  'auth.signupSubtitle': 'Start building your health timeline.',
+  'auth.name': 'Name',
+  'auth.email': 'Email',
+  'auth.password': 'Password',
+  'auth.remember': 'Remember me for 30 days',
+  'auth.forgot': 'Forgot password?',
+  'auth.wait': 'Please wait...',
+  'auth.login': 'Login',
+  'auth.createAccount': 'Create account',
+  'auth.newHere': 'New here?',
+  'auth.haveAccount': 'Already have an account?',
+  'auth.signUp': 'Sign up',
+  'auth.failed': 'Something went wrong',
+  'auth.sessionExpired': 'Your session has expired. Please log in again.',
+  'auth.idleLogout.one': 'You were logged out after {count} minute of inactivity.',
+  'auth.idleLogout.other': 'You were logged out after {count} minutes of inactivity.',
+  'auth.restoring': 'Restoring your session...',
+
+  'home.selectDate': 'Select date',
+  'home.dailyEntry': 'Daily Entry',
+  'home.singleDay': 'Single day',
+  'home.dateRange': 'Date range',
+  'home.rangeDates': 'Dates (or shift-click / drag on the heatmap)',
+  'home.date': 'Date',
+  'home.feltSick': 'Did you feel sick today?',
+  'home.no': 'No',
+  'home.yes': 'Yes',
+  'home.severity': 'How bad was it? (1-5)',
+  'home.symptoms': 'Symptoms',
+  'home.notes': 'Notes',
+  'home.optional': 'Optional',
+  'home.previewRange': 'Preview Range',
+  'home.saveEntry': 'Save Entry',
+
+  'home.loadFailed': 'Failed to load entries',
+  'home.synced.one': 'Synced {count} offline entry.',
+  'home.synced.other': 'Synced {count} offline entries.',
+  'home.syncFailed': 'Failed to sync {days}: {message}',
+  'home.invalidEntry': 'Invalid entry returned by server.',
+  'home.savedOffline': 'You are offline. Entry saved on this device and will sync automatically.',
+  'home.saved': 'Entry saved.',
+  'home.saveFailed': 'Failed to save entry',
+  'home.cleared': 'Entry cleared.',
+  'home.clearedOffline':
+    'You are offline. The day is cleared on this device and will sync automatically.',
+  'home.deleteFailed': 'Failed to delete entry',
+  'home.undoSaved': 'Saved {day}',
+  'home.undoUpdated': 'Updated {day}',
+  'home.undoCleared': 'Cleared {day}',
+  'home.undoSavedDays.one': 'Saved {count} day',
+  'home.undoSavedDays.other': 'Saved {count} days',
+  'home.savedDays.one': 'Saved {count} day.',
+  'home.savedDays.other': 'Saved {count} days.',
+  'home.failedDays.one': 'Failed to save {count} day.',
+  'home.failedDays.other': 'Failed to save {count} days.',
+  'home.selectRange': 'Select a start and end date.',
+  'home.rangeTooLong': 'A range can cover at most {max} days.',
+  'home.conflictFailed': 'Failed to resolve sync conflict',
+  'home.invalidMedication': 'Invalid medication returned by server.',
+  'home.medicationLogged': 'Medication logged.',
+  'home.medicationSaveFailed': 'Failed to save medication',
+  'home.medicationRemoved': 'Medication removed.',
+  'home.medicationDeleteFailed': 'Failed to delete medication',
+  'home.exported.one': 'Exported {count} entry.',
+  'home.exported.other': 'Exported {count} entries.',
+  'home.exportFailed': 'Failed to export entries',
+  'home.exportEmpty': 'No entries in the shown period to export.',
+  'home.importNoValid': 'No valid rows in {file}.',
+  'home.importEmpty': '{file} has no entries.',
+  'home.importReadFailed': 'Failed to read import file',
+  'home.imported.one': 'Imported {count} day.',
+  'home.imported.other': 'Imported {count} days.',
+  'home.importFailed': 'Failed to import {count}: {list}',
+
+  'home.missed.one': 'You missed {count} day',
+  'home.missed.other': 'You missed {count} days',
+  'home.backfillLimit': '(backfill covers the last {max})',
+  'home.markHealthy': 'Mark all healthy',
+  'home.fillRange': 'Fill in as range',
+
+  'home.yearlyHeatmap': 'Yearly Heatmap',
+  'home.weekOf': 'Week of {day}',
+  'home.shortcuts': 'Keyboard shortcuts',
+  'home.shortcutsTitle': 'Keyboard shortcuts (?)',
+  'home.healthyCount': 'Healthy: {count}',
+  'home.sickCount': 'Sick: {count}',
+  'home.pendingCount': 'Pending: {count}',
+  'home.week': 'Week',
+  'home.month': 'Month',
+  'home.heatmap': 'Heatmap',
+  'home.viewLabel': 'Heatmap view',
+  'home.compareWith': 'Compare with',
+  'home.versus': 'vs {name}',
+  'home.rangeStart': 'Range start',
+  'home.rangeEnd': 'Range end',
+
+  'view.year': 'Year',
+  'view.rolling': 'Last 12 months',
+  'view.range': 'Custom range',
+  'view.stacked': 'Multi-year',
+  'view.compare': 'Compare people',
+
+  'legend.pending': 'Pending sync',
+  'legend.medication': 'Medication',
+  'legend.bothSick.one': 'Both sick: {count} day',
+  'legend.bothSick.other': 'Both sick: {count} days',
+  'legend.rangeTrimmed': 'Showing the last {years} years of the range.',
+
+  'heatmap.label': 'Days heatmap. Use arrow keys to move between days and Enter to select.',
+  'heatmap.caption': 'Logged days from {start} to {end}',
+  'heatmap.month': 'Month',
+
+  'modal.exists': 'Entry already exists',
+  'modal.currentValue': 'Current value: {value}',
+  'modal.symptoms': 'Symptoms: {value}',
+  'modal.note': 'Note: {note}',
+  'modal.clearDay': 'Clear this day',
+  'modal.continue': 'Continue editing',
+  'modal.undo': 'Undo',
+  'modal.conflictTitle': 'Sync conflict',
+  'modal.person': 'Person: {name}',
+  'modal.date': 'Date: {day}',
+  'modal.serverValue': 'Saved on server: {value}',
+  'modal.offlineValue': 'Saved offline: {value}',
+  'modal.keepServer': 'Keep server',
+  'modal.keepOffline': 'Keep offline',
+  'modal.updateTitle': 'Update this entry?',
+  'modal.newValue': 'New value: {value}',
+  'modal.symptomsChange': 'Symptoms: {from} → {to}',
+  'modal.removed': 'Removed',
+  'modal.update': 'Update Entry',
+
+  'range.new': 'New',
+  'range.overwrite': 'Overwrite',
+  'range.unchanged': 'Unchanged',
+  'range.saved': 'Saved',
+  'range.failed': 'Failed',
+  'range.savedWithErrors': 'Range saved with errors',
+  'range.apply': 'Apply to date range?',
+  'range.was': 'was {value}',
+  'range.retry': 'Retry {count} failed',
+  'range.save.one': 'Save {count} day',
+  'range.save.other': 'Save {count} days',
+
+  'import.title': 'Import {file}?',
+  'import.summary': 'New days: {added} · Conflicting days: {conflicts} · Unchanged: {unchanged}',
+  'import.skipped.one': 'Skipped {count} invalid row:',
+  'import.skipped.other': 'Skipped {count} invalid rows:',
+  'import.row': 'row {line} ({reason})',
+  'import.new': 'New',
+  'import.overwrite': 'Overwrite existing',
+  'import.confirm.one': 'Import {count} day',
+  'import.confirm.other': 'Import {count} days',
+  'import.noList': 'JSON file has no entries list.',
+  'import.invalidRow': 'Missing or invalid date or status',
+  'import.noSuchDate': 'Date does not exist',
+  'import.invalidSeverity': 'Severity must be a whole number from 1 to 5',
+  'import.invalidMetric': 'Measurement out of range: {fields}',
+
+  'episodes.title': 'Illness episodes',
+  'episodes.empty': 'No sick days in this period.',
+  'episodes.count.one': '{count} episode',
+  'episodes.count.other': '{count} episodes',
+  'episodes.days.one': '{count} day',
+  'episodes.days.other': '{count} days',
+  'episodes.sickDays.one': '{count} sick day',
+  'episodes.sickDays.other': '{count} sick days',
+  'episodes.longest.one': 'longest {count} day',
+  'episodes.longest.other': 'longest {count} days',
+  'episodes.peak': 'peak {peak}/5',
+  'episodes.untitled': 'Unnamed episode',
+  'episodes.name': 'Episode name',
+  'episodes.namePlaceholder': 'e.g. March flu',
+  'episodes.diagnosis': 'Diagnosis',
+  'episodes.diagnosisPlaceholder': 'Diagnosis (optional)',
+  'episodes.save': 'Save',
+  'episodes.saved': 'Episode saved.',
+  'episodes.saveFailed': 'Failed to save episode',
+  'episodes.hint': 'Sick days up to {gap} days apart are grouped. Click an episode to name it.',
+
+  'report.title': 'Health report',
+  'report.from': 'Report from',
+  'report.to': 'Report to',
+  'report.sickOnly': 'List sick days only',
+  'report.print': 'Print / Save as PDF',
+  'report.printHint': 'To keep a PDF, pick "Save as PDF" as the printer in the print dialog.',
+  'report.generated': 'Generated {date}',
+  'report.summary': 'Summary',
+  'report.logged': 'Days logged',
+  'report.sickDays': 'Sick days',
+  'report.average': 'Average severity',
+  'report.episodes': 'Illness episodes',
+  'report.longestSick': 'Longest sick streak',
+  'report.longestHealthy': 'Longest healthy streak',
+  'report.dates': 'Dates',
+  'report.episode': 'Episode',
+  'report.duration': 'Duration',
+  'report.peak': 'Peak severity',
+  'report.days': 'Day by day',
+  'report.date': 'Date',
+  'report.status': 'Status',
+  'report.noEntries': 'Nothing logged in this period.',
+
+  'export.button': 'Image',
+  'export.heading': 'Heatmap {year}',
+  'export.png': 'Download PNG',
+  'export.svg': 'Download SVG',
+  'export.share': 'Share image...',
+  'export.hideNumbers': 'Hide day numbers',
+  'export.failed': 'Failed to create image',
+
+  'shared.readOnly': 'Read-only',
+  'shared.title': "{name}'s health log",
+  'shared.titleAnonymous': 'Shared health log',
+  'shared.expires': 'Link expires {date}',
+  'shared.ofLogged.one': 'of {count} logged day',
+  'shared.ofLogged.other': 'of {count} logged days',
+  'shared.unavailableTitle': 'Link unavailable',
+  'shared.unavailable': 'This link has expired or was revoked. Ask the owner for a new one.',
+
+  'metrics.title': 'Measurements',
+  'metrics.temperature': 'Temperature ({unit})',
+  'metrics.sleep': 'Sleep (hours)',
+  'metrics.mood': 'Mood',
+  'metrics.energy': 'Energy',
+  'metrics.score.5': '5 – Very good',
+  'metrics.score.4': '4 – Good',
+  'metrics.score.3': '3 – Okay',
+  'metrics.score.2': '2 – Low',
+  'metrics.score.1': '1 – Very low',
+  'metrics.hours': '{value} h',
+  'metrics.value.temperature': 'Temperature {value}',
+  'metrics.value.sleep': 'Slept {value}',
+  'metrics.value.mood': 'Mood {value}',
+  'metrics.value.energy': 'Energy {value}',
+  'metrics.summary': 'Measurements: {value}',
+  'metrics.change': 'Measurements: {from} → {to}',
+  'metrics.invalid': 'Check these measurements: {fields}',
+  'metrics.colourBy': 'Heatmap colour',
+  'metrics.byStatus': 'Colour: sick days',
+  'metrics.by.temperature': 'Colour: temperature',
+  'metrics.by.sleep': 'Colour: sleep',
+  'metrics.by.mood': 'Colour: mood',
+  'metrics.by.energy': 'Colour: energy',
+  'metrics.noValue': 'Not measured',
+  'metrics.rangeHint':
+    'Measurements are logged per day, so they are left out of range entries. Edit a single day to add them.',
+
+  'reminder.title': 'How are you feeling today?',
+  'reminder.body': "You haven't logged today yet. Tap to add an entry.",
+
+  'profiles.createFailed': 'Failed to create profile',
+  'profiles.switchTitle': 'Switch whose data you are viewing',
+  'profiles.trackingFor': 'Tracking for',
+  'profiles.addPerson': 'Add person',
+  'profiles.newName': 'New profile name',
+
+  'stats.title': 'Statistics',
+  'stats.year': 'Year',
+  'stats.range': 'Range',
+  'stats.fromYear': 'From year',
+  'stats.toYear': 'To year',
+  'stats.to': 'to',
+  'stats.longestHealthy': 'Longest healthy streak',
+  'stats.current': 'Current streak',
+  'stats.healthySince': 'Healthy since {date}',
+  'stats.sickSince': 'Sick since {date}',
+  'stats.longestSick': 'Longest illness',
+  'stats.from': 'From {date}',
+  'stats.sickDays': 'Sick days',
+  'stats.average': 'Average severity',
+  'stats.monthly': 'Days per month',
+  'stats.severity': 'Severity distribution',
+  'stats.weekday': 'Day of week',
+  'stats.yearOverYear': 'Year over year (sick days per month)',
+  'stats.sick': 'Sick',
+  'stats.healthy': 'Healthy',
+  'stats.days': 'Days',
+  'stats.sickRate': 'Sick rate',
+  'stats.yearTotal': '{value} (year total {total})',
+
+  'settings.profile': 'Profile',
+  'settings.saveProfile': 'Save profile',
+  'settings.profileUpdated': 'Profile updated.',
+  'settings.profileFailed': 'Failed to update profile',
+  'settings.currentPassword': 'Current password',
+  'settings.confirmPassword': 'Confirm new password',
+  'settings.changePassword': 'Change password',
+  'settings.passwordMismatch': 'New passwords do not match.',
+  'settings.passwordChanged': 'Password changed.',
+  'settings.passwordFailed': 'Failed to change password',
+  'settings.appearance': 'Appearance',
+  'settings.appearanceHint': 'Colours used for the heatmap, its legend and the statistics charts.',
+  'settings.palette': 'Heatmap palette',
+  'settings.glyphs': 'Mark severity with symbols as well as colour',
+  'settings.weekStart': 'First day of the week',
+  'settings.temperatureUnit': 'Temperature unit',
+  'settings.reminders': 'Reminders',
+  'settings.remindersHint': "Get a notification at a set time if you haven't logged the day yet.",
+  'settings.reminderAt': 'Daily reminder at',
+  'settings.reminderTime': 'Reminder time',
+  'settings.notificationsUnsupported': 'This browser does not support notifications.',
+  'settings.notificationsBlocked':
+    'Notifications are blocked for this site. Allow them in your browser settings to receive reminders.',
+  'settings.yourData': 'Your data',
+  'settings.yourDataHint':
+    'Download every entry, medication and dose for you and the people you track, as a single JSON file.',
+  'settings.preparing': 'Preparing...',
+  'settings.exportAll': 'Export all data',
+  'settings.exportFailed': 'Failed to export data',
+  'settings.deleteTitle': 'Delete account',
+  'settings.deleteHint': 'Permanently removes your account, every profile and all logged data. This cannot be undone.',
+  'settings.deleteOpen': 'Delete my account and data',
+  'settings.deleteConfirmTitle': 'Delete account?',
+  'settings.deleteConfirm':
+    'All entries, medications and profiles for {email} will be deleted. Export your data first if you want to keep a copy.',
+  'settings.deletePhrase': 'Type {phrase} to confirm',
+  'settings.deleting': 'Deleting...',
+  'settings.deletePermanently': 'Delete permanently',
+  'settings.deleteFailed': 'Failed to delete account',
+
+  'palette.default': 'Red / green',
+  'palette.viridis': 'Colour-blind safe',
+  'palette.contrast': 'High contrast',
+  'palette.mono': 'Monochrome',
+
+  'account.newPassword': 'New password',
+  'account.backToLogin': 'Back to login',
+  'account.linkExpired': 'Link expired',
+  'account.sendNewLink': 'Send a new link',
+  'password.show': 'Show',
+  'password.hide': 'Hide',
+  'forgot.title': 'Forgot password',
+  'forgot.subtitle': "Enter your account email and we'll send you a reset link.",
+  'forgot.send': 'Send reset link',
+  'forgot.remembered': 'Remembered it?',
+  'forgot.sentTitle': 'Check your inbox',
+  'forgot.sent': 'If an account exists for {email}, we sent a link to reset your password. It expires in one hour.',
+  'forgot.notReceived': "Didn't get it?",
+  'forgot.retry': 'Try again',
+  'reset.title': 'Choose a new password',
+  'reset.confirm': 'Confirm password',
+  'reset.submit': 'Update password',
+  'reset.mismatch': 'Passwords do not match.',
+  'reset.doneTitle': 'Password updated',
+  'reset.done': 'Your password has been changed. You can now log in with the new one.',
+  'reset.goToLogin': 'Go to login',
+  'reset.expired': 'This reset link is invalid or has already been used. Request a new one to continue.',
+  'verify.verifyingTitle': 'Verifying email',
+  'verify.verifying': 'One moment...',
+  'verify.doneTitle': 'Email verified',
+  'verify.done': 'Thanks for confirming your address.',
+  'verify.continue': 'Continue to login',
+  'verify.failedTitle': 'Verification failed',
+  'verify.expired': 'This verification link is invalid or has expired.',
+  'verify.resent': 'We sent a new verification link to {email}.',
+
+  'dayEditor.sick': 'Sick',
+  'dayEditor.clear': 'Clear',
+  'symptoms.addCustom': 'Add custom symptom',
+  'medication.title': 'Medication',
+  'medication.empty': 'Nothing logged for this day.',
+  'medication.remove': 'Remove {name}',
+  'medication.dose': 'Dose (e.g. 400 mg)',
+  'medication.log': 'Log medication',
+  'medication.helped.yes': 'Helped',
+  'medication.helped.no': 'Did not help',
+  'medication.helped.unsure': 'Not sure yet',
+  'medication.at': 'at {time}',
+  'medication.outcome': '{dose} ({outcome})',
+  'medication.outcome.yes': 'helped',
+  'medication.outcome.no': 'did not help',
+  'transfer.data': 'Data',
+  'transfer.export': 'Export',
+  'transfer.import': 'Import',
+  'transfer.yearCsv': 'This year (CSV)',
+  'transfer.yearJson': 'This year (JSON)',
+  'transfer.viewCsv': 'Shown period (CSV)',
+  'transfer.viewJson': 'Shown period (JSON)',
+  'transfer.allCsv': 'All years (CSV)',
+  'transfer.allJson': 'All years (JSON)',
+  'transfer.fromFile': 'From CSV or JSON file...',
+  'shortcuts.intro': 'Tab to the heatmap to move between days. Shortcuts are ignored while typing in a field.',
+  'shortcuts.week': 'Previous / next week on the heatmap',
+  'shortcuts.day': 'Previous / next day on the heatmap',
+  'shortcuts.month': 'Previous / next month on the heatmap',
+  'shortcuts.ends': 'First / last day shown',
+  'shortcuts.select': 'Select the focused day (Shift+Enter extends a range)',
+  'shortcuts.healthy': 'Mark as healthy',
+  'shortcuts.sick': 'Mark as sick with that severity',
+  'shortcuts.save': 'Save the entry',
+  'shortcuts.toggle': 'Show or hide this list',
+  'update.available': 'A new version is available.',
+  'update.reload': 'Reload',
+
+  'share.title': 'Share links',
+  'share.hint':
+    'Anyone with a link can view the heatmap and statistics without logging in, but cannot change anything. Revoke a link to stop it working.',
+  'share.whose': 'Whose data',
+  'share.expires': 'Expires',
+  'share.expiry.week': '1 week',
+  'share.expiry.month': '30 days',
+  'share.expiry.quarter': '90 days',
+  'share.expiry.never': 'Never (until revoked)',
+  'share.note': 'Note',
+  'share.notePlaceholder': 'e.g. Dr. Smith',
+  'share.create': 'Create link',
+  'share.created': 'Link created.',
+  'share.createdCopied': 'Link created and copied.',
+  'share.createFailed': 'Failed to create share link',
+  'share.invalid': 'Invalid share link returned by server.',
+  'share.loadFailed': 'Failed to fetch share links',
+  'share.copy': 'Copy link',
+  'share.copied': 'Link copied.',
+  'share.copyFailed': 'Copy failed. The link is {url}',
+  'share.revoke': 'Revoke',
+  'share.revoked': 'Link revoked. It no longer opens.',
+  'share.revokeFailed': 'Failed to revoke share link',
+  'share.expiresOn': 'Expires {date}',
+  'share.noExpiry': 'No expiry',
+  'share.lastOpened': 'Last opened {date}',
+  'share.notOpened': 'Not opened yet',
+  'share.none': 'No active links.'
+};
+
+export default en;
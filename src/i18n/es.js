@@ -0,0 +1,474 @@
+const es = {
+  'common.cancel': 'Cancelar',
+  'common.close': 'Cerrar',
+  'common.dismiss': 'Descartar',
+  'common.saving': 'Guardando...',
+  'common.loading': 'Cargando...',
+  'common.previous': 'Anterior',
+  'common.next': 'Siguiente',
+  'common.none': 'Ninguno',
+  'common.me': 'Yo',
+  'common.unknown': 'Desconocido',
+  'common.user': 'Usuario',
+  'common.language': 'Idioma',
+  'common.add': 'Añadir',
+  'common.edit': 'Editar',
+  'common.save': 'Guardar',
+
+  'nav.tracker': 'Registro',
+  'nav.stats': 'Estadísticas',
+  'nav.report': 'Informe',
+  'nav.settings': 'Ajustes',
+  'nav.logout': 'Cerrar sesión',
+
+  'theme.label': 'Tema: {mode}',
+  'theme.title': 'Cambiar tema (Auto sigue al sistema)',
+  'theme.auto': 'Auto',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+
+  'weekStart.locale': 'Según el idioma',
+  'weekStart.sunday': 'Domingo',
+  'weekStart.monday': 'Lunes',
+  'weekStart.saturday': 'Sábado',
+
+  'entry.none': 'Sin registro',
+  'entry.healthy': 'Sano',
+  'entry.sick': 'Enfermo ({severity}/5)',
+  'entry.pending': 'Pendiente de sincronizar',
+  'entry.note': 'Nota: {note}',
+  'entry.medication': 'Medicación: {list}',
+
+  'auth.loginTitle': 'Bienvenido de nuevo',
+  'auth.signupTitle': 'Crear cuenta',
+  'auth.loginSubtitle': 'Sigue tu salud durante todo el año.',
+  'auth.signupSubtitle': 'Empieza tu historial de salud.',
+  'auth.name': 'Nombre',
+  'auth.email': 'Correo electrónico',
+  'auth.password': 'Contraseña',
+  'auth.remember': 'Recordarme durante 30 días',
+  'auth.forgot': '¿Olvidaste tu contraseña?',
+  'auth.wait': 'Espera...',
+  'auth.login': 'Iniciar sesión',
+  'auth.createAccount': 'Crear cuenta',
+  'auth.newHere': '¿Eres nuevo?',
+  'auth.haveAccount': '¿Ya tienes una cuenta?',
+  'auth.signUp': 'Regístrate',
+  'auth.failed': 'Algo salió mal',
+  'auth.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'auth.idleLogout.one': 'Se cerró tu sesión tras {count} minuto de inactividad.',
+  'auth.idleLogout.other': 'Se cerró tu sesión tras {count} minutos de inactividad.',
+  'auth.restoring': 'Restaurando tu sesión...',
+
+  'home.selectDate': 'Elegir fecha',
+  'home.dailyEntry': 'Registro diario',
+  'home.singleDay': 'Un día',
+  'home.dateRange': 'Intervalo',
+  'home.rangeDates': 'Fechas (o Mayús-clic / arrastrar en el mapa)',
+  'home.date': 'Fecha',
+  'home.feltSick': '¿Te sentiste enfermo hoy?',
+  'home.no': 'No',
+  'home.yes': 'Sí',
+  'home.severity': '¿Cuánto? (1-5)',
+  'home.symptoms': 'Síntomas',
+  'home.notes': 'Notas',
+  'home.optional': 'Opcional',
+  'home.previewRange': 'Revisar intervalo',
+  'home.saveEntry': 'Guardar registro',
+
+  'home.loadFailed': 'No se pudieron cargar los registros',
+  'home.synced.one': '{count} registro sin conexión sincronizado.',
+  'home.synced.other': '{count} registros sin conexión sincronizados.',
+  'home.syncFailed': 'No se pudo sincronizar {days}: {message}',
+  'home.invalidEntry': 'El servidor devolvió un registro no válido.',
+  'home.savedOffline':
+    'Estás sin conexión. El registro se guardó en este dispositivo y se sincronizará automáticamente.',
+  'home.saved': 'Registro guardado.',
+  'home.saveFailed': 'No se pudo guardar el registro',
+  'home.cleared': 'Registro borrado.',
+  'home.clearedOffline':
+    'Estás sin conexión. El día se ha borrado en este dispositivo y se sincronizará automáticamente.',
+  'home.deleteFailed': 'No se pudo borrar el registro',
+  'home.undoSaved': '{day} guardado',
+  'home.undoUpdated': '{day} actualizado',
+  'home.undoCleared': '{day} borrado',
+  'home.undoSavedDays.one': '{count} día guardado',
+  'home.undoSavedDays.other': '{count} días guardados',
+  'home.savedDays.one': '{count} día guardado.',
+  'home.savedDays.other': '{count} días guardados.',
+  'home.failedDays.one': 'No se pudo guardar {count} día.',
+  'home.failedDays.other': 'No se pudieron guardar {count} días.',
+  'home.selectRange': 'Elige una fecha de inicio y de fin.',
+  'home.rangeTooLong': 'Un intervalo puede abarcar como máximo {max} días.',
+  'home.conflictFailed': 'No se pudo resolver el conflicto de sincronización',
+  'home.invalidMedication': 'El servidor devolvió una medicación no válida.',
+  'home.medicationLogged': 'Medicación registrada.',
+  'home.medicationSaveFailed': 'No se pudo guardar la medicación',
+  'home.medicationRemoved': 'Medicación eliminada.',
+  'home.medicationDeleteFailed': 'No se pudo eliminar la medicación',
+  'home.exported.one': '{count} registro exportado.',
+  'home.exported.other': '{count} registros exportados.',
+  'home.exportFailed': 'No se pudieron exportar los registros',
+  'home.exportEmpty': 'No hay registros que exportar en el periodo mostrado.',
+  'home.importNoValid': 'No hay filas válidas en {file}.',
+  'home.importEmpty': '{file} no tiene registros.',
+  'home.importReadFailed': 'No se pudo leer el archivo de importación',
+  'home.imported.one': '{count} día importado.',
+  'home.imported.other': '{count} días importados.',
+  'home.importFailed': 'No se pudieron importar {count}: {list}',
+
+  'home.missed.one': 'Te saltaste {count} día',
+  'home.missed.other': 'Te saltaste {count} días',
+  'home.backfillLimit': '(el relleno cubre los últimos {max})',
+  'home.markHealthy': 'Marcar todos como sano',
+  'home.fillRange': 'Rellenar como intervalo',
+
+  'home.yearlyHeatmap': 'Mapa anual',
+  'home.weekOf': 'Semana del {day}',
+  'home.shortcuts': 'Atajos de teclado',
+  'home.shortcutsTitle': 'Atajos de teclado (?)',
+  'home.healthyCount': 'Sano: {count}',
+  'home.sickCount': 'Enfermo: {count}',
+  'home.pendingCount': 'Pendientes: {count}',
+  'home.week': 'Semana',
+  'home.month': 'Mes',
+  'home.heatmap': 'Mapa',
+  'home.viewLabel': 'Vista del mapa',
+  'home.compareWith': 'Comparar con',
+  'home.versus': 'vs {name}',
+  'home.rangeStart': 'Inicio del intervalo',
+  'home.rangeEnd': 'Fin del intervalo',
+
+  'view.year': 'Año',
+  'view.rolling': 'Últimos 12 meses',
+  'view.range': 'Intervalo personalizado',
+  'view.stacked': 'Varios años',
+  'view.compare': 'Comparar personas',
+
+  'legend.pending': 'Pendiente de sincronizar',
+  'legend.medication': 'Medicación',
+  'legend.bothSick.one': 'Ambos enfermos: {count} día',
+  'legend.bothSick.other': 'Ambos enfermos: {count} días',
+  'legend.rangeTrimmed': 'Se muestran los últimos {years} años del intervalo.',
+
+  'heatmap.label': 'Mapa de días. Usa las flechas para moverte entre días y Intro para seleccionar.',
+  'heatmap.caption': 'Días registrados del {start} al {end}',
+  'heatmap.month': 'Mes',
+
+  'modal.exists': 'Ya existe un registro',
+  'modal.currentValue': 'Valor actual: {value}',
+  'modal.symptoms': 'Síntomas: {value}',
+  'modal.note': 'Nota: {note}',
+  'modal.clearDay': 'Borrar este día',
+  'modal.continue': 'Seguir editando',
+  'modal.undo': 'Deshacer',
+  'modal.conflictTitle': 'Conflicto de sincronización',
+  'modal.person': 'Persona: {name}',
+  'modal.date': 'Fecha: {day}',
+  'modal.serverValue': 'En el servidor: {value}',
+  'modal.offlineValue': 'Sin conexión: {value}',
+  'modal.keepServer': 'Mantener servidor',
+  'modal.keepOffline': 'Mantener sin conexión',
+  'modal.updateTitle': '¿Actualizar este registro?',
+  'modal.newValue': 'Nuevo valor: {value}',
+  'modal.symptomsChange': 'Síntomas: {from} → {to}',
+  'modal.removed': 'Eliminada',
+  'modal.update': 'Actualizar registro',
+
+  'range.new': 'Nuevo',
+  'range.overwrite': 'Sobrescribir',
+  'range.unchanged': 'Sin cambios',
+  'range.saved': 'Guardado',
+  'range.failed': 'Error',
+  'range.savedWithErrors': 'Intervalo guardado con errores',
+  'range.apply': '¿Aplicar al intervalo?',
+  'range.was': 'antes {value}',
+  'range.retry': 'Reintentar {count} con error',
+  'range.save.one': 'Guardar {count} día',
+  'range.save.other': 'Guardar {count} días',
+
+  'import.title': '¿Importar {file}?',
+  'import.summary': 'Días nuevos: {added} · En conflicto: {conflicts} · Sin cambios: {unchanged}',
+  'import.skipped.one': 'Se omitió {count} fila no válida:',
+  'import.skipped.other': 'Se omitieron {count} filas no válidas:',
+  'import.row': 'fila {line} ({reason})',
+  'import.new': 'Nuevos',
+  'import.overwrite': 'Sobrescribir existentes',
+  'import.confirm.one': 'Importar {count} día',
+  'import.confirm.other': 'Importar {count} días',
+  'import.noList': 'El archivo JSON no tiene una lista de registros.',
+  'import.invalidRow': 'Fecha o estado ausente o no válido',
+  'import.noSuchDate': 'La fecha no existe',
+  'import.invalidSeverity': 'La gravedad debe ser un número entero del 1 al 5',
+  'import.invalidMetric': 'Medición fuera de rango: {fields}',
+
+  'episodes.title': 'Episodios de enfermedad',
+  'episodes.empty': 'No hay días de enfermedad en este periodo.',
+  'episodes.count.one': '{count} episodio',
+  'episodes.count.other': '{count} episodios',
+  'episodes.days.one': '{count} día',
+  'episodes.days.other': '{count} días',
+  'episodes.sickDays.one': '{count} día enfermo',
+  'episodes.sickDays.other': '{count} días enfermo',
+  'episodes.longest.one': 'el más largo {count} día',
+  'episodes.longest.other': 'el más largo {count} días',
+  'episodes.peak': 'máximo {peak}/5',
+  'episodes.untitled': 'Episodio sin nombre',
+  'episodes.name': 'Nombre del episodio',
+  'episodes.namePlaceholder': 'p. ej. gripe de marzo',
+  'episodes.diagnosis': 'Diagnóstico',
+  'episodes.diagnosisPlaceholder': 'Diagnóstico (opcional)',
+  'episodes.save': 'Guardar',
+  'episodes.saved': 'Episodio guardado.',
+  'episodes.saveFailed': 'No se pudo guardar el episodio',
+  'episodes.hint': 'Los días de enfermedad separados por hasta {gap} días se agrupan. Haz clic en un episodio para nombrarlo.',
+
+  'report.title': 'Informe de salud',
+  'report.from': 'Informe desde',
+  'report.to': 'Informe hasta',
+  'report.sickOnly': 'Mostrar solo días de enfermedad',
+  'report.print': 'Imprimir / Guardar como PDF',
+  'report.printHint': 'Para obtener un PDF, elige «Guardar como PDF» como impresora en el diálogo de impresión.',
+  'report.generated': 'Generado el {date}',
+  'report.summary': 'Resumen',
+  'report.logged': 'Días registrados',
+  'report.sickDays': 'Días de enfermedad',
+  'report.average': 'Gravedad media',
+  'report.episodes': 'Episodios de enfermedad',
+  'report.longestSick': 'Racha de enfermedad más larga',
+  'report.longestHealthy': 'Racha sana más larga',
+  'report.dates': 'Fechas',
+  'report.episode': 'Episodio',
+  'report.duration': 'Duración',
+  'report.peak': 'Gravedad máxima',
+  'report.days': 'Día a día',
+  'report.date': 'Fecha',
+  'report.status': 'Estado',
+  'report.noEntries': 'No hay nada registrado en este periodo.',
+
+  'export.button': 'Imagen',
+  'export.heading': 'Mapa {year}',
+  'export.png': 'Descargar PNG',
+  'export.svg': 'Descargar SVG',
+  'export.share': 'Compartir imagen...',
+  'export.hideNumbers': 'Ocultar números de día',
+  'export.failed': 'No se pudo crear la imagen',
+
+  'shared.readOnly': 'Solo lectura',
+  'shared.title': 'Registro de salud de {name}',
+  'shared.titleAnonymous': 'Registro de salud compartido',
+  'shared.expires': 'El enlace caduca el {date}',
+  'shared.ofLogged.one': 'de {count} día registrado',
+  'shared.ofLogged.other': 'de {count} días registrados',
+  'shared.unavailableTitle': 'Enlace no disponible',
+  'shared.unavailable': 'Este enlace ha caducado o fue revocado. Pide uno nuevo a su propietario.',
+
+  'metrics.title': 'Mediciones',
+  'metrics.temperature': 'Temperatura ({unit})',
+  'metrics.sleep': 'Sueño (horas)',
+  'metrics.mood': 'Ánimo',
+  'metrics.energy': 'Energía',
+  'metrics.score.5': '5 – Muy bien',
+  'metrics.score.4': '4 – Bien',
+  'metrics.score.3': '3 – Regular',
+  'metrics.score.2': '2 – Bajo',
+  'metrics.score.1': '1 – Muy bajo',
+  'metrics.hours': '{value} h',
+  'metrics.value.temperature': 'Temperatura {value}',
+  'metrics.value.sleep': 'Durmió {value}',
+  'metrics.value.mood': 'Ánimo {value}',
+  'metrics.value.energy': 'Energía {value}',
+  'metrics.summary': 'Mediciones: {value}',
+  'metrics.change': 'Mediciones: {from} → {to}',
+  'metrics.invalid': 'Revisa estas mediciones: {fields}',
+  'metrics.colourBy': 'Color del mapa',
+  'metrics.byStatus': 'Color: días enfermo',
+  'metrics.by.temperature': 'Color: temperatura',
+  'metrics.by.sleep': 'Color: sueño',
+  'metrics.by.mood': 'Color: ánimo',
+  'metrics.by.energy': 'Color: energía',
+  'metrics.noValue': 'Sin medir',
+  'metrics.rangeHint':
+    'Las mediciones son de cada día y no se guardan en un intervalo. Edita un solo día para añadirlas.',
+
+  'reminder.title': '¿Cómo te encuentras hoy?',
+  'reminder.body': 'Todavía no has registrado el día de hoy. Toca para añadir un registro.',
+
+  'profiles.createFailed': 'No se pudo crear la persona',
+  'profiles.switchTitle': 'Cambiar de quién son los datos que ves',
+  'profiles.trackingFor': 'Registrando para',
+  'profiles.addPerson': 'Añadir persona',
+  'profiles.newName': 'Nombre del nuevo perfil',
+
+  'stats.title': 'Estadísticas',
+  'stats.year': 'Año',
+  'stats.range': 'Intervalo',
+  'stats.fromYear': 'Desde el año',
+  'stats.toYear': 'Hasta el año',
+  'stats.to': 'a',
+  'stats.longestHealthy': 'Racha sana más larga',
+  'stats.current': 'Racha actual',
+  'stats.healthySince': 'Sano desde el {date}',
+  'stats.sickSince': 'Enfermo desde el {date}',
+  'stats.longestSick': 'Enfermedad más larga',
+  'stats.from': 'Desde el {date}',
+  'stats.sickDays': 'Días de enfermedad',
+  'stats.average': 'Gravedad media',
+  'stats.monthly': 'Días por mes',
+  'stats.severity': 'Distribución de la gravedad',
+  'stats.weekday': 'Día de la semana',
+  'stats.yearOverYear': 'Comparación anual (días de enfermedad por mes)',
+  'stats.sick': 'Enfermo',
+  'stats.healthy': 'Sano',
+  'stats.days': 'Días',
+  'stats.sickRate': 'Tasa de enfermedad',
+  'stats.yearTotal': '{value} (total anual {total})',
+
+  'settings.profile': 'Perfil',
+  'settings.saveProfile': 'Guardar perfil',
+  'settings.profileUpdated': 'Perfil actualizado.',
+  'settings.profileFailed': 'No se pudo actualizar el perfil',
+  'settings.currentPassword': 'Contraseña actual',
+  'settings.confirmPassword': 'Confirmar la nueva contraseña',
+  'settings.changePassword': 'Cambiar contraseña',
+  'settings.passwordMismatch': 'Las contraseñas nuevas no coinciden.',
+  'settings.passwordChanged': 'Contraseña cambiada.',
+  'settings.passwordFailed': 'No se pudo cambiar la contraseña',
+  'settings.appearance': 'Apariencia',
+  'settings.appearanceHint': 'Colores del mapa de calor, su leyenda y los gráficos de estadísticas.',
+  'settings.palette': 'Paleta del mapa de calor',
+  'settings.glyphs': 'Marcar la gravedad con símbolos además del color',
+  'settings.weekStart': 'Primer día de la semana',
+  'settings.temperatureUnit': 'Unidad de temperatura',
+  'settings.reminders': 'Recordatorios',
+  'settings.remindersHint': 'Recibe una notificación a una hora fija si todavía no has registrado el día.',
+  'settings.reminderAt': 'Recordatorio diario a las',
+  'settings.reminderTime': 'Hora del recordatorio',
+  'settings.notificationsUnsupported': 'Este navegador no admite notificaciones.',
+  'settings.notificationsBlocked':
+    'Las notificaciones están bloqueadas para este sitio. Permítelas en la configuración del navegador para recibir recordatorios.',
+  'settings.yourData': 'Tus datos',
+  'settings.yourDataHint':
+    'Descarga todos los registros, medicamentos y tomas tuyos y de las personas que sigues en un solo archivo JSON.',
+  'settings.preparing': 'Preparando...',
+  'settings.exportAll': 'Exportar todos los datos',
+  'settings.exportFailed': 'No se pudieron exportar los datos',
+  'settings.deleteTitle': 'Eliminar cuenta',
+  'settings.deleteHint':
+    'Elimina para siempre tu cuenta, todos los perfiles y todos los datos registrados. No se puede deshacer.',
+  'settings.deleteOpen': 'Eliminar mi cuenta y mis datos',
+  'settings.deleteConfirmTitle': '¿Eliminar la cuenta?',
+  'settings.deleteConfirm':
+    'Se eliminarán todos los registros, medicamentos y perfiles de {email}. Exporta tus datos antes si quieres conservar una copia.',
+  'settings.deletePhrase': 'Escribe {phrase} para confirmar',
+  'settings.deleting': 'Eliminando...',
+  'settings.deletePermanently': 'Eliminar definitivamente',
+  'settings.deleteFailed': 'No se pudo eliminar la cuenta',
+
+  'palette.default': 'Rojo / verde',
+  'palette.viridis': 'Apta para daltónicos',
+  'palette.contrast': 'Alto contraste',
+  'palette.mono': 'Monocromo',
+
+  'account.newPassword': 'Nueva contraseña',
+  'account.backToLogin': 'Volver a iniciar sesión',
+  'account.linkExpired': 'Enlace caducado',
+  'account.sendNewLink': 'Enviar un enlace nuevo',
+  'password.show': 'Mostrar',
+  'password.hide': 'Ocultar',
+  'forgot.title': 'Contraseña olvidada',
+  'forgot.subtitle': 'Introduce el correo de tu cuenta y te enviaremos un enlace para restablecerla.',
+  'forgot.send': 'Enviar enlace',
+  'forgot.remembered': '¿Ya la recuerdas?',
+  'forgot.sentTitle': 'Revisa tu bandeja de entrada',
+  'forgot.sent':
+    'Si existe una cuenta para {email}, te enviamos un enlace para restablecer la contraseña. Caduca en una hora.',
+  'forgot.notReceived': '¿No te ha llegado?',
+  'forgot.retry': 'Intentar de nuevo',
+  'reset.title': 'Elige una nueva contraseña',
+  'reset.confirm': 'Confirmar contraseña',
+  'reset.submit': 'Actualizar contraseña',
+  'reset.mismatch': 'Las contraseñas no coinciden.',
+  'reset.doneTitle': 'Contraseña actualizada',
+  'reset.done': 'Tu contraseña se ha cambiado. Ya puedes iniciar sesión con la nueva.',
+  'reset.goToLogin': 'Ir a iniciar sesión',
+  'reset.expired': 'Este enlace no es válido o ya se ha usado. Solicita uno nuevo para continuar.',
+  'verify.verifyingTitle': 'Verificando el correo',
+  'verify.verifying': 'Un momento...',
+  'verify.doneTitle': 'Correo verificado',
+  'verify.done': 'Gracias por confirmar tu dirección.',
+  'verify.continue': 'Continuar a iniciar sesión',
+  'verify.failedTitle': 'Error de verificación',
+  'verify.expired': 'Este enlace de verificación no es válido o ha caducado.',
+  'verify.resent': 'Enviamos un nuevo enlace de verificación a {email}.',
+
+  'dayEditor.sick': 'Enfermo',
+  'dayEditor.clear': 'Borrar',
+  'symptoms.addCustom': 'Añadir síntoma propio',
+  'medication.title': 'Medicamento',
+  'medication.empty': 'No hay nada registrado para este día.',
+  'medication.remove': 'Quitar {name}',
+  'medication.dose': 'Dosis (p. ej. 400 mg)',
+  'medication.log': 'Registrar medicamento',
+  'medication.helped.yes': 'Ayudó',
+  'medication.helped.no': 'No ayudó',
+  'medication.helped.unsure': 'Aún no lo sé',
+  'medication.at': 'a las {time}',
+  'medication.outcome': '{dose} ({outcome})',
+  'medication.outcome.yes': 'ayudó',
+  'medication.outcome.no': 'no ayudó',
+  'transfer.data': 'Datos',
+  'transfer.export': 'Exportar',
+  'transfer.import': 'Importar',
+  'transfer.yearCsv': 'Este año (CSV)',
+  'transfer.yearJson': 'Este año (JSON)',
+  'transfer.viewCsv': 'Periodo mostrado (CSV)',
+  'transfer.viewJson': 'Periodo mostrado (JSON)',
+  'transfer.allCsv': 'Todos los años (CSV)',
+  'transfer.allJson': 'Todos los años (JSON)',
+  'transfer.fromFile': 'Desde un archivo CSV o JSON...',
+  'shortcuts.intro':
+    'Pulsa Tab hasta el mapa de calor para moverte entre días. Los atajos se ignoran mientras escribes en un campo.',
+  'shortcuts.week': 'Semana anterior / siguiente en el mapa de calor',
+  'shortcuts.day': 'Día anterior / siguiente en el mapa de calor',
+  'shortcuts.month': 'Mes anterior / siguiente en el mapa de calor',
+  'shortcuts.ends': 'Primer / último día mostrado',
+  'shortcuts.select': 'Seleccionar el día enfocado (Mayús+Intro amplía un intervalo)',
+  'shortcuts.healthy': 'Marcar como sano',
+  'shortcuts.sick': 'Marcar como enfermo con esa gravedad',
+  'shortcuts.save': 'Guardar el registro',
+  'shortcuts.toggle': 'Mostrar u ocultar esta lista',
+  'update.available': 'Hay una nueva versión disponible.',
+  'update.reload': 'Recargar',
+
+  'share.title': 'Enlaces para compartir',
+  'share.hint':
+    'Cualquiera con el enlace puede ver el mapa de calor y las estadísticas sin iniciar sesión, pero no puede cambiar nada. Revoca un enlace para que deje de funcionar.',
+  'share.whose': 'Datos de',
+  'share.expires': 'Caduca',
+  'share.expiry.week': '1 semana',
+  'share.expiry.month': '30 días',
+  'share.expiry.quarter': '90 días',
+  'share.expiry.never': 'Nunca (hasta revocarlo)',
+  'share.note': 'Nota',
+  'share.notePlaceholder': 'p. ej. Dra. García',
+  'share.create': 'Crear enlace',
+  'share.created': 'Enlace creado.',
+  'share.createdCopied': 'Enlace creado y copiado.',
+  'share.createFailed': 'No se pudo crear el enlace',
+  'share.invalid': 'El servidor devolvió un enlace no válido.',
+  'share.loadFailed': 'No se pudieron cargar los enlaces',
+  'share.copy': 'Copiar enlace',
+  'share.copied': 'Enlace copiado.',
+  'share.copyFailed': 'No se pudo copiar. El enlace es {url}',
+  'share.revoke': 'Revocar',
+  'share.revoked': 'Enlace revocado. Ya no se abre.',
+  'share.revokeFailed': 'No se pudo revocar el enlace',
+  'share.expiresOn': 'Caduca el {date}',
+  'share.noExpiry': 'Sin caducidad',
+  'share.lastOpened': 'Abierto por última vez el {date}',
+  'share.notOpened': 'Aún no se ha abierto',
+  'share.none': 'No hay enlaces activos.'
+};
+
+export default es;
@@ -0,0 +1,475 @@
+const fr = {
+  'common.cancel': 'Annuler',
+  'common.close': 'Fermer',
+  'common.dismiss': 'Masquer',
+  'common.saving': 'Enregistrement...',
+  'common.loading': 'Chargement...',
+  'common.previous': 'Précédent',
+  'common.next': 'Suivant',
+  'common.none': 'Aucun',
+  'common.me': 'Moi',
+  'common.unknown': 'Inconnu',
+  'common.user': 'Utilisateur',
+  'common.language': 'Langue',
+  'common.add': 'Ajouter',
+  'common.edit': 'Modifier',
+  'common.save': 'Enregistrer',
+
+  'nav.tracker': 'Suivi',
+  'nav.stats': 'Statistiques',
+  'nav.report': 'Rapport',
+  'nav.settings': 'Paramètres',
+  'nav.logout': 'Déconnexion',
+
+  'theme.label': 'Thème : {mode}',
+  'theme.title': 'Changer de thème (Auto suit le système)',
+  'theme.auto': 'Auto',
+  'theme.light': 'Clair',
+  'theme.dark': 'Sombre',
+
+  'weekStart.locale': 'Selon la langue',
+  'weekStart.sunday': 'Dimanche',
+  'weekStart.monday': 'Lundi',
+  'weekStart.saturday': 'Samedi',
+
+  'entry.none': 'Aucune saisie',
+  'entry.healthy': 'En forme',
+  'entry.sick': 'Malade ({severity}/5)',
+  'entry.pending': 'En attente de synchronisation',
+  'entry.note': 'Note : {note}',
+  'entry.medication': 'Médicaments : {list}',
+
+  'auth.loginTitle': 'Bon retour',
+  'auth.signupTitle': 'Créer un compte',
+  'auth.loginSubtitle': 'Suivez votre santé tout au long de l’année.',
+  'auth.signupSubtitle': 'Commencez votre historique de santé.',
+  'auth.name': 'Nom',
+  'auth.email': 'E-mail',
+  'auth.password': 'Mot de passe',
+  'auth.remember': 'Rester connecté 30 jours',
+  'auth.forgot': 'Mot de passe oublié ?',
+  'auth.wait': 'Veuillez patienter...',
+  'auth.login': 'Connexion',
+  'auth.createAccount': 'Créer un compte',
+  'auth.newHere': 'Nouveau ici ?',
+  'auth.haveAccount': 'Vous avez déjà un compte ?',
+  'auth.signUp': 'S’inscrire',
+  'auth.failed': 'Une erreur est survenue',
+  'auth.sessionExpired': 'Votre session a expiré. Veuillez vous reconnecter.',
+  'auth.idleLogout.one': "Vous avez été déconnecté après {count} minute d'inactivité.",
+  'auth.idleLogout.other': "Vous avez été déconnecté après {count} minutes d'inactivité.",
+  'auth.restoring': 'Restauration de votre session...',
+
+  'home.selectDate': 'Choisir une date',
+  'home.dailyEntry': 'Saisie du jour',
+  'home.singleDay': 'Un jour',
+  'home.dateRange': 'Période',
+  'home.rangeDates': 'Dates (ou Maj-clic / glisser sur la carte)',
+  'home.date': 'Date',
+  'home.feltSick': 'Vous êtes-vous senti malade aujourd’hui ?',
+  'home.no': 'Non',
+  'home.yes': 'Oui',
+  'home.severity': 'À quel point ? (1-5)',
+  'home.symptoms': 'Symptômes',
+  'home.notes': 'Notes',
+  'home.optional': 'Facultatif',
+  'home.previewRange': 'Aperçu de la période',
+  'home.saveEntry': 'Enregistrer',
+
+  'home.loadFailed': 'Impossible de charger les saisies',
+  'home.synced.one': '{count} saisie hors ligne synchronisée.',
+  'home.synced.other': '{count} saisies hors ligne synchronisées.',
+  'home.syncFailed': 'Échec de la synchronisation de {days} : {message}',
+  'home.invalidEntry': 'Le serveur a renvoyé une saisie invalide.',
+  'home.savedOffline':
+    'Vous êtes hors ligne. La saisie est enregistrée sur cet appareil et sera synchronisée automatiquement.',
+  'home.saved': 'Saisie enregistrée.',
+  'home.saveFailed': 'Impossible d’enregistrer la saisie',
+  'home.cleared': 'Saisie effacée.',
+  'home.clearedOffline':
+    'Vous êtes hors ligne. La journée est effacée sur cet appareil et sera synchronisée automatiquement.',
+  'home.deleteFailed': 'Impossible de supprimer la saisie',
+  'home.undoSaved': '{day} enregistré',
+  'home.undoUpdated': '{day} modifié',
+  'home.undoCleared': '{day} effacé',
+  'home.undoSavedDays.one': '{count} jour enregistré',
+  'home.undoSavedDays.other': '{count} jours enregistrés',
+  'home.savedDays.one': '{count} jour enregistré.',
+  'home.savedDays.other': '{count} jours enregistrés.',
+  'home.failedDays.one': 'Impossible d’enregistrer {count} jour.',
+  'home.failedDays.other': 'Impossible d’enregistrer {count} jours.',
+  'home.selectRange': 'Choisissez une date de début et de fin.',
+  'home.rangeTooLong': 'Une période peut couvrir au plus {max} jours.',
+  'home.conflictFailed': 'Impossible de résoudre le conflit de synchronisation',
+  'home.invalidMedication': 'Le serveur a renvoyé un médicament invalide.',
+  'home.medicationLogged': 'Médicament enregistré.',
+  'home.medicationSaveFailed': 'Impossible d’enregistrer le médicament',
+  'home.medicationRemoved': 'Médicament supprimé.',
+  'home.medicationDeleteFailed': 'Impossible de supprimer le médicament',
+  'home.exported.one': '{count} saisie exportée.',
+  'home.exported.other': '{count} saisies exportées.',
+  'home.exportFailed': 'Impossible d’exporter les saisies',
+  'home.exportEmpty': 'Aucune entrée à exporter dans la période affichée.',
+  'home.importNoValid': 'Aucune ligne valide dans {file}.',
+  'home.importEmpty': '{file} ne contient aucune saisie.',
+  'home.importReadFailed': 'Impossible de lire le fichier d’import',
+  'home.imported.one': '{count} jour importé.',
+  'home.imported.other': '{count} jours importés.',
+  'home.importFailed': 'Échec de l’import de {count} : {list}',
+
+  'home.missed.one': 'Vous avez manqué {count} jour',
+  'home.missed.other': 'Vous avez manqué {count} jours',
+  'home.backfillLimit': '(le rattrapage couvre les {max} derniers)',
+  'home.markHealthy': 'Tout marquer en forme',
+  'home.fillRange': 'Remplir comme période',
+
+  'home.yearlyHeatmap': 'Carte annuelle',
+  'home.weekOf': 'Semaine du {day}',
+  'home.shortcuts': 'Raccourcis clavier',
+  'home.shortcutsTitle': 'Raccourcis clavier (?)',
+  'home.healthyCount': 'En forme : {count}',
+  'home.sickCount': 'Malade : {count}',
+  'home.pendingCount': 'En attente : {count}',
+  'home.week': 'Semaine',
+  'home.month': 'Mois',
+  'home.heatmap': 'Carte',
+  'home.viewLabel': 'Vue de la carte',
+  'home.compareWith': 'Comparer avec',
+  'home.versus': 'vs {name}',
+  'home.rangeStart': 'Début de la période',
+  'home.rangeEnd': 'Fin de la période',
+
+  'view.year': 'Année',
+  'view.rolling': '12 derniers mois',
+  'view.range': 'Période personnalisée',
+  'view.stacked': 'Plusieurs années',
+  'view.compare': 'Comparer des personnes',
+
+  'legend.pending': 'En attente de synchronisation',
+  'legend.medication': 'Médicament',
+  'legend.bothSick.one': 'Malades tous les deux : {count} jour',
+  'legend.bothSick.other': 'Malades tous les deux : {count} jours',
+  'legend.rangeTrimmed': 'Affichage des {years} dernières années de la période.',
+
+  'heatmap.label': 'Carte des jours. Flèches pour se déplacer, Entrée pour sélectionner.',
+  'heatmap.caption': 'Jours saisis du {start} au {end}',
+  'heatmap.month': 'Mois',
+
+  'modal.exists': 'Une saisie existe déjà',
+  'modal.currentValue': 'Valeur actuelle : {value}',
+  'modal.symptoms': 'Symptômes : {value}',
+  'modal.note': 'Note : {note}',
+  'modal.clearDay': 'Effacer ce jour',
+  'modal.continue': 'Continuer la modification',
+  'modal.undo': 'Annuler',
+  'modal.conflictTitle': 'Conflit de synchronisation',
+  'modal.person': 'Personne : {name}',
+  'modal.date': 'Date : {day}',
+  'modal.serverValue': 'Sur le serveur : {value}',
+  'modal.offlineValue': 'Hors ligne : {value}',
+  'modal.keepServer': 'Garder le serveur',
+  'modal.keepOffline': 'Garder hors ligne',
+  'modal.updateTitle': 'Modifier cette saisie ?',
+  'modal.newValue': 'Nouvelle valeur : {value}',
+  'modal.symptomsChange': 'Symptômes : {from} → {to}',
+  'modal.removed': 'Supprimée',
+  'modal.update': 'Modifier la saisie',
+
+  'range.new': 'Nouveau',
+  'range.overwrite': 'Remplacer',
+  'range.unchanged': 'Inchangé',
+  'range.saved': 'Enregistré',
+  'range.failed': 'Échec',
+  'range.savedWithErrors': 'Période enregistrée avec des erreurs',
+  'range.apply': 'Appliquer à la période ?',
+  'range.was': 'avant : {value}',
+  'range.retry': 'Réessayer {count} échec(s)',
+  'range.save.one': 'Enregistrer {count} jour',
+  'range.save.other': 'Enregistrer {count} jours',
+
+  'import.title': 'Importer {file} ?',
+  'import.summary': 'Nouveaux jours : {added} · Conflits : {conflicts} · Inchangés : {unchanged}',
+  'import.skipped.one': '{count} ligne invalide ignorée :',
+  'import.skipped.other': '{count} lignes invalides ignorées :',
+  'import.row': 'ligne {line} ({reason})',
+  'import.new': 'Nouveaux',
+  'import.overwrite': 'Remplacer l’existant',
+  'import.confirm.one': 'Importer {count} jour',
+  'import.confirm.other': 'Importer {count} jours',
+  'import.noList': "Le fichier JSON ne contient pas de liste d'entrées.",
+  'import.invalidRow': 'Date ou statut manquant ou invalide',
+  'import.noSuchDate': "La date n'existe pas",
+  'import.invalidSeverity': 'La gravité doit être un nombre entier de 1 à 5',
+  'import.invalidMetric': 'Mesure hors limites : {fields}',
+
+  'episodes.title': 'Épisodes de maladie',
+  'episodes.empty': 'Aucun jour malade sur cette période.',
+  'episodes.count.one': '{count} épisode',
+  'episodes.count.other': '{count} épisodes',
+  'episodes.days.one': '{count} jour',
+  'episodes.days.other': '{count} jours',
+  'episodes.sickDays.one': '{count} jour malade',
+  'episodes.sickDays.other': '{count} jours malade',
+  'episodes.longest.one': 'le plus long {count} jour',
+  'episodes.longest.other': 'le plus long {count} jours',
+  'episodes.peak': 'pic {peak}/5',
+  'episodes.untitled': 'Épisode sans nom',
+  'episodes.name': "Nom de l'épisode",
+  'episodes.namePlaceholder': 'ex. grippe de mars',
+  'episodes.diagnosis': 'Diagnostic',
+  'episodes.diagnosisPlaceholder': 'Diagnostic (facultatif)',
+  'episodes.save': 'Enregistrer',
+  'episodes.saved': 'Épisode enregistré.',
+  'episodes.saveFailed': "Échec de l'enregistrement de l'épisode",
+  'episodes.hint': "Les jours malades espacés d'au plus {gap} jours sont regroupés. Cliquez sur un épisode pour le nommer.",
+
+  'report.title': 'Rapport de santé',
+  'report.from': 'Rapport du',
+  'report.to': 'Rapport au',
+  'report.sickOnly': 'Lister uniquement les jours malade',
+  'report.print': 'Imprimer / Enregistrer en PDF',
+  'report.printHint': 'Pour obtenir un PDF, choisissez « Enregistrer au format PDF » comme imprimante.',
+  'report.generated': 'Généré le {date}',
+  'report.summary': 'Résumé',
+  'report.logged': 'Jours saisis',
+  'report.sickDays': 'Jours malade',
+  'report.average': 'Gravité moyenne',
+  'report.episodes': 'Épisodes de maladie',
+  'report.longestSick': 'Plus longue série malade',
+  'report.longestHealthy': 'Plus longue série en bonne santé',
+  'report.dates': 'Dates',
+  'report.episode': 'Épisode',
+  'report.duration': 'Durée',
+  'report.peak': 'Gravité maximale',
+  'report.days': 'Jour par jour',
+  'report.date': 'Date',
+  'report.status': 'État',
+  'report.noEntries': 'Rien de saisi sur cette période.',
+
+  'export.button': 'Image',
+  'export.heading': 'Carte {year}',
+  'export.png': 'Télécharger en PNG',
+  'export.svg': 'Télécharger en SVG',
+  'export.share': "Partager l'image...",
+  'export.hideNumbers': 'Masquer les numéros de jour',
+  'export.failed': "Échec de la création de l'image",
+
+  'shared.readOnly': 'Lecture seule',
+  'shared.title': 'Journal de santé de {name}',
+  'shared.titleAnonymous': 'Journal de santé partagé',
+  'shared.expires': 'Le lien expire le {date}',
+  'shared.ofLogged.one': 'sur {count} jour saisi',
+  'shared.ofLogged.other': 'sur {count} jours saisis',
+  'shared.unavailableTitle': 'Lien indisponible',
+  'shared.unavailable': 'Ce lien a expiré ou a été révoqué. Demandez-en un nouveau à son propriétaire.',
+
+  'metrics.title': 'Mesures',
+  'metrics.temperature': 'Température ({unit})',
+  'metrics.sleep': 'Sommeil (heures)',
+  'metrics.mood': 'Humeur',
+  'metrics.energy': 'Énergie',
+  'metrics.score.5': '5 – Très bien',
+  'metrics.score.4': '4 – Bien',
+  'metrics.score.3': '3 – Moyen',
+  'metrics.score.2': '2 – Faible',
+  'metrics.score.1': '1 – Très faible',
+  'metrics.hours': '{value} h',
+  'metrics.value.temperature': 'Température {value}',
+  'metrics.value.sleep': 'Sommeil {value}',
+  'metrics.value.mood': 'Humeur {value}',
+  'metrics.value.energy': 'Énergie {value}',
+  'metrics.summary': 'Mesures : {value}',
+  'metrics.change': 'Mesures : {from} → {to}',
+  'metrics.invalid': 'Vérifiez ces mesures : {fields}',
+  'metrics.colourBy': 'Couleur de la carte',
+  'metrics.byStatus': 'Couleur : jours malades',
+  'metrics.by.temperature': 'Couleur : température',
+  'metrics.by.sleep': 'Couleur : sommeil',
+  'metrics.by.mood': 'Couleur : humeur',
+  'metrics.by.energy': 'Couleur : énergie',
+  'metrics.noValue': 'Non mesuré',
+  'metrics.rangeHint':
+    'Les mesures sont propres à chaque jour et ne sont pas enregistrées pour une période. Modifiez un seul jour pour les saisir.',
+
+  'reminder.title': "Comment vous sentez-vous aujourd'hui ?",
+  'reminder.body': "Vous n'avez encore rien saisi aujourd'hui. Touchez pour ajouter une saisie.",
+
+  'profiles.createFailed': 'Impossible de créer la personne',
+  'profiles.switchTitle': 'Changer la personne dont vous consultez les données',
+  'profiles.trackingFor': 'Suivi pour',
+  'profiles.addPerson': 'Ajouter une personne',
+  'profiles.newName': 'Nom du nouveau profil',
+
+  'stats.title': 'Statistiques',
+  'stats.year': 'Année',
+  'stats.range': 'Période',
+  'stats.fromYear': "À partir de l'année",
+  'stats.toYear': "Jusqu'à l'année",
+  'stats.to': 'à',
+  'stats.longestHealthy': 'Plus longue série en bonne santé',
+  'stats.current': 'Série en cours',
+  'stats.healthySince': 'En bonne santé depuis le {date}',
+  'stats.sickSince': 'Malade depuis le {date}',
+  'stats.longestSick': 'Plus longue maladie',
+  'stats.from': 'À partir du {date}',
+  'stats.sickDays': 'Jours malades',
+  'stats.average': 'Gravité moyenne',
+  'stats.monthly': 'Jours par mois',
+  'stats.severity': 'Répartition de la gravité',
+  'stats.weekday': 'Jour de la semaine',
+  'stats.yearOverYear': "D'une année à l'autre (jours malades par mois)",
+  'stats.sick': 'Malade',
+  'stats.healthy': 'En bonne santé',
+  'stats.days': 'Jours',
+  'stats.sickRate': 'Taux de maladie',
+  'stats.yearTotal': '{value} (total annuel {total})',
+
+  'settings.profile': 'Profil',
+  'settings.saveProfile': 'Enregistrer le profil',
+  'settings.profileUpdated': 'Profil mis à jour.',
+  'settings.profileFailed': 'Échec de la mise à jour du profil',
+  'settings.currentPassword': 'Mot de passe actuel',
+  'settings.confirmPassword': 'Confirmer le nouveau mot de passe',
+  'settings.changePassword': 'Changer le mot de passe',
+  'settings.passwordMismatch': 'Les nouveaux mots de passe ne correspondent pas.',
+  'settings.passwordChanged': 'Mot de passe modifié.',
+  'settings.passwordFailed': 'Échec du changement de mot de passe',
+  'settings.appearance': 'Apparence',
+  'settings.appearanceHint': 'Couleurs utilisées pour la heatmap, sa légende et les graphiques de statistiques.',
+  'settings.palette': 'Palette de la heatmap',
+  'settings.glyphs': 'Indiquer la gravité par des symboles en plus de la couleur',
+  'settings.weekStart': 'Premier jour de la semaine',
+  'settings.temperatureUnit': 'Unité de température',
+  'settings.reminders': 'Rappels',
+  'settings.remindersHint': "Recevez une notification à l'heure choisie si vous n'avez pas encore saisi la journée.",
+  'settings.reminderAt': 'Rappel quotidien à',
+  'settings.reminderTime': 'Heure du rappel',
+  'settings.notificationsUnsupported': 'Ce navigateur ne prend pas en charge les notifications.',
+  'settings.notificationsBlocked':
+    'Les notifications sont bloquées pour ce site. Autorisez-les dans les réglages du navigateur pour recevoir des rappels.',
+  'settings.yourData': 'Vos données',
+  'settings.yourDataHint':
+    'Téléchargez toutes les saisies, médicaments et prises pour vous et les personnes suivies, dans un seul fichier JSON.',
+  'settings.preparing': 'Préparation...',
+  'settings.exportAll': 'Exporter toutes les données',
+  'settings.exportFailed': "Échec de l'export des données",
+  'settings.deleteTitle': 'Supprimer le compte',
+  'settings.deleteHint':
+    'Supprime définitivement votre compte, tous les profils et toutes les données saisies. Action irréversible.',
+  'settings.deleteOpen': 'Supprimer mon compte et mes données',
+  'settings.deleteConfirmTitle': 'Supprimer le compte ?',
+  'settings.deleteConfirm':
+    'Toutes les saisies, médicaments et profils de {email} seront supprimés. Exportez vos données avant pour en garder une copie.',
+  'settings.deletePhrase': 'Saisissez {phrase} pour confirmer',
+  'settings.deleting': 'Suppression...',
+  'settings.deletePermanently': 'Supprimer définitivement',
+  'settings.deleteFailed': 'Échec de la suppression du compte',
+
+  'palette.default': 'Rouge / vert',
+  'palette.viridis': 'Adaptée au daltonisme',
+  'palette.contrast': 'Contraste élevé',
+  'palette.mono': 'Monochrome',
+
+  'account.newPassword': 'Nouveau mot de passe',
+  'account.backToLogin': 'Retour à la connexion',
+  'account.linkExpired': 'Lien expiré',
+  'account.sendNewLink': 'Envoyer un nouveau lien',
+  'password.show': 'Afficher',
+  'password.hide': 'Masquer',
+  'forgot.title': 'Mot de passe oublié',
+  'forgot.subtitle': "Saisissez l'e-mail de votre compte et nous vous enverrons un lien de réinitialisation.",
+  'forgot.send': 'Envoyer le lien',
+  'forgot.remembered': 'Vous vous en souvenez ?',
+  'forgot.sentTitle': 'Consultez votre boîte de réception',
+  'forgot.sent':
+    'Si un compte existe pour {email}, nous avons envoyé un lien pour réinitialiser le mot de passe. Il expire dans une heure.',
+  'forgot.notReceived': "Vous ne l'avez pas reçu ?",
+  'forgot.retry': 'Réessayer',
+  'reset.title': 'Choisissez un nouveau mot de passe',
+  'reset.confirm': 'Confirmer le mot de passe',
+  'reset.submit': 'Mettre à jour le mot de passe',
+  'reset.mismatch': 'Les mots de passe ne correspondent pas.',
+  'reset.doneTitle': 'Mot de passe mis à jour',
+  'reset.done': 'Votre mot de passe a été modifié. Vous pouvez maintenant vous connecter avec le nouveau.',
+  'reset.goToLogin': 'Aller à la connexion',
+  'reset.expired':
+    'Ce lien de réinitialisation est invalide ou a déjà été utilisé. Demandez-en un nouveau pour continuer.',
+  'verify.verifyingTitle': "Vérification de l'e-mail",
+  'verify.verifying': 'Un instant...',
+  'verify.doneTitle': 'E-mail vérifié',
+  'verify.done': "Merci d'avoir confirmé votre adresse.",
+  'verify.continue': 'Continuer vers la connexion',
+  'verify.failedTitle': 'Échec de la vérification',
+  'verify.expired': 'Ce lien de vérification est invalide ou a expiré.',
+  'verify.resent': 'Nous avons envoyé un nouveau lien de vérification à {email}.',
+
+  'dayEditor.sick': 'Malade',
+  'dayEditor.clear': 'Effacer',
+  'symptoms.addCustom': 'Ajouter un symptôme',
+  'medication.title': 'Médicament',
+  'medication.empty': 'Rien de saisi pour ce jour.',
+  'medication.remove': 'Retirer {name}',
+  'medication.dose': 'Dose (ex. 400 mg)',
+  'medication.log': 'Saisir le médicament',
+  'medication.helped.yes': 'A aidé',
+  'medication.helped.no': "N'a pas aidé",
+  'medication.helped.unsure': 'Pas encore sûr',
+  'medication.at': 'à {time}',
+  'medication.outcome': '{dose} ({outcome})',
+  'medication.outcome.yes': 'a aidé',
+  'medication.outcome.no': "n'a pas aidé",
+  'transfer.data': 'Données',
+  'transfer.export': 'Exporter',
+  'transfer.import': 'Importer',
+  'transfer.yearCsv': 'Cette année (CSV)',
+  'transfer.yearJson': 'Cette année (JSON)',
+  'transfer.viewCsv': 'Période affichée (CSV)',
+  'transfer.viewJson': 'Période affichée (JSON)',
+  'transfer.allCsv': 'Toutes les années (CSV)',
+  'transfer.allJson': 'Toutes les années (JSON)',
+  'transfer.fromFile': "D'un fichier CSV ou JSON...",
+  'shortcuts.intro':
+    'Atteignez la heatmap avec Tab pour passer d’un jour à l’autre. Les raccourcis sont ignorés pendant la saisie.',
+  'shortcuts.week': 'Semaine précédente / suivante sur la heatmap',
+  'shortcuts.day': 'Jour précédent / suivant sur la heatmap',
+  'shortcuts.month': 'Mois précédent / suivant sur la heatmap',
+  'shortcuts.ends': 'Premier / dernier jour affiché',
+  'shortcuts.select': 'Sélectionner le jour actif (Maj+Entrée étend une période)',
+  'shortcuts.healthy': 'Marquer en bonne santé',
+  'shortcuts.sick': 'Marquer malade avec cette gravité',
+  'shortcuts.save': 'Enregistrer la saisie',
+  'shortcuts.toggle': 'Afficher ou masquer cette liste',
+  'update.available': 'Une nouvelle version est disponible.',
+  'update.reload': 'Recharger',
+
+  'share.title': 'Liens de partage',
+  'share.hint':
+    'Toute personne disposant du lien peut voir la heatmap et les statistiques sans se connecter, sans rien modifier. Révoquez un lien pour le désactiver.',
+  'share.whose': 'Données de',
+  'share.expires': 'Expiration',
+  'share.expiry.week': '1 semaine',
+  'share.expiry.month': '30 jours',
+  'share.expiry.quarter': '90 jours',
+  'share.expiry.never': "Jamais (jusqu'à révocation)",
+  'share.note': 'Note',
+  'share.notePlaceholder': 'ex. Dr Martin',
+  'share.create': 'Créer un lien',
+  'share.created': 'Lien créé.',
+  'share.createdCopied': 'Lien créé et copié.',
+  'share.createFailed': 'Échec de la création du lien de partage',
+  'share.invalid': 'Le serveur a renvoyé un lien de partage invalide.',
+  'share.loadFailed': 'Échec du chargement des liens de partage',
+  'share.copy': 'Copier le lien',
+  'share.copied': 'Lien copié.',
+  'share.copyFailed': 'La copie a échoué. Le lien est {url}',
+  'share.revoke': 'Révoquer',
+  'share.revoked': "Lien révoqué. Il ne s'ouvre plus.",
+  'share.revokeFailed': 'Échec de la révocation du lien de partage',
+  'share.expiresOn': 'Expire le {date}',
+  'share.noExpiry': "Pas d'expiration",
+  'share.lastOpened': 'Dernière ouverture : {date}',
+  'share.notOpened': 'Pas encore ouvert',
+  'share.none': 'Aucun lien actif.'
+};
+
+export default fr;
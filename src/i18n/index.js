@@ -0,0 +1,112 @@
+import { format } from 'date-fns';
+import { de, enGB, es, fr } from 'date-fns/locale';
+import { registerLocale } from 'react-datepicker';
+import deCatalog from './de';
+import enCatalog from './en';
+import esCatalog from './es';
+import frCatalog from './fr';
+
+// `weekStart` is the default first day of the week (0 = Sunday) for the
+// language; English keeps the Sunday-first layout the heatmap always had.
+export const LANGUAGES = [
+  { value: 'en', label: 'English', locale: enGB, catalog: enCatalog, weekStart: 0 },
+  { value: 'de', label: 'Deutsch', locale: de, catalog: deCatalog, weekStart: 1 },
+  { value: 'fr', label: 'Français', locale: fr, catalog: frCatalog, weekStart: 1 },
+  { value: 'es', label: 'Español', locale: es, catalog: esCatalog, weekStart: 1 }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// 'locale' follows the language; the numbers are JS weekday indexes.
+export const WEEK_START_OPTIONS = [
+  { value: 'locale', labelKey: 'weekStart.locale' },
+  { value: '0', labelKey: 'weekStart.sunday' },
+  { value: '1', labelKey: 'weekStart.monday' },
+  { value: '6', labelKey: 'weekStart.saturday' }
+];
+
+LANGUAGES.forEach((language) => registerLocale(language.value, language.locale));
+
+let active = LANGUAGES[0];
+
+function findLanguage(code) {
+  return LANGUAGES.find((language) => language.value === code) || null;
+}
+
+export function isLanguage(code) {
+  return Boolean(findLanguage(code));
+}
+
+// The first browser language we have a catalog for.
+export function detectLanguage() {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language || ''];
+  const match = preferred.map((tag) => findLanguage(String(tag).slice(0, 2).toLowerCase())).find(Boolean);
+  return match ? match.value : DEFAULT_LANGUAGE;
+}
+
+// App.js calls this while rendering, before any child reads a string, so the
+// whole tree renders in the new language in the same pass.
+export function setLanguage(code) {
+  active = findLanguage(code) || findLanguage(DEFAULT_LANGUAGE);
+}
+
+export function getLanguage() {
+  return active.value;
+}
+
+export function resolveWeekStart(setting, code = active.value) {
+  if (setting === 'locale' || setting === undefined || setting === null) {
+    return (findLanguage(code) || active).weekStart;
+  }
+  const day = Number(setting);
+  return Number.isInteger(day) && day >= 0 && day <= 6 ? day : active.weekStart;
+}
+
+function lookup(key) {
+  if (active.catalog[key] !== undefined) return active.catalog[key];
+  return enCatalog[key];
+}
+
+// Looks `key` up in the active catalog, falling back to English. A numeric
+// `count` picks the `key.one` / `key.other` form for the language's plural
+// rules; `{name}` placeholders are filled from `vars`.
+export function t(key, vars = {}) {
+  let template;
+  if (typeof vars.count === 'number') {
+    const form = new Intl.PluralRules(active.value).select(vars.count);
+    template = lookup(`${key}.${form}`) ?? lookup(`${key}.other`);
+  }
+  if (template === undefined) template = lookup(key);
+  if (template === undefined) return key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])));
+}
+
+export function dateLocale() {
+  return active.locale;
+}
+
+// 'P' is the locale's short numeric date (dd/MM/yyyy in English).
+export function formatDate(date, pattern = 'P') {
+  return format(date, pattern, { locale: active.locale });
+}
+
+export function formatDateKey(dateKey, pattern = 'P') {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return formatDate(new Date(y, m - 1, d), pattern);
+}
+
+function localeFor(code) {
+  return (findLanguage(code) || active).locale;
+}
+
+export function monthNames(width = 'abbreviated', code = active.value) {
+  const { localize } = localeFor(code);
+  return Array.from({ length: 12 }, (_, month) => localize.month(month, { width }));
+}
+
+// Indexed from Sunday, like Date#getDay().
+export function weekdayNames(width = 'abbreviated', code = active.value) {
+  const { localize } = localeFor(code);
+  return Array.from({ length: 7 }, (_, day) => localize.day(day, { width }));
+}
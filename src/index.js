@@ -4,6 +4,7 @@ import { BrowserRouter } from 'react-router-dom';
 import 'react-datepicker/dist/react-datepicker.css';
 import './styles.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -13,3 +14,5 @@ root.render(
     </BrowserRouter>
   </React.StrictMode>
 );
+
+serviceWorkerRegistration.register();
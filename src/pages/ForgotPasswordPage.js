@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset } from '../api/auth';
+import AuthCard from '../components/AuthCard';
+import { t } from '../i18n';
+
+export default function ForgotPasswordPage({ themeMode, onToggleTheme }) {
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      await requestPasswordReset(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      setError(err.message || t('auth.failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (sentTo) {
+    return (
+      <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('forgot.sentTitle')}>
+        <p>{t('forgot.sent', { email: sentTo })}</p>
+        <div className="auth-switch">
+          {t('forgot.notReceived')}{' '}
+          <button type="button" className="text-btn" onClick={() => setSentTo('')}>
+            {t('forgot.retry')}
+          </button>
+        </div>
+        <div className="auth-switch">
+          <Link to="/login" className="text-btn">
+            {t('account.backToLogin')}
+          </Link>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard
+      themeMode={themeMode}
+      onToggleTheme={onToggleTheme}
+      title={t('forgot.title')}
+      subtitle={t('forgot.subtitle')}
+    >
+      <form onSubmit={onSubmit} className="auth-form">
+        <label>
+          {t('auth.email')}
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoComplete="email" />
+        </label>
+
+        {error ? <div className="error-text">{error}</div> : null}
+
+        <button type="submit" className="primary-btn" disabled={busy}>
+          {busy ? t('auth.wait') : t('forgot.send')}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        {t('forgot.remembered')}{' '}
+        <Link to="/login" className="text-btn">
+          {t('auth.login')}
+        </Link>
+      </div>
+    </AuthCard>
+  );
+}
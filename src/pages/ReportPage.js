@@ -0,0 +1,301 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { loadYearEntries } from '../api/entries';
+import { fetchEpisodesByYear } from '../api/episodes';
+import HeatmapLegend from '../components/HeatmapLegend';
+import TopBar from '../components/TopBar';
+import YearHeatmap from '../components/YearHeatmap';
+import { formatDate, formatDateKey, t } from '../i18n';
+import { describeEntry, describeSymptoms, parseDateFromKey, toDateKey } from '../utils/entryModel';
+import { averageSeverity, longestRun } from '../utils/entryStats';
+import { deriveEpisodes, normalizeEpisodeLabel } from '../utils/episodes';
+import { MAX_RANGE_DAYS, resolveView, todayKey } from '../utils/heatmapView';
+import { describeMetrics } from '../utils/metrics';
+import { DEFAULT_PALETTE } from '../utils/palettes';
+
+// The report defaults to the three months before an appointment.
+const DEFAULT_REPORT_MONTHS = 3;
+
+function defaultRange() {
+  const end = todayKey();
+  const start = parseDateFromKey(end);
+  start.setUTCMonth(start.getUTCMonth() - DEFAULT_REPORT_MONTHS);
+  start.setUTCDate(start.getUTCDate() + 1);
+  return { start: toDateKey(start), end };
+}
+
+function formatSpan(start, end) {
+  return start === end ? formatDateKey(start) : `${formatDateKey(start)} – ${formatDateKey(end)}`;
+}
+
+function describeRun(run) {
+  return run ? t('episodes.days', { count: run.length }) : '—';
+}
+
+export default function ReportPage({
+  token,
+  user,
+  onLogout,
+  themeMode,
+  onToggleTheme,
+  palette = DEFAULT_PALETTE,
+  glyphs = false,
+  weekStart = 0,
+  profiles,
+  profileId,
+  onSelectProfile,
+  onAddProfile
+}) {
+  const [range, setRange] = useState(() => defaultRange());
+  const [sickOnly, setSickOnly] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [labels, setLabels] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const view = useMemo(
+    () => resolveView('range', { customStart: range.start, customEnd: range.end }),
+    [range.start, range.end]
+  );
+  const viewYearsKey = view.years.join(',');
+  const trimmed = view.start > range.start && view.start > range.end;
+
+  useEffect(() => {
+    let cancelled = false;
+    const years = viewYearsKey.split(',').map(Number);
+
+    setBusy(true);
+    setError('');
+
+    Promise.all([
+      Promise.all(years.map((year) => loadYearEntries(year, token, profileId))),
+      Promise.all(years.map((year) => fetchEpisodesByYear(year, token, profileId).catch(() => ({}))))
+    ])
+      .then(([perYear, perYearLabels]) => {
+        if (cancelled) return;
+        setEntries(perYear.flat());
+        setLabels(
+          perYearLabels.flatMap((data) =>
+            Array.isArray(data.episodes) ? data.episodes.map(normalizeEpisodeLabel).filter(Boolean) : []
+          )
+        );
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setEntries([]);
+        setLabels([]);
+        setError(err.message || t('home.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setBusy(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [viewYearsKey, token, profileId]);
+
+  const rangeEntries = useMemo(
+    () =>
+      entries
+        .filter((entry) => entry.dateKey >= view.start && entry.dateKey <= view.end)
+        .sort((a, b) => a.dateKey.localeCompare(b.dateKey)),
+    [entries, view]
+  );
+
+  const episodes = useMemo(() => deriveEpisodes(rangeEntries, labels), [rangeEntries, labels]);
+
+  const summary = useMemo(
+    () => ({
+      logged: rangeEntries.length,
+      sickDays: rangeEntries.filter((entry) => entry.isSick).length,
+      average: averageSeverity(rangeEntries),
+      longestSick: longestRun(rangeEntries, 'sick'),
+      longestHealthy: longestRun(rangeEntries, 'healthy')
+    }),
+    [rangeEntries]
+  );
+
+  const dayRows = sickOnly ? rangeEntries.filter((entry) => entry.isSick) : rangeEntries;
+  const personName = profileId
+    ? profiles.find((item) => item.id === profileId)?.name || t('common.unknown')
+    : user?.name || user?.email || t('common.me');
+
+  function onPrint() {
+    // Browsers use the document title as the suggested PDF file name.
+    const previousTitle = document.title;
+    document.title = `health-report-${view.start}-${view.end}`;
+    window.print();
+    document.title = previousTitle;
+  }
+
+  return (
+    <div className="app-shell">
+      <TopBar
+        user={user}
+        themeMode={themeMode}
+        onToggleTheme={onToggleTheme}
+        onLogout={onLogout}
+        profiles={profiles}
+        profileId={profileId}
+        onSelectProfile={onSelectProfile}
+        onAddProfile={onAddProfile}
+      />
+
+      <main className="report-layout">
+        <div className="stats-toolbar report-toolbar">
+          <h2>{t('report.title')}</h2>
+          <div className="range-inputs">
+            <input
+              type="date"
+              value={range.start}
+              aria-label={t('report.from')}
+              onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, start: e.target.value }))}
+            />
+            <input
+              type="date"
+              value={range.end}
+              aria-label={t('report.to')}
+              onChange={(e) => e.target.value && setRange((prev) => ({ ...prev, end: e.target.value }))}
+            />
+          </div>
+          <label className="remember-row">
+            <input type="checkbox" checked={sickOnly} onChange={(e) => setSickOnly(e.target.checked)} />
+            {t('report.sickOnly')}
+          </label>
+          <button type="button" className="primary-btn" onClick={onPrint} disabled={busy}>
+            {t('report.print')}
+          </button>
+        </div>
+        <p className="muted report-toolbar">{t('report.printHint')}</p>
+        {trimmed ? (
+          <p className="muted report-toolbar">
+            {t('legend.rangeTrimmed', { years: Math.floor(MAX_RANGE_DAYS / 366) })}
+          </p>
+        ) : null}
+        {error ? <div className="error-text">{error}</div> : null}
+
+        {busy ? (
+          <div className="muted">{t('common.loading')}</div>
+        ) : (
+          <article className="report-page">
+            <header className="report-header">
+              <h1>{t('report.title')}</h1>
+              <p>
+                <strong>{personName}</strong> · {formatSpan(view.start, view.end)}
+              </p>
+              <p className="report-muted">{t('report.generated', { date: formatDate(new Date(), 'PPp') })}</p>
+            </header>
+
+            <section className="report-section">
+              <h3>{t('report.summary')}</h3>
+              <dl className="report-summary">
+                <div>
+                  <dt>{t('report.logged')}</dt>
+                  <dd>{summary.logged}</dd>
+                </div>
+                <div>
+                  <dt>{t('report.sickDays')}</dt>
+                  <dd>{summary.sickDays}</dd>
+                </div>
+                <div>
+                  <dt>{t('report.average')}</dt>
+                  <dd>{summary.average === null ? '—' : `${summary.average.toFixed(1)}/5`}</dd>
+                </div>
+                <div>
+                  <dt>{t('report.episodes')}</dt>
+                  <dd>{episodes.length}</dd>
+                </div>
+                <div>
+                  <dt>{t('report.longestSick')}</dt>
+                  <dd>{describeRun(summary.longestSick)}</dd>
+                </div>
+                <div>
+                  <dt>{t('report.longestHealthy')}</dt>
+                  <dd>{describeRun(summary.longestHealthy)}</dd>
+                </div>
+              </dl>
+            </section>
+
+            <section className="report-section report-heatmap">
+              <YearHeatmap
+                start={view.start}
+                end={view.end}
+                entries={rangeEntries}
+                theme="light"
+                palette={palette}
+                glyphs={glyphs}
+                weekStart={weekStart}
+                staticImage
+              />
+              <HeatmapLegend palette={palette} glyphs={glyphs} />
+            </section>
+
+            <section className="report-section">
+              <h3>{t('episodes.title')}</h3>
+              {episodes.length ? (
+                <table className="report-table">
+                  <thead>
+                    <tr>
+                      <th>{t('report.dates')}</th>
+                      <th>{t('report.episode')}</th>
+                      <th>{t('report.duration')}</th>
+                      <th>{t('report.peak')}</th>
+                      <th>{t('episodes.diagnosis')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {episodes.map((episode) => (
+                      <tr key={episode.start}>
+                        <td>{formatSpan(episode.start, episode.end)}</td>
+                        <td>{episode.name || '—'}</td>
+                        <td>
+                          {`${t('episodes.days', { count: episode.duration })} (${t('episodes.sickDays', {
+                            count: episode.sickDays
+                          })})`}
+                        </td>
+                        <td>{episode.peak}/5</td>
+                        <td>{episode.diagnosis || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="report-muted">{t('episodes.empty')}</p>
+              )}
+            </section>
+
+            <section className="report-section">
+              <h3>{t('report.days')}</h3>
+              {dayRows.length ? (
+                <table className="report-table">
+                  <thead>
+                    <tr>
+                      <th>{t('report.date')}</th>
+                      <th>{t('report.status')}</th>
+                      <th>{t('home.symptoms')}</th>
+                      <th>{t('metrics.title')}</th>
+                      <th>{t('home.notes')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {dayRows.map((entry) => (
+                      <tr key={entry.dateKey} className={entry.isSick ? 'is-sick' : ''}>
+                        <td>{formatDateKey(entry.dateKey, 'EEE P')}</td>
+                        <td>{describeEntry(entry)}</td>
+                        <td>{describeSymptoms(entry)}</td>
+                        <td>{describeMetrics(entry)}</td>
+                        <td>{entry.note}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="report-muted">{t('report.noEntries')}</p>
+              )}
+            </section>
+          </article>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { isExpiredLinkError, resetPassword } from '../api/auth';
+import AuthCard from '../components/AuthCard';
+import PasswordInput from '../components/PasswordInput';
+import { t } from '../i18n';
+
+export default function ResetPasswordPage({ themeMode, onToggleTheme }) {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [status, setStatus] = useState('form');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    setError('');
+
+    if (password !== confirm) {
+      setError(t('reset.mismatch'));
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await resetPassword(token, password);
+      setStatus('success');
+    } catch (err) {
+      if (isExpiredLinkError(err)) setStatus('expired');
+      else setError(err.message || t('auth.failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (status === 'success') {
+    return (
+      <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('reset.doneTitle')}>
+        <p>{t('reset.done')}</p>
+        <Link to="/login" className="primary-btn full link-btn">
+          {t('reset.goToLogin')}
+        </Link>
+      </AuthCard>
+    );
+  }
+
+  if (status === 'expired') {
+    return (
+      <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('account.linkExpired')}>
+        <p>{t('reset.expired')}</p>
+        <Link to="/forgot-password" className="primary-btn full link-btn">
+          {t('account.sendNewLink')}
+        </Link>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('reset.title')}>
+      <form onSubmit={onSubmit} className="auth-form">
+        <label>
+          {t('account.newPassword')}
+          <PasswordInput value={password} onChange={setPassword} autoComplete="new-password" />
+        </label>
+
+        <label>
+          {t('reset.confirm')}
+          <PasswordInput value={confirm} onChange={setConfirm} autoComplete="new-password" />
+        </label>
+
+        {error ? <div className="error-text">{error}</div> : null}
+
+        <button type="submit" className="primary-btn" disabled={busy}>
+          {busy ? t('auth.wait') : t('reset.submit')}
+        </button>
+      </form>
+    </AuthCard>
+  );
+}
@@ -0,0 +1,533 @@
+import React, { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { changePassword, deleteAccount, updateMe } from '../api/auth';
+import { collectAccountData } from '../api/accountExport';
+import { notificationPermission, requestNotificationPermission, syncReminderState } from '../api/notifications';
+import { createShare, fetchShares, revokeShare } from '../api/shares';
+import LanguageSelect from '../components/LanguageSelect';
+import PasswordInput from '../components/PasswordInput';
+import TopBar from '../components/TopBar';
+import { WEEK_START_OPTIONS, formatDate, t } from '../i18n';
+import { downloadFile } from '../utils/entryTransfer';
+import { PALETTES, SCALE_GLYPHS } from '../utils/palettes';
+import { TEMPERATURE_UNITS } from '../utils/metrics';
+import { readReminderPrefs, reminderOwner, writeReminderPrefs } from '../utils/reminders';
+import {
+  DEFAULT_SHARE_EXPIRY,
+  SHARE_EXPIRY_OPTIONS,
+  expiryFromDays,
+  isShareActive,
+  normalizeShare,
+  shareUrl
+} from '../utils/shareModel';
+
+const DELETE_PHRASE = 'DELETE';
+
+export default function SettingsPage({
+  token,
+  user,
+  onLogout,
+  themeMode,
+  onToggleTheme,
+  palette,
+  glyphs,
+  onPaletteChange,
+  onGlyphsChange,
+  language,
+  onLanguageChange,
+  weekStartSetting,
+  onWeekStartChange,
+  temperatureUnit,
+  onTemperatureUnitChange,
+  profiles,
+  profileId,
+  onSelectProfile,
+  onAddProfile,
+  onUserUpdated,
+  onAccountDeleted
+}) {
+  const [account, setAccount] = useState({ name: user?.name || '', email: user?.email || '' });
+  const [accountStatus, setAccountStatus] = useState({ busy: false, error: '', info: '' });
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [passwordStatus, setPasswordStatus] = useState({ busy: false, error: '', info: '' });
+  const [exportStatus, setExportStatus] = useState({ busy: false, error: '', info: '' });
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [deleteForm, setDeleteForm] = useState({ phrase: '', password: '' });
+  const [deleteStatus, setDeleteStatus] = useState({ busy: false, error: '' });
+  const prefsOwner = reminderOwner(user);
+  const [reminder, setReminder] = useState(() => readReminderPrefs(prefsOwner));
+  const [permission, setPermission] = useState(() => notificationPermission());
+  const [shares, setShares] = useState([]);
+  const [shareForm, setShareForm] = useState({ profileId: '', expiry: DEFAULT_SHARE_EXPIRY, label: '' });
+  const [shareStatus, setShareStatus] = useState({ busy: false, error: '', info: '' });
+
+  useEffect(() => {
+    setAccount({ name: user?.name || '', email: user?.email || '' });
+  }, [user?.name, user?.email]);
+
+  useEffect(() => {
+    setReminder(readReminderPrefs(prefsOwner));
+  }, [prefsOwner]);
+
+  useEffect(() => {
+    fetchShares(token)
+      .then((data) => setShares(Array.isArray(data.shares) ? data.shares.map(normalizeShare).filter(Boolean) : []))
+      .catch((err) => setShareStatus({ busy: false, error: err.message || t('share.loadFailed'), info: '' }));
+  }, [token]);
+
+  const activeShares = shares.filter((share) => isShareActive(share));
+  const profileName = (id) => (id ? profiles.find((item) => item.id === id)?.name || t('common.unknown') : t('common.me'));
+
+  const accountChanged = account.name.trim() !== (user?.name || '') || account.email.trim() !== (user?.email || '');
+
+  async function onSaveAccount(event) {
+    event.preventDefault();
+    setAccountStatus({ busy: true, error: '', info: '' });
+
+    try {
+      const data = await updateMe({ name: account.name.trim(), email: account.email.trim() }, token);
+      onUserUpdated(data.user || { ...user, name: account.name.trim(), email: account.email.trim() });
+      setAccountStatus({ busy: false, error: '', info: t('settings.profileUpdated') });
+    } catch (err) {
+      setAccountStatus({ busy: false, error: err.message || t('settings.profileFailed'), info: '' });
+    }
+  }
+
+  async function onChangePassword(event) {
+    event.preventDefault();
+
+    if (passwords.next !== passwords.confirm) {
+      setPasswordStatus({ busy: false, error: t('settings.passwordMismatch'), info: '' });
+      return;
+    }
+
+    setPasswordStatus({ busy: true, error: '', info: '' });
+    try {
+      await changePassword(passwords.current, passwords.next, token);
+      setPasswords({ current: '', next: '', confirm: '' });
+      setPasswordStatus({ busy: false, error: '', info: t('settings.passwordChanged') });
+    } catch (err) {
+      setPasswordStatus({ busy: false, error: err.message || t('settings.passwordFailed'), info: '' });
+    }
+  }
+
+  async function onExportAll() {
+    setExportStatus({ busy: true, error: '', info: '' });
+
+    try {
+      const data = await collectAccountData(token, user);
+      const name = `sickness-tracker-account-${format(new Date(), 'yyyy-MM-dd')}.json`;
+      downloadFile(name, JSON.stringify(data, null, 2), 'application/json');
+      const total = data.people.reduce((sum, person) => sum + person.entries.length, 0);
+      setExportStatus({ busy: false, error: '', info: t('home.exported', { count: total }) });
+    } catch (err) {
+      setExportStatus({ busy: false, error: err.message || t('settings.exportFailed'), info: '' });
+    }
+  }
+
+  async function updateReminder(patch) {
+    const next = { ...reminder, ...patch };
+    if (patch.enabled) setPermission(await requestNotificationPermission());
+
+    setReminder(next);
+    writeReminderPrefs(prefsOwner, next);
+    // HomePage reports whether today is logged; until then only the schedule changes.
+    if (!next.enabled) syncReminderState({ enabled: false, time: next.time, loggedDay: null });
+  }
+
+  async function copyShareLink(share) {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function onCreateShare(event) {
+    event.preventDefault();
+    setShareStatus({ busy: true, error: '', info: '' });
+
+    try {
+      const data = await createShare(
+        {
+          label: shareForm.label.trim(),
+          expiresAt: expiryFromDays(shareForm.expiry),
+          ...(shareForm.profileId ? { profileId: shareForm.profileId } : {})
+        },
+        token
+      );
+      const share = normalizeShare(data.share);
+      if (!share) throw new Error(t('share.invalid'));
+
+      setShares((prev) => [share, ...prev]);
+      setShareForm((prev) => ({ ...prev, label: '' }));
+      const copied = await copyShareLink(share);
+      setShareStatus({ busy: false, error: '', info: copied ? t('share.createdCopied') : t('share.created') });
+    } catch (err) {
+      setShareStatus({ busy: false, error: err.message || t('share.createFailed'), info: '' });
+    }
+  }
+
+  async function onCopyShare(share) {
+    const copied = await copyShareLink(share);
+    setShareStatus({
+      busy: false,
+      error: copied ? '' : t('share.copyFailed', { url: shareUrl(share.id) }),
+      info: copied ? t('share.copied') : ''
+    });
+  }
+
+  async function onRevokeShare(share) {
+    setShareStatus({ busy: true, error: '', info: '' });
+
+    try {
+      await revokeShare(share.id, token);
+      setShares((prev) => prev.filter((item) => item.id !== share.id));
+      setShareStatus({ busy: false, error: '', info: t('share.revoked') });
+    } catch (err) {
+      setShareStatus({ busy: false, error: err.message || t('share.revokeFailed'), info: '' });
+    }
+  }
+
+  async function onConfirmDelete(event) {
+    event.preventDefault();
+    setDeleteStatus({ busy: true, error: '' });
+
+    try {
+      await deleteAccount(deleteForm.password, token);
+      await onAccountDeleted();
+    } catch (err) {
+      setDeleteStatus({ busy: false, error: err.message || t('settings.deleteFailed') });
+    }
+  }
+
+  function closeDelete() {
+    if (deleteStatus.busy) return;
+    setDeleteOpen(false);
+    setDeleteForm({ phrase: '', password: '' });
+    setDeleteStatus({ busy: false, error: '' });
+  }
+
+  return (
+    <div className="app-shell">
+      <TopBar
+        user={user}
+        themeMode={themeMode}
+        onToggleTheme={onToggleTheme}
+        onLogout={onLogout}
+        profiles={profiles}
+        profileId={profileId}
+        onSelectProfile={onSelectProfile}
+        onAddProfile={onAddProfile}
+      />
+
+      <main className="settings-layout">
+        <h2>{t('nav.settings')}</h2>
+
+        <section className="stats-card settings-card">
+          <h3>{t('settings.profile')}</h3>
+          <form className="auth-form" onSubmit={onSaveAccount}>
+            <label>
+              {t('auth.name')}
+              <input
+                type="text"
+                value={account.name}
+                onChange={(e) => setAccount((prev) => ({ ...prev, name: e.target.value }))}
+                required
+              />
+            </label>
+            <label>
+              {t('auth.email')}
+              <input
+                type="email"
+                value={account.email}
+                onChange={(e) => setAccount((prev) => ({ ...prev, email: e.target.value }))}
+                required
+                autoComplete="email"
+              />
+            </label>
+            {accountStatus.error ? <div className="error-text">{accountStatus.error}</div> : null}
+            {accountStatus.info ? <div className="info-text">{accountStatus.info}</div> : null}
+            <button type="submit" className="primary-btn" disabled={accountStatus.busy || !accountChanged}>
+              {accountStatus.busy ? t('common.saving') : t('settings.saveProfile')}
+            </button>
+          </form>
+        </section>
+
+        <section className="stats-card settings-card">
+          <h3>{t('auth.password')}</h3>
+          <form className="auth-form" onSubmit={onChangePassword}>
+            <label>
+              {t('settings.currentPassword')}
+              <PasswordInput
+                value={passwords.current}
+                onChange={(current) => setPasswords((prev) => ({ ...prev, current }))}
+                minLength={1}
+                autoComplete="current-password"
+              />
+            </label>
+            <label>
+              {t('account.newPassword')}
+              <PasswordInput
+                value={passwords.next}
+                onChange={(next) => setPasswords((prev) => ({ ...prev, next }))}
+                autoComplete="new-password"
+              />
+            </label>
+            <label>
+              {t('settings.confirmPassword')}
+              <PasswordInput
+                value={passwords.confirm}
+                onChange={(confirm) => setPasswords((prev) => ({ ...prev, confirm }))}
+                autoComplete="new-password"
+              />
+            </label>
+            {passwordStatus.error ? <div className="error-text">{passwordStatus.error}</div> : null}
+            {passwordStatus.info ? <div className="info-text">{passwordStatus.info}</div> : null}
+            <button type="submit" className="primary-btn" disabled={passwordStatus.busy}>
+              {passwordStatus.busy ? t('common.saving') : t('settings.changePassword')}
+            </button>
+          </form>
+        </section>
+
+        <section className="stats-card settings-card">
+          <h3>{t('settings.appearance')}</h3>
+          <p className="muted">{t('settings.appearanceHint')}</p>
+          <div className="palette-options" role="radiogroup" aria-label={t('settings.palette')}>
+            {PALETTES.map((option) => (
+              <label key={option.id} className={`palette-option ${option.id === palette ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="palette"
+                  value={option.id}
+                  checked={option.id === palette}
+                  onChange={() => onPaletteChange(option.id)}
+                />
+                <span className="palette-name">{t(option.labelKey)}</span>
+                <span className="palette-swatches" aria-hidden="true">
+                  {option.colors.map((color, index) => (
+                    <i key={color} style={{ background: color }}>
+                      {glyphs ? SCALE_GLYPHS[index] : null}
+                    </i>
+                  ))}
+                </span>
+              </label>
+            ))}
+          </div>
+          <label className="remember-row">
+            <input type="checkbox" checked={glyphs} onChange={(e) => onGlyphsChange(e.target.checked)} />
+            {t('settings.glyphs')}
+          </label>
+          <div className="settings-row">
+            <label>
+              {t('common.language')}
+              <LanguageSelect language={language} onChange={onLanguageChange} />
+            </label>
+            <label>
+              {t('settings.weekStart')}
+              <select
+                className="view-select"
+                value={weekStartSetting}
+                onChange={(e) => onWeekStartChange(e.target.value)}
+              >
+                {WEEK_START_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {t(option.labelKey)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t('settings.temperatureUnit')}
+              <select
+                className="view-select"
+                value={temperatureUnit}
+                onChange={(e) => onTemperatureUnitChange(e.target.value)}
+              >
+                {TEMPERATURE_UNITS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </section>
+
+        <section className="stats-card settings-card">
+          <h3>{t('settings.reminders')}</h3>
+          <p className="muted">{t('settings.remindersHint')}</p>
+          <div className="reminder-row">
+            <label className="remember-row">
+              <input
+                type="checkbox"
+                checked={reminder.enabled}
+                disabled={permission === 'unsupported'}
+                onChange={(e) => updateReminder({ enabled: e.target.checked })}
+              />
+              {t('settings.reminderAt')}
+            </label>
+            <input
+              type="time"
+              className="reminder-time"
+              value={reminder.time}
+              disabled={!reminder.enabled}
+              onChange={(e) => e.target.value && updateReminder({ time: e.target.value })}
+              aria-label={t('settings.reminderTime')}
+            />
+          </div>
+          {permission === 'unsupported' ? (
+            <div className="muted">{t('settings.notificationsUnsupported')}</div>
+          ) : null}
+          {permission === 'denied' && reminder.enabled ? (
+            <div className="error-text">{t('settings.notificationsBlocked')}</div>
+          ) : null}
+        </section>
+
+        <section className="stats-card settings-card">
+          <h3>{t('share.title')}</h3>
+          <p className="muted">{t('share.hint')}</p>
+          <form className="share-form" onSubmit={onCreateShare}>
+            <label>
+              {t('share.whose')}
+              <select
+                value={shareForm.profileId}
+                onChange={(e) => setShareForm((prev) => ({ ...prev, profileId: e.target.value }))}
+              >
+                <option value="">{t('common.me')}</option>
+                {profiles.map((profile) => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t('share.expires')}
+              <select
+                value={shareForm.expiry}
+                onChange={(e) => setShareForm((prev) => ({ ...prev, expiry: e.target.value }))}
+              >
+                {SHARE_EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {t(option.labelKey)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t('share.note')}
+              <input
+                type="text"
+                value={shareForm.label}
+                onChange={(e) => setShareForm((prev) => ({ ...prev, label: e.target.value }))}
+                placeholder={t('share.notePlaceholder')}
+                maxLength={60}
+              />
+            </label>
+            <button type="submit" className="primary-btn" disabled={shareStatus.busy}>
+              {t('share.create')}
+            </button>
+          </form>
+          {shareStatus.error ? <div className="error-text">{shareStatus.error}</div> : null}
+          {shareStatus.info ? <div className="info-text">{shareStatus.info}</div> : null}
+          {activeShares.length ? (
+            <ul className="share-list">
+              {activeShares.map((share) => (
+                <li key={share.id}>
+                  <div>
+                    <strong>{share.label || profileName(share.profileId)}</strong>
+                    {share.label ? <span className="muted"> · {profileName(share.profileId)}</span> : null}
+                    <div className="muted">
+                      {share.expiresAt
+                        ? t('share.expiresOn', { date: formatDate(share.expiresAt, 'PP') })
+                        : t('share.noExpiry')}{' '}
+                      ·{' '}
+                      {share.lastAccessedAt
+                        ? t('share.lastOpened', { date: formatDate(share.lastAccessedAt, 'PPp') })
+                        : t('share.notOpened')}
+                    </div>
+                  </div>
+                  <div className="share-actions">
+                    <button type="button" className="ghost-btn" onClick={() => onCopyShare(share)}>
+                      {t('share.copy')}
+                    </button>
+                    <button
+                      type="button"
+                      className="danger-btn"
+                      onClick={() => onRevokeShare(share)}
+                      disabled={shareStatus.busy}
+                    >
+                      {t('share.revoke')}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="muted">{t('share.none')}</div>
+          )}
+        </section>
+
+        <section className="stats-card settings-card">
+          <h3>{t('settings.yourData')}</h3>
+          <p className="muted">{t('settings.yourDataHint')}</p>
+          {exportStatus.error ? <div className="error-text">{exportStatus.error}</div> : null}
+          {exportStatus.info ? <div className="info-text">{exportStatus.info}</div> : null}
+          <button type="button" className="ghost-btn" onClick={onExportAll} disabled={exportStatus.busy}>
+            {exportStatus.busy ? t('settings.preparing') : t('settings.exportAll')}
+          </button>
+        </section>
+
+        <section className="stats-card settings-card settings-danger">
+          <h3>{t('settings.deleteTitle')}</h3>
+          <p className="muted">{t('settings.deleteHint')}</p>
+          <button type="button" className="danger-btn" onClick={() => setDeleteOpen(true)}>
+            {t('settings.deleteOpen')}
+          </button>
+        </section>
+      </main>
+
+      {deleteOpen ? (
+        <div className="modal" onClick={closeDelete}>
+          <form className="modal-card" onClick={(e) => e.stopPropagation()} onSubmit={onConfirmDelete}>
+            <h3>{t('settings.deleteConfirmTitle')}</h3>
+            <p>{t('settings.deleteConfirm', { email: user?.email })}</p>
+            <label>
+              {t('settings.deletePhrase', { phrase: DELETE_PHRASE })}
+              <input
+                type="text"
+                value={deleteForm.phrase}
+                onChange={(e) => setDeleteForm((prev) => ({ ...prev, phrase: e.target.value }))}
+                autoComplete="off"
+              />
+            </label>
+            <label>
+              {t('auth.password')}
+              <PasswordInput
+                value={deleteForm.password}
+                onChange={(password) => setDeleteForm((prev) => ({ ...prev, password }))}
+                minLength={1}
+                autoComplete="current-password"
+              />
+            </label>
+            {deleteStatus.error ? <div className="error-text">{deleteStatus.error}</div> : null}
+            <div className="modal-actions">
+              <button
+                type="submit"
+                className="danger-btn"
+                disabled={deleteStatus.busy || deleteForm.phrase !== DELETE_PHRASE || !deleteForm.password}
+              >
+                {deleteStatus.busy ? t('settings.deleting') : t('settings.deletePermanently')}
+              </button>
+              <button type="button" className="ghost-btn" onClick={closeDelete} disabled={deleteStatus.busy}>
+                {t('common.cancel')}
+              </button>
+            </div>
+          </form>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { fetchSharedSummary, loadSharedYearEntries } from '../api/shares';
+import HeatmapLegend from '../components/HeatmapLegend';
+import YearHeatmap from '../components/YearHeatmap';
+import { formatDate, t } from '../i18n';
+import { averageSeverity, longestRun } from '../utils/entryStats';
+import { deriveEpisodes } from '../utils/episodes';
+import { DEFAULT_PALETTE } from '../utils/palettes';
+import { themeModeLabel } from '../utils/themes';
+
+// Read-only view behind a share link. It needs no login and only ever reads:
+// there is no entry form and the heatmap has no click handlers.
+export default function SharedPage({ theme, themeMode, onToggleTheme, palette = DEFAULT_PALETTE, glyphs, weekStart }) {
+  const { shareId } = useParams();
+  const nowYear = new Date().getFullYear();
+  const [summary, setSummary] = useState(null);
+  const [year, setYear] = useState(nowYear);
+  const [entries, setEntries] = useState([]);
+  const [busy, setBusy] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setSummary(null);
+    setError('');
+
+    fetchSharedSummary(shareId)
+      .then((data) => {
+        const years = Array.isArray(data.years) ? data.years.map(Number).filter(Number.isInteger) : [];
+        setSummary({ name: data.name || '', expiresAt: data.expiresAt || null, years });
+        if (years.length && !years.includes(nowYear)) setYear(Math.max(...years));
+      })
+      .catch((err) => {
+        setBusy(false);
+        setError(err.status === 404 || err.status === 410 ? t('shared.unavailable') : err.message);
+      });
+  }, [shareId, nowYear]);
+
+  useEffect(() => {
+    if (!summary) return undefined;
+    let cancelled = false;
+
+    setBusy(true);
+    loadSharedYearEntries(shareId, year)
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setEntries([]);
+        setError(err.status === 404 || err.status === 410 ? t('shared.unavailable') : err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setBusy(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [summary, shareId, year]);
+
+  const yearOptions = useMemo(() => {
+    const set = new Set(summary?.years || []);
+    set.add(nowYear);
+    set.add(year);
+    return [...set].sort((a, b) => b - a);
+  }, [summary, nowYear, year]);
+
+  const stats = useMemo(
+    () => ({
+      logged: entries.length,
+      sickDays: entries.filter((entry) => entry.isSick).length,
+      average: averageSeverity(entries),
+      longestSick: longestRun(entries, 'sick'),
+      episodes: deriveEpisodes(entries).length
+    }),
+    [entries]
+  );
+
+  return (
+    <div className="app-shell">
+      <header className="top-bar">
+        <div className="top-bar-left">
+          <div className="logo">SicknessTracker</div>
+          <span className="shared-badge">{t('shared.readOnly')}</span>
+        </div>
+        <div className="user-box">
+          <button type="button" className="theme-toggle" title={t('theme.title')} onClick={onToggleTheme}>
+            {t('theme.label', { mode: themeModeLabel(themeMode) })}
+          </button>
+        </div>
+      </header>
+
+      <main className="stats-layout shared-layout">
+        {error ? (
+          <div className="stats-card shared-message">
+            <h2>{t('shared.unavailableTitle')}</h2>
+            <p className="muted">{error}</p>
+          </div>
+        ) : (
+          <>
+            <div className="stats-toolbar">
+              <h2>{summary?.name ? t('shared.title', { name: summary.name }) : t('shared.titleAnonymous')}</h2>
+              {summary?.expiresAt ? (
+                <span className="muted">
+                  {t('shared.expires', { date: formatDate(new Date(summary.expiresAt), 'PP') })}
+                </span>
+              ) : null}
+              <select value={year} onChange={(e) => setYear(Number(e.target.value))} aria-label={t('view.year')}>
+                {yearOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {busy ? (
+              <div className="muted">{t('common.loading')}</div>
+            ) : (
+              <>
+                <section className="stats-card shared-heatmap">
+                  <YearHeatmap
+                    year={year}
+                    entries={entries}
+                    theme={theme}
+                    palette={palette}
+                    glyphs={glyphs}
+                    weekStart={weekStart}
+                  />
+                  <HeatmapLegend palette={palette} glyphs={glyphs} />
+                </section>
+
+                <div className="stats-tiles">
+                  <div className="stats-tile">
+                    <span>{t('report.sickDays')}</span>
+                    <strong>{stats.sickDays}</strong>
+                    <small>{t('shared.ofLogged', { count: stats.logged })}</small>
+                  </div>
+                  <div className="stats-tile">
+                    <span>{t('report.average')}</span>
+                    <strong>{stats.average === null ? '—' : `${stats.average.toFixed(1)}/5`}</strong>
+                  </div>
+                  <div className="stats-tile">
+                    <span>{t('report.longestSick')}</span>
+                    <strong>
+                      {stats.longestSick ? t('episodes.days', { count: stats.longestSick.length }) : '—'}
+                    </strong>
+                  </div>
+                  <div className="stats-tile">
+                    <span>{t('report.episodes')}</span>
+                    <strong>{stats.episodes}</strong>
+                  </div>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
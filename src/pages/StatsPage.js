@@ -0,0 +1,420 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import ReactECharts from 'echarts-for-react';
+import { fetchYears, loadYearEntries } from '../api/entries';
+import TopBar from '../components/TopBar';
+import { formatDateKey, getLanguage, monthNames, t, weekdayNames } from '../i18n';
+import {
+  averageSeverity,
+  currentRun,
+  longestRun,
+  monthlySickByYear,
+  monthlyTotals,
+  severityDistribution,
+  weekdayPattern,
+  yearlyTotals
+} from '../utils/entryStats';
+import { DEFAULT_PALETTE, paletteColors } from '../utils/palettes';
+import { themeTokens } from '../utils/themes';
+
+const MAX_RANGE_YEARS = 10;
+function describeRun(run) {
+  return run ? t('episodes.days', { count: run.length }) : '—';
+}
+
+function chartBase(chart) {
+  const textColor = chart.axisText;
+  const lineColor = chart.splitLine;
+
+  return {
+    textColor,
+    option: {
+      animation: true,
+      textStyle: { color: textColor },
+      tooltip: {
+        trigger: 'axis',
+        confine: true,
+        backgroundColor: chart.tooltipBg,
+        borderColor: chart.tooltipBorder,
+        borderWidth: 1,
+        textStyle: { color: chart.text }
+      },
+      grid: { left: 36, right: 14, top: 34, bottom: 28 },
+      legend: { top: 0, textStyle: { color: textColor } },
+      yAxis: {
+        type: 'value',
+        minInterval: 1,
+        axisLabel: { color: textColor },
+        splitLine: { lineStyle: { color: lineColor } }
+      }
+    },
+    categoryAxis(data) {
+      return {
+        type: 'category',
+        data,
+        axisLabel: { color: textColor },
+        axisLine: { lineStyle: { color: lineColor } },
+        axisTick: { show: false }
+      };
+    }
+  };
+}
+
+function StatChart({ title, option }) {
+  return (
+    <section className="stats-card">
+      <h3>{title}</h3>
+      <div className="stats-chart">
+        <ReactECharts
+          option={option}
+          opts={{ renderer: 'svg' }}
+          notMerge
+          lazyUpdate
+          style={{ height: '100%', width: '100%' }}
+        />
+      </div>
+    </section>
+  );
+}
+
+export default function StatsPage({
+  token,
+  user,
+  onLogout,
+  theme,
+  themeMode,
+  onToggleTheme,
+  palette = DEFAULT_PALETTE,
+  weekStart = 0,
+  profiles,
+  profileId,
+  onSelectProfile,
+  onAddProfile
+}) {
+  const nowYear = new Date().getFullYear();
+  const [mode, setMode] = useState('year');
+  const [year, setYear] = useState(nowYear);
+  const [fromYear, setFromYear] = useState(nowYear - 2);
+  const [toYear, setToYear] = useState(nowYear);
+  const [yearsFromApi, setYearsFromApi] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const chart = themeTokens(theme).chart;
+  const language = getLanguage();
+
+  const rangeStart = mode === 'year' ? year : Math.min(fromYear, toYear);
+  const rangeEnd = mode === 'year' ? year : Math.max(fromYear, toYear);
+
+  const yearOptions = useMemo(() => {
+    const set = new Set(yearsFromApi);
+    set.add(nowYear);
+    set.add(year);
+    set.add(fromYear);
+    set.add(toYear);
+    return [...set].sort((a, b) => b - a);
+  }, [yearsFromApi, nowYear, year, fromYear, toYear]);
+
+  useEffect(() => {
+    fetchYears(token, profileId)
+      .then((data) => setYearsFromApi(Array.isArray(data.years) ? data.years : []))
+      .catch(() => setYearsFromApi([]));
+  }, [token, profileId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // A single year is compared against the one before it.
+    const first = mode === 'year' ? rangeStart - 1 : Math.max(rangeStart, rangeEnd - MAX_RANGE_YEARS + 1);
+    const years = [];
+    for (let y = first; y <= rangeEnd; y += 1) years.push(y);
+
+    setBusy(true);
+    setError('');
+
+    Promise.all(years.map((y) => loadYearEntries(y, token, profileId)))
+      .then((perYear) => {
+        if (!cancelled) setEntries(perYear.flat());
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setEntries([]);
+        setError(err.message || t('home.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setBusy(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, rangeStart, rangeEnd, token, profileId]);
+
+  const rangeEntries = useMemo(
+    () =>
+      entries.filter((entry) => {
+        const entryYear = Number(entry.dateKey.slice(0, 4));
+        return entryYear >= rangeStart && entryYear <= rangeEnd;
+      }),
+    [entries, rangeStart, rangeEnd]
+  );
+
+  const summary = useMemo(
+    () => ({
+      longestHealthy: longestRun(rangeEntries, 'healthy'),
+      longestSick: longestRun(rangeEntries, 'sick'),
+      current: rangeEnd === nowYear ? currentRun(rangeEntries) : null,
+      sickDays: rangeEntries.filter((entry) => entry.isSick).length,
+      logged: rangeEntries.length,
+      average: averageSeverity(rangeEntries)
+    }),
+    [rangeEntries, rangeEnd, nowYear]
+  );
+
+  const charts = useMemo(() => {
+    const base = chartBase(chart);
+    const monthLabels = monthNames('abbreviated', language);
+    const dayLabels = weekdayNames('abbreviated', language);
+    // Weekday columns start on the configured first day of the week.
+    const dayOrder = Array.from({ length: 7 }, (_, index) => (weekStart + index) % 7);
+
+    const totals = monthlyTotals(rangeEntries);
+    const months =
+      mode === 'year'
+        ? monthLabels.map((name, index) => {
+            const key = `${year}-${String(index + 1).padStart(2, '0')}`;
+            const row = totals.find((item) => item.month === key);
+            return { label: name, sick: row ? row.sick : 0, healthy: row ? row.healthy : 0 };
+          })
+        : totals.map((row) => ({
+            label: `${monthLabels[Number(row.month.slice(5, 7)) - 1]} ${row.month.slice(2, 4)}`,
+            sick: row.sick,
+            healthy: row.healthy
+          }));
+
+    const colors = paletteColors(palette);
+    const sickColor = colors[4];
+    const distribution = severityDistribution(rangeEntries);
+    const weekdayRows = weekdayPattern(rangeEntries);
+    const weekdays = dayOrder.map((day) => weekdayRows[day]);
+    const perYear = yearlyTotals(entries);
+    const monthlyByYear = monthlySickByYear(entries);
+
+    return {
+      monthly: {
+        ...base.option,
+        xAxis: base.categoryAxis(months.map((row) => row.label)),
+        series: [
+          {
+            name: t('stats.sick'),
+            type: 'bar',
+            stack: 'days',
+            data: months.map((row) => row.sick),
+            itemStyle: { color: sickColor }
+          },
+          {
+            name: t('stats.healthy'),
+            type: 'bar',
+            stack: 'days',
+            data: months.map((row) => row.healthy),
+            itemStyle: { color: colors[1] }
+          }
+        ]
+      },
+      severity: {
+        ...base.option,
+        legend: { show: false },
+        xAxis: base.categoryAxis(['1', '2', '3', '4', '5']),
+        series: [
+          {
+            name: t('stats.days'),
+            type: 'bar',
+            data: distribution.map((value, index) => ({ value, itemStyle: { color: colors[index + 2] } }))
+          }
+        ]
+      },
+      weekday: {
+        ...base.option,
+        xAxis: base.categoryAxis(dayOrder.map((day) => dayLabels[day])),
+        yAxis: [
+          base.option.yAxis,
+          {
+            type: 'value',
+            max: 100,
+            axisLabel: { color: base.textColor, formatter: '{value}%' },
+            splitLine: { show: false }
+          }
+        ],
+        series: [
+          {
+            name: t('stats.sickDays'),
+            type: 'bar',
+            data: weekdays.map((row) => row.sick),
+            itemStyle: { color: sickColor }
+          },
+          {
+            name: t('stats.sickRate'),
+            type: 'line',
+            yAxisIndex: 1,
+            smooth: true,
+            data: weekdays.map((row) => (row.logged ? Math.round((row.sick / row.logged) * 100) : 0)),
+            itemStyle: { color: chart.accent }
+          }
+        ]
+      },
+      yearOverYear: {
+        ...base.option,
+        tooltip: {
+          ...base.option.tooltip,
+          formatter(params) {
+            const lines = params.map((item) => {
+              const total = perYear.find((row) => String(row.year) === item.seriesName);
+              const value = t('stats.yearTotal', { value: item.value, total: total ? total.sick : 0 });
+              return `${item.marker}${item.seriesName}: ${value}`;
+            });
+            return [params[0]?.axisValue, ...lines].join('<br/>');
+          }
+        },
+        xAxis: base.categoryAxis(monthLabels),
+        series: [...monthlyByYear.keys()]
+          .sort((a, b) => a - b)
+          .map((entryYear, index) => ({
+            name: String(entryYear),
+            type: 'line',
+            smooth: true,
+            data: monthlyByYear.get(entryYear),
+            itemStyle: { color: chart.series[index % chart.series.length] }
+          }))
+      }
+    };
+  }, [entries, rangeEntries, chart, mode, year, palette, weekStart, language]);
+
+  return (
+    <div className="app-shell">
+      <TopBar
+        user={user}
+        themeMode={themeMode}
+        onToggleTheme={onToggleTheme}
+        onLogout={onLogout}
+        profiles={profiles}
+        profileId={profileId}
+        onSelectProfile={onSelectProfile}
+        onAddProfile={onAddProfile}
+      />
+
+      <main className="stats-layout">
+        <div className="stats-toolbar">
+          <h2>{t('stats.title')}</h2>
+          <div className="toggle-row stats-mode">
+            <button
+              type="button"
+              className={`toggle-btn ${mode === 'year' ? 'active-mode' : ''}`}
+              onClick={() => setMode('year')}
+            >
+              {t('stats.year')}
+            </button>
+            <button
+              type="button"
+              className={`toggle-btn ${mode === 'range' ? 'active-mode' : ''}`}
+              onClick={() => setMode('range')}
+            >
+              {t('stats.range')}
+            </button>
+          </div>
+
+          {mode === 'year' ? (
+            <select value={year} onChange={(e) => setYear(Number(e.target.value))} aria-label={t('stats.year')}>
+              {yearOptions.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <div className="stats-range">
+              <select
+                value={fromYear}
+                onChange={(e) => setFromYear(Number(e.target.value))}
+                aria-label={t('stats.fromYear')}
+              >
+                {yearOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+              <span className="muted">{t('stats.to')}</span>
+              <select
+                value={toYear}
+                onChange={(e) => setToYear(Number(e.target.value))}
+                aria-label={t('stats.toYear')}
+              >
+                {yearOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {error ? <div className="error-text">{error}</div> : null}
+        {mode === 'range' && rangeEnd - rangeStart + 1 > MAX_RANGE_YEARS ? (
+          <div className="muted">{t('legend.rangeTrimmed', { years: MAX_RANGE_YEARS })}</div>
+        ) : null}
+
+        {busy ? (
+          <div className="muted">{t('common.loading')}</div>
+        ) : (
+          <>
+            <div className="stats-tiles">
+              <div className="stats-tile">
+                <span>{t('stats.longestHealthy')}</span>
+                <strong>{describeRun(summary.longestHealthy)}</strong>
+                {summary.longestHealthy ? (
+                  <small>
+                    {formatDateKey(summary.longestHealthy.start)} – {formatDateKey(summary.longestHealthy.end)}
+                  </small>
+                ) : null}
+              </div>
+              <div className="stats-tile">
+                <span>{t('stats.current')}</span>
+                <strong>{describeRun(summary.current)}</strong>
+                {summary.current ? (
+                  <small>
+                    {t(summary.current.status === 'sick' ? 'stats.sickSince' : 'stats.healthySince', {
+                      date: formatDateKey(summary.current.start)
+                    })}
+                  </small>
+                ) : null}
+              </div>
+              <div className="stats-tile">
+                <span>{t('stats.longestSick')}</span>
+                <strong>{describeRun(summary.longestSick)}</strong>
+                {summary.longestSick ? (
+                  <small>{t('stats.from', { date: formatDateKey(summary.longestSick.start) })}</small>
+                ) : null}
+              </div>
+              <div className="stats-tile">
+                <span>{t('stats.sickDays')}</span>
+                <strong>{summary.sickDays}</strong>
+                <small>{t('shared.ofLogged', { count: summary.logged })}</small>
+              </div>
+              <div className="stats-tile">
+                <span>{t('stats.average')}</span>
+                <strong>{summary.average === null ? '—' : `${summary.average.toFixed(1)}/5`}</strong>
+              </div>
+            </div>
+
+            <div className="stats-grid">
+              <StatChart title={t('stats.monthly')} option={charts.monthly} />
+              <StatChart title={t('stats.severity')} option={charts.severity} />
+              <StatChart title={t('stats.weekday')} option={charts.weekday} />
+              <StatChart title={t('stats.yearOverYear')} option={charts.yearOverYear} />
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
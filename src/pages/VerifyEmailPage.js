@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { isExpiredLinkError, resendVerification, verifyEmail } from '../api/auth';
+import AuthCard from '../components/AuthCard';
+import { t } from '../i18n';
+
+export default function VerifyEmailPage({ themeMode, onToggleTheme }) {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState('');
+  const [busy, setBusy] = useState(false);
+  const request = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('verifying');
+    setError('');
+
+    // The token is single use. StrictMode runs this effect twice in development,
+    // so a repeat run waits on the first request instead of spending it again.
+    if (request.current?.token !== token) request.current = { token, promise: verifyEmail(token) };
+
+    request.current.promise
+      .then(() => {
+        if (!cancelled) setStatus('success');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        if (isExpiredLinkError(err)) {
+          setStatus('expired');
+        } else {
+          setStatus('error');
+          setError(err.message || t('auth.failed'));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  async function onResend(event) {
+    event.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      await resendVerification(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      setError(err.message || t('auth.failed'));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (status === 'verifying') {
+    return (
+      <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('verify.verifyingTitle')}>
+        <p>{t('verify.verifying')}</p>
+      </AuthCard>
+    );
+  }
+
+  if (status === 'success') {
+    return (
+      <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('verify.doneTitle')}>
+        <p>{t('verify.done')}</p>
+        <Link to="/login" className="primary-btn full link-btn">
+          {t('verify.continue')}
+        </Link>
+      </AuthCard>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <AuthCard themeMode={themeMode} onToggleTheme={onToggleTheme} title={t('verify.failedTitle')}>
+        <div className="error-text">{error}</div>
+        <div className="auth-switch">
+          <Link to="/login" className="text-btn">
+            {t('account.backToLogin')}
+          </Link>
+        </div>
+      </AuthCard>
+    );
+  }
+
+  return (
+    <AuthCard
+      themeMode={themeMode}
+      onToggleTheme={onToggleTheme}
+      title={t('account.linkExpired')}
+      subtitle={t('verify.expired')}
+    >
+      {sentTo ? (
+        <p>{t('verify.resent', { email: sentTo })}</p>
+      ) : (
+        <form onSubmit={onResend} className="auth-form">
+          <label>
+            {t('auth.email')}
+            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoComplete="email" />
+          </label>
+
+          {error ? <div className="error-text">{error}</div> : null}
+
+          <button type="submit" className="primary-btn" disabled={busy}>
+            {busy ? t('auth.wait') : t('account.sendNewLink')}
+          </button>
+        </form>
+      )}
+
+      <div className="auth-switch">
+        <Link to="/login" className="text-btn">
+          {t('account.backToLogin')}
+        </Link>
+      </div>
+    </AuthCard>
+  );
+}
@@ -0,0 +1,120 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// Keep in sync with API_CACHE in src/serviceWorkerRegistration.js.
+const API_CACHE = 'entries-api';
+const REMINDER_CACHE = 'reminder-state';
+const REMINDER_STATE_URL = '/__reminder-state';
+const REMINDER_TAG = 'daily-reminder';
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+const ENTRY_READS = /\/entries\/(years|year\/\d{4})$/;
+const ENTRY_WRITES = /\/entries(\/\d{4}-\d{2}-\d{2})?$/;
+
+clientsClaim();
+
+// The build shell: index.html plus every hashed JS/CSS asset of this build.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Client-side routes (/home/2024/03, /stats, ...) all boot from index.html.
+registerRoute(({ request, url }) => {
+  if (request.mode !== 'navigate') return false;
+  if (url.pathname.startsWith('/_')) return false;
+  return !FILE_EXTENSION.test(url.pathname);
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+// Year lists and year entries show the cached copy straight away (and while
+// offline) and refresh it in the background. Sync conflict checks fetch with
+// `cache: 'no-store'` and must see the server's current data, so they bypass it.
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && request.cache !== 'no-store' && ENTRY_READS.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: API_CACHE,
+    plugins: [new CacheableResponsePlugin({ statuses: [200] }), new ExpirationPlugin({ maxEntries: 60 })]
+  })
+);
+
+// A successful save or delete makes every cached year suspect; drop them so the
+// next read goes to the network.
+async function writeThrough({ request }) {
+  const response = await fetch(request);
+  if (response.ok) await caches.delete(API_CACHE);
+  return response;
+}
+
+registerRoute(({ url }) => ENTRY_WRITES.test(url.pathname), writeThrough, 'POST');
+registerRoute(({ url }) => ENTRY_WRITES.test(url.pathname), writeThrough, 'DELETE');
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Reminders
+
+// Mirrors todayKey() in src/utils/heatmapView.js: the local calendar date.
+function localDateKey(now) {
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+async function readReminderState() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_STATE_URL);
+  return response ? response.json() : null;
+}
+
+async function writeReminderState(state) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(state)));
+}
+
+async function remindIfUnlogged() {
+  const state = await readReminderState();
+  if (!state || !state.enabled) return;
+
+  const now = new Date();
+  const today = localDateKey(now);
+  const [hours, minutes] = String(state.time || '20:00').split(':').map(Number);
+  const due = now.getHours() > hours || (now.getHours() === hours && now.getMinutes() >= minutes);
+
+  if (!due || state.loggedDay === today || state.notifiedDay === today) return;
+
+  // The page sends the text in its current language along with the schedule.
+  await self.registration.showNotification(state.title || 'How are you feeling today?', {
+    body: state.body || "You haven't logged today yet. Tap to add an entry.",
+    tag: REMINDER_TAG,
+    data: { url: '/home' }
+  });
+  await writeReminderState({ ...state, notifiedDay: today });
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'reminder-state') return;
+  event.waitUntil(
+    readReminderState().then((previous) =>
+      writeReminderState({ ...event.data.state, notifiedDay: previous?.notifiedDay || null })
+    )
+  );
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_TAG) event.waitUntil(remindIfUnlogged());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/home';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).pathname.startsWith('/home'));
+      if (open) return open.focus();
+      return self.clients.openWindow(url);
+    })
+  );
+});
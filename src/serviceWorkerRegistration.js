@@ -0,0 +1,75 @@
+// Registers the production service worker built from src/service-worker.js and
+// reports when a newer build is waiting to take over.
+
+// Keep in sync with API_CACHE in src/service-worker.js.
+const API_CACHE = 'entries-api';
+const WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+const updateListeners = new Set();
+let waitingWorker = null;
+let registrationPromise = Promise.resolve(null);
+
+function notifyUpdate(worker) {
+  waitingWorker = worker;
+  updateListeners.forEach((listener) => listener(worker));
+}
+
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) notifyUpdate(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const installing = registration.installing;
+    if (!installing) return;
+
+    installing.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update.
+      if (installing.state === 'installed' && navigator.serviceWorker.controller) notifyUpdate(installing);
+    });
+  });
+}
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  registrationPromise = new Promise((resolve) => {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker
+        .register(WORKER_URL)
+        .then((registration) => {
+          watchForUpdates(registration);
+          resolve(registration);
+        })
+        .catch(() => resolve(null));
+    });
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+}
+
+export function getRegistration() {
+  return registrationPromise;
+}
+
+// Calls `listener(worker)` when a new build has installed and is waiting.
+// Returns an unsubscribe function.
+export function onUpdateAvailable(listener) {
+  updateListeners.add(listener);
+  if (waitingWorker) listener(waitingWorker);
+  return () => updateListeners.delete(listener);
+}
+
+// Activates the waiting build; the controllerchange handler then reloads.
+export function applyUpdate(worker = waitingWorker) {
+  if (worker) worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+// Cached entry responses belong to whoever was logged in; drop them on logout.
+export async function clearApiCache() {
+  if (typeof caches === 'undefined') return;
+  await caches.delete(API_CACHE);
+}
@@ -0,0 +1,36 @@
+import { t } from '../i18n';
+import { describeEntry, describeSymptoms } from './entryModel';
+import { describeDose } from './medicationModel';
+import { describeMetrics } from './metrics';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Tooltip markup by default; `plain` gives the same facts as one sentence-style
+// string for ARIA labels and the table fallback.
+export function formatLabel(entry, { plain = false } = {}) {
+  const text = plain ? (value) => value : escapeHtml;
+  if (!entry) return describeEntry(entry);
+  const lines = [describeEntry(entry)];
+  const symptoms = describeSymptoms(entry);
+  if (symptoms) lines.push(text(symptoms));
+  const metrics = describeMetrics(entry);
+  if (metrics) lines.push(text(metrics));
+  if (entry.note) {
+    const note = entry.note.length > 120 ? `${entry.note.slice(0, 117)}...` : entry.note;
+    lines.push(plain ? t('entry.note', { note }) : `<i>${escapeHtml(note)}</i>`);
+  }
+  if (entry.pending) lines.push(t('entry.pending'));
+  return lines.join(plain ? '. ' : '<br/>');
+}
+
+export function formatDoses(doses, { plain = false } = {}) {
+  if (!doses || !doses.length) return '';
+  const list = doses.map((dose) => (plain ? describeDose(dose) : escapeHtml(describeDose(dose)))).join('; ');
+  return `${plain ? '. ' : '<br/>'}${t('entry.medication', { list })}`;
+}
@@ -0,0 +1,100 @@
+import { t } from '../i18n';
+import { normalizeMetrics } from './metrics';
+
+export const DEFAULT_SYMPTOMS = ['headache', 'fever', 'cough', 'nausea', 'fatigue'];
+
+// Most days a single range or backfill save may cover.
+export const MAX_BATCH_DAYS = 92;
+
+export function normalizeSymptom(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+}
+
+export function normalizeSymptoms(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map(normalizeSymptom).filter(Boolean))];
+}
+
+export function formatSymptom(tag) {
+  return tag.charAt(0).toUpperCase() + tag.slice(1);
+}
+
+export function toDateKey(date) {
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const d = String(date.getUTCDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+export function isValidDateKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+export function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  let dateKey = raw.dateKey;
+  if (!isValidDateKey(dateKey) && raw.date) {
+    const parsed = new Date(raw.date);
+    if (!Number.isNaN(parsed.getTime())) {
+      dateKey = toDateKey(parsed);
+    }
+  }
+
+  if (!isValidDateKey(dateKey) || typeof raw.isSick !== 'boolean') return null;
+
+  return {
+    id: raw.id || raw._id || null,
+    date: raw.date,
+    dateKey,
+    isSick: raw.isSick,
+    severity: raw.isSick ? Number(raw.severity || 1) : null,
+    symptoms: normalizeSymptoms(raw.symptoms),
+    note: typeof raw.note === 'string' ? raw.note : '',
+    metrics: normalizeMetrics(raw.metrics),
+    pending: raw.pending === true
+  };
+}
+
+export function parseDateFromKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+export function describeEntry(entry) {
+  if (!entry) return t('entry.none');
+  return entry.isSick ? t('entry.sick', { severity: entry.severity }) : t('entry.healthy');
+}
+
+export function describeSymptoms(entry) {
+  const symptoms = normalizeSymptoms(entry?.symptoms);
+  return symptoms.length ? symptoms.map(formatSymptom).join(', ') : '';
+}
+
+export function toEntryPayload(dateKey, value) {
+  return {
+    date: parseDateFromKey(dateKey).toISOString(),
+    isSick: value.isSick,
+    severity: value.isSick ? Number(value.severity || 1) : null,
+    symptoms: normalizeSymptoms(value.symptoms),
+    note: typeof value.note === 'string' ? value.note.trim() : '',
+    metrics: normalizeMetrics(value.metrics)
+  };
+}
+
+// The user-editable part of an entry, used to tell whether two versions of a
+// day actually differ.
+export function entryValue(entry) {
+  if (!entry) return null;
+  return {
+    isSick: entry.isSick,
+    severity: entry.isSick ? Number(entry.severity || 1) : null,
+    symptoms: normalizeSymptoms(entry.symptoms),
+    note: typeof entry.note === 'string' ? entry.note.trim() : '',
+    metrics: normalizeMetrics(entry.metrics)
+  };
+}
+
+export function isSameEntryValue(a, b) {
+  return JSON.stringify(entryValue(a)) === JSON.stringify(entryValue(b));
+}
@@ -0,0 +1,120 @@
+import { parseDateFromKey, toDateKey } from './entryModel';
+
+const DAY_MS = 86400000;
+
+function daysBetween(a, b) {
+  return Math.round((parseDateFromKey(b).getTime() - parseDateFromKey(a).getTime()) / DAY_MS);
+}
+
+function sortByDate(entries) {
+  return [...entries].sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+}
+
+// Runs of consecutive calendar days with the same status. A day without an
+// entry ends the run: an unlogged day is not evidence of being healthy.
+export function statusRuns(entries) {
+  const runs = [];
+  let current = null;
+
+  sortByDate(entries).forEach((entry) => {
+    const status = entry.isSick ? 'sick' : 'healthy';
+    if (current && current.status === status && daysBetween(current.end, entry.dateKey) === 1) {
+      current.end = entry.dateKey;
+      current.length += 1;
+    } else {
+      current = { status, start: entry.dateKey, end: entry.dateKey, length: 1 };
+      runs.push(current);
+    }
+  });
+
+  return runs;
+}
+
+export function longestRun(entries, status) {
+  return statusRuns(entries)
+    .filter((run) => run.status === status)
+    .reduce((best, run) => (!best || run.length > best.length ? run : best), null);
+}
+
+// The run that contains the most recent logged day, provided that day is today
+// or yesterday; otherwise the streak is considered broken.
+export function currentRun(entries, today = new Date()) {
+  const runs = statusRuns(entries);
+  const last = runs[runs.length - 1];
+  if (!last) return null;
+
+  const todayKey = toDateKey(new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate())));
+  const gap = daysBetween(last.end, todayKey);
+  return gap >= 0 && gap <= 1 ? last : null;
+}
+
+export function monthlyTotals(entries) {
+  const totals = new Map();
+
+  sortByDate(entries).forEach((entry) => {
+    const month = entry.dateKey.slice(0, 7);
+    const row = totals.get(month) || { month, sick: 0, healthy: 0 };
+    if (entry.isSick) row.sick += 1;
+    else row.healthy += 1;
+    totals.set(month, row);
+  });
+
+  return [...totals.values()];
+}
+
+export function averageSeverity(entries) {
+  const sick = entries.filter((entry) => entry.isSick);
+  if (!sick.length) return null;
+  return sick.reduce((sum, entry) => sum + Number(entry.severity || 1), 0) / sick.length;
+}
+
+export function severityDistribution(entries) {
+  const counts = [0, 0, 0, 0, 0];
+  entries.forEach((entry) => {
+    if (entry.isSick) counts[Math.min(5, Math.max(1, Number(entry.severity || 1))) - 1] += 1;
+  });
+  return counts;
+}
+
+// Indexed from Sunday, like Date#getDay().
+export function weekdayPattern(entries) {
+  const rows = Array.from({ length: 7 }, (_, day) => ({ day, sick: 0, logged: 0 }));
+  entries.forEach((entry) => {
+    const row = rows[parseDateFromKey(entry.dateKey).getUTCDay()];
+    row.logged += 1;
+    if (entry.isSick) row.sick += 1;
+  });
+  return rows;
+}
+
+export function yearlyTotals(entries) {
+  const totals = new Map();
+
+  entries.forEach((entry) => {
+    const year = Number(entry.dateKey.slice(0, 4));
+    const row = totals.get(year) || { year, sick: 0, healthy: 0, severitySum: 0 };
+    if (entry.isSick) {
+      row.sick += 1;
+      row.severitySum += Number(entry.severity || 1);
+    } else {
+      row.healthy += 1;
+    }
+    totals.set(year, row);
+  });
+
+  return [...totals.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(({ severitySum, ...row }) => ({ ...row, averageSeverity: row.sick ? severitySum / row.sick : null }));
+}
+
+export function monthlySickByYear(entries) {
+  const byYear = new Map();
+  entries.forEach((entry) => {
+    if (!entry.isSick) return;
+    const year = Number(entry.dateKey.slice(0, 4));
+    const months = byYear.get(year) || Array(12).fill(0);
+    months[Number(entry.dateKey.slice(5, 7)) - 1] += 1;
+    byYear.set(year, months);
+  });
+  return byYear;
+}
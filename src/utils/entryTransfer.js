@@ -0,0 +1,187 @@
+import { t } from '../i18n';
+import { normalizeEntry } from './entryModel';
+import { METRICS, metricLabel, normalizeMetricValue } from './metrics';
+
+// Temperature is always exported in °C so files do not depend on the unit setting.
+const CSV_COLUMNS = ['date', 'status', 'severity', 'symptoms', 'note', 'temperature_c', 'sleep_hours', 'mood', 'energy'];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((item) => item.some((value) => value.trim() !== ''));
+}
+
+function toExportRecord(entry) {
+  return {
+    dateKey: entry.dateKey,
+    isSick: entry.isSick,
+    severity: entry.severity,
+    symptoms: entry.symptoms,
+    note: entry.note,
+    metrics: entry.metrics
+  };
+}
+
+export function entriesToJson(entries) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), entries: entries.map(toExportRecord) }, null, 2);
+}
+
+export function entriesToCsv(entries) {
+  const lines = entries.map((entry) => {
+    const metrics = entry.metrics || {};
+    return [
+      entry.dateKey,
+      entry.isSick ? 'sick' : 'healthy',
+      entry.severity ?? '',
+      entry.symptoms.join(';'),
+      entry.note,
+      metrics.temperature,
+      metrics.sleep,
+      metrics.mood,
+      metrics.energy
+    ]
+      .map(csvCell)
+      .join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...lines].join('\n');
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function parseStatus(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['sick', 'yes', 'true', '1'].includes(text)) return true;
+  if (['healthy', 'no', 'false', '0'].includes(text)) return false;
+  return undefined;
+}
+
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  return rows.map((row) => {
+    const record = Object.fromEntries(columns.map((name, index) => [name, row[index] ?? '']));
+    return {
+      dateKey: record.date || record.datekey,
+      isSick: parseStatus(record.status ?? record.issick),
+      severity: record.severity,
+      symptoms: String(record.symptoms || '').split(';'),
+      note: record.note || '',
+      metrics: {
+        temperature: record.temperature_c,
+        sleep: record.sleep_hours,
+        mood: record.mood,
+        energy: record.energy
+      }
+    };
+  });
+}
+
+function jsonRecords(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(list)) throw new Error(t('import.noList'));
+  return list;
+}
+
+function validateRecord(record) {
+  const entry = normalizeEntry(record);
+  if (!entry) return { error: t('import.invalidRow') };
+
+  const [y, m, d] = entry.dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return { error: t('import.noSuchDate') };
+
+  if (entry.isSick && !(Number.isInteger(entry.severity) && entry.severity >= 1 && entry.severity <= 5)) {
+    return { error: t('import.invalidSeverity') };
+  }
+
+  // normalizeEntry() quietly drops bad measurements; a file value that was
+  // given but cannot be kept rejects the row instead. Files always hold °C.
+  const metrics = record.metrics && typeof record.metrics === 'object' ? record.metrics : {};
+  const badMetrics = METRICS.filter(({ key }) => {
+    const raw = metrics[key];
+    return raw !== null && raw !== undefined && raw !== '' && normalizeMetricValue(key, raw) === null;
+  });
+  if (badMetrics.length) {
+    const fields = badMetrics.map(({ key }) => metricLabel(key, 'c')).join(', ');
+    return { error: t('import.invalidMetric', { fields }) };
+  }
+
+  return { entry };
+}
+
+export function parseEntriesFile(text, filename) {
+  const isJson = /\.json$/i.test(filename) || text.trim().startsWith('{') || text.trim().startsWith('[');
+  const records = isJson ? jsonRecords(text) : csvRecords(text);
+
+  const rows = new Map();
+  const invalid = [];
+
+  records.forEach((record, index) => {
+    const { entry, error } = validateRecord(record);
+    // CSV line numbers count the header row; JSON rows are 1-based list positions.
+    const line = isJson ? index + 1 : index + 2;
+    if (error) {
+      invalid.push({ line, reason: error });
+    } else {
+      rows.set(entry.dateKey, entry);
+    }
+  });
+
+  return {
+    rows: [...rows.values()].sort((a, b) => a.dateKey.localeCompare(b.dateKey)),
+    invalid
+  };
+}
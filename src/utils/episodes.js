@@ -0,0 +1,73 @@
+import { isValidDateKey, parseDateFromKey } from './entryModel';
+
+// Sick days separated by at most this many days without a sick entry (a good
+// day, or a day nobody logged) still count as one illness.
+export const EPISODE_GAP_DAYS = 2;
+
+export const MAX_EPISODE_NAME = 60;
+export const MAX_DIAGNOSIS = 120;
+
+const DAY_MS = 86400000;
+
+function daysBetween(a, b) {
+  return Math.round((parseDateFromKey(b).getTime() - parseDateFromKey(a).getTime()) / DAY_MS);
+}
+
+function cleanText(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+export function normalizeEpisodeLabel(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (!isValidDateKey(raw.start) || !isValidDateKey(raw.end) || raw.end < raw.start) return null;
+
+  return {
+    id: raw.id || raw._id || null,
+    start: raw.start,
+    end: raw.end,
+    name: cleanText(raw.name, MAX_EPISODE_NAME),
+    diagnosis: cleanText(raw.diagnosis, MAX_DIAGNOSIS)
+  };
+}
+
+// Groups sick entries into episodes. Days are re-derived on every change, so a
+// saved name and diagnosis attach to whichever episode overlaps their range.
+export function deriveEpisodes(entries, labels = []) {
+  const episodes = [];
+  let current = null;
+
+  entries
+    .filter((entry) => entry.isSick)
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey))
+    .forEach((entry) => {
+      if (current && daysBetween(current.end, entry.dateKey) <= EPISODE_GAP_DAYS + 1) {
+        current.end = entry.dateKey;
+        current.dateKeys.push(entry.dateKey);
+        current.peak = Math.max(current.peak, entry.severity || 1);
+      } else {
+        current = { start: entry.dateKey, end: entry.dateKey, dateKeys: [entry.dateKey], peak: entry.severity || 1 };
+        episodes.push(current);
+      }
+    });
+
+  return episodes.map((episode) => {
+    const label = labels.find((item) => item.start <= episode.end && item.end >= episode.start);
+    return {
+      ...episode,
+      sickDays: episode.dateKeys.length,
+      duration: daysBetween(episode.start, episode.end) + 1,
+      labelId: label?.id || null,
+      name: label?.name || '',
+      diagnosis: label?.diagnosis || ''
+    };
+  });
+}
+
+export function summarizeEpisodes(episodes) {
+  return {
+    count: episodes.length,
+    sickDays: episodes.reduce((sum, episode) => sum + episode.sickDays, 0),
+    longest: episodes.reduce((max, episode) => Math.max(max, episode.duration), 0),
+    peak: episodes.reduce((max, episode) => Math.max(max, episode.peak), 0)
+  };
+}
@@ -0,0 +1,98 @@
+// Builds a standalone picture of a heatmap: the chart SVG from echarts with a
+// title above and the colour legend below, as SVG markup or a PNG blob.
+
+const PADDING = 16;
+const TITLE_SIZE = 20;
+const LEGEND_SIZE = 12;
+const SWATCH = 12;
+const FONT = "'Avenir Next', 'Segoe UI', sans-serif";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Rough text width, good enough to space legend items without measuring.
+function textWidth(text, size) {
+  return String(text).length * size * 0.6;
+}
+
+export function svgFromDataUrl(url) {
+  const comma = url.indexOf(',');
+  const body = url.slice(comma + 1);
+  return url.slice(0, comma).endsWith(';base64') ? atob(body) : decodeURIComponent(body);
+}
+
+function svgSize(svg) {
+  const root = svg.match(/<svg[^>]*>/)?.[0] || '';
+  const width = Number(root.match(/\swidth="([\d.]+)/)?.[1]) || 0;
+  const height = Number(root.match(/\sheight="([\d.]+)/)?.[1]) || 0;
+  return { width, height };
+}
+
+// `legend` items are { color, label, glyph?, round? }; `colors` come from the
+// theme's chart tokens so the picture matches what is on screen.
+export function composeHeatmapSvg({ chartSvg, title, legend, colors }) {
+  const chart = svgSize(chartSvg);
+  const width = Math.ceil(chart.width + PADDING * 2);
+  const chartTop = PADDING + TITLE_SIZE + 8;
+  const legendTop = chartTop + chart.height + 8;
+  const height = Math.ceil(legendTop + SWATCH + PADDING);
+
+  let x = PADDING;
+  const legendItems = legend
+    .map((item) => {
+      const shape = item.round
+        ? `<circle cx="${x + SWATCH / 2}" cy="${legendTop + SWATCH / 2}" r="${SWATCH / 3}" fill="${item.color}"/>`
+        : `<rect x="${x}" y="${legendTop}" width="${SWATCH}" height="${SWATCH}" rx="2" fill="${item.color}" ` +
+          `stroke="${colors.splitLine}"/>`;
+      const glyph = item.glyph
+        ? `<text x="${x + SWATCH / 2}" y="${legendTop + SWATCH - 3}" font-size="8" text-anchor="middle" ` +
+          `fill="#0b1220">${escapeXml(item.glyph)}</text>`
+        : '';
+      const label =
+        `<text x="${x + SWATCH + 5}" y="${legendTop + SWATCH - 2}" font-size="${LEGEND_SIZE}" ` +
+        `fill="${colors.axisText}">${escapeXml(item.label)}</text>`;
+      x += SWATCH + 5 + textWidth(item.label, LEGEND_SIZE) + 14;
+      return shape + glyph + label;
+    })
+    .join('');
+
+  const nestedChart = chartSvg
+    .replace(/^<\?xml[^>]*>\s*/, '')
+    .replace(/<svg/, `<svg x="${PADDING}" y="${chartTop}"`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" `,
+    `font-family="${escapeXml(FONT)}">`,
+    `<rect width="100%" height="100%" fill="${colors.card}"/>`,
+    `<text x="${PADDING}" y="${PADDING + TITLE_SIZE - 4}" font-size="${TITLE_SIZE}" font-weight="700" `,
+    `fill="${colors.text}">${escapeXml(title)}</text>`,
+    nestedChart,
+    legendItems,
+    '</svg>'
+  ].join('');
+}
+
+// Rasterises composed SVG markup at `scale`× for a sharp PNG.
+export function svgToPngBlob(svg, scale = 2) {
+  const { width, height } = svgSize(svg);
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to create image'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Failed to create image'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
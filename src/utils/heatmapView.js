@@ -0,0 +1,122 @@
+import { isValidDateKey, parseDateFromKey, toDateKey } from './entryModel';
+
+export const VIEW_MODES = [
+  { value: 'year', labelKey: 'view.year' },
+  { value: 'rolling', labelKey: 'view.rolling' },
+  { value: 'range', labelKey: 'view.range' },
+  { value: 'stacked', labelKey: 'view.stacked' },
+  { value: 'compare', labelKey: 'view.compare' }
+];
+
+export const STACKED_YEARS = 3;
+export const MAX_RANGE_DAYS = 366 * 3;
+
+export function todayKey(now = new Date()) {
+  return toDateKey(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+export function rollingRange(now = new Date()) {
+  const end = todayKey(now);
+  const start = parseDateFromKey(end);
+  start.setUTCFullYear(start.getUTCFullYear() - 1);
+  start.setUTCDate(start.getUTCDate() + 1);
+  return { start: toDateKey(start), end };
+}
+
+export function rangeLength(start, end) {
+  return Math.round((parseDateFromKey(end).getTime() - parseDateFromKey(start).getTime()) / 86400000) + 1;
+}
+
+// Returns the date span each mode covers, plus the list of calendar years whose
+// entries have to be fetched to fill it.
+export function resolveView(mode, { year, customStart, customEnd, now = new Date() }) {
+  let start = `${year}-01-01`;
+  let end = `${year}-12-31`;
+
+  if (mode === 'rolling') {
+    ({ start, end } = rollingRange(now));
+  } else if (mode === 'range' && isValidDateKey(customStart) && isValidDateKey(customEnd)) {
+    start = customStart <= customEnd ? customStart : customEnd;
+    end = customStart <= customEnd ? customEnd : customStart;
+    if (rangeLength(start, end) > MAX_RANGE_DAYS) {
+      const trimmed = parseDateFromKey(end);
+      trimmed.setUTCDate(trimmed.getUTCDate() - MAX_RANGE_DAYS + 1);
+      start = toDateKey(trimmed);
+    }
+  } else if (mode === 'stacked') {
+    start = `${year - STACKED_YEARS + 1}-01-01`;
+  }
+
+  const years = [];
+  for (let y = Number(start.slice(0, 4)); y <= Number(end.slice(0, 4)); y += 1) years.push(y);
+  return { start, end, years };
+}
+
+function detailPath(date, withDay) {
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+  return withDay ? `/home/${y}/${m}/${String(date.getUTCDate()).padStart(2, '0')}` : `/home/${y}/${m}`;
+}
+
+export function monthPath(dateKey) {
+  return detailPath(parseDateFromKey(dateKey), false);
+}
+
+export function weekPath(dateKey) {
+  return detailPath(parseDateFromKey(dateKey), true);
+}
+
+// Reads the optional /home/:year/:month/:day segments. A month shows the month
+// view, a day the week (starting on `weekStart`, 0 = Sunday) containing it;
+// anything else is ignored.
+export function parseDetailParams({ year, month, day }, weekStart = 0) {
+  const y = Number(year);
+  const m = Number(month);
+  if (!Number.isInteger(y) || y < 1900 || y > 2200 || !Number.isInteger(m) || m < 1 || m > 12) return null;
+
+  if (day === undefined) {
+    const first = new Date(Date.UTC(y, m - 1, 1));
+    const last = new Date(Date.UTC(y, m, 0));
+    const prev = new Date(Date.UTC(y, m - 2, 1));
+    const next = new Date(Date.UTC(y, m, 1));
+    return {
+      mode: 'month',
+      start: toDateKey(first),
+      end: toDateKey(last),
+      years: [y],
+      prevPath: detailPath(prev, false),
+      nextPath: detailPath(next, false)
+    };
+  }
+
+  const d = Number(day);
+  const anchor = new Date(Date.UTC(y, m - 1, d));
+  if (!Number.isInteger(d) || anchor.getUTCMonth() !== m - 1) return null;
+
+  const first = new Date(anchor);
+  first.setUTCDate(first.getUTCDate() - ((first.getUTCDay() - weekStart + 7) % 7));
+  const last = new Date(first);
+  last.setUTCDate(last.getUTCDate() + 6);
+  const prev = new Date(first);
+  prev.setUTCDate(prev.getUTCDate() - 7);
+  const next = new Date(first);
+  next.setUTCDate(next.getUTCDate() + 7);
+
+  return {
+    mode: 'week',
+    start: toDateKey(first),
+    end: toDateKey(last),
+    years: [...new Set([first.getUTCFullYear(), last.getUTCFullYear()])],
+    prevPath: detailPath(prev, true),
+    nextPath: detailPath(next, true)
+  };
+}
+
+export function daysInRange(start, end) {
+  const days = [];
+  const last = parseDateFromKey(end);
+  for (let date = parseDateFromKey(start); date <= last; date.setUTCDate(date.getUTCDate() + 1)) {
+    days.push(toDateKey(date));
+  }
+  return days;
+}
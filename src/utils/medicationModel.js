@@ -0,0 +1,60 @@
+import { t } from '../i18n';
+import { isValidDateKey, toDateKey } from './entryModel';
+
+export const HELPED_OPTIONS = [
+  { value: 'yes', labelKey: 'medication.helped.yes' },
+  { value: 'no', labelKey: 'medication.helped.no' },
+  { value: 'unsure', labelKey: 'medication.helped.unsure' }
+];
+
+function normalizeTime(value) {
+  return typeof value === 'string' && /^\d{2}:\d{2}$/.test(value) ? value : '';
+}
+
+export function normalizeMedication(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) return null;
+
+  return {
+    id: raw.id || raw._id || null,
+    name,
+    defaultDose: typeof raw.defaultDose === 'string' ? raw.defaultDose : ''
+  };
+}
+
+export function normalizeDose(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  let dateKey = raw.dateKey;
+  if (!isValidDateKey(dateKey) && raw.date) {
+    const parsed = new Date(raw.date);
+    if (!Number.isNaN(parsed.getTime())) {
+      dateKey = toDateKey(parsed);
+    }
+  }
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!isValidDateKey(dateKey) || !name) return null;
+
+  return {
+    id: raw.id || raw._id || null,
+    date: raw.date,
+    dateKey,
+    medicationId: raw.medicationId || null,
+    name,
+    dose: typeof raw.dose === 'string' ? raw.dose : '',
+    time: normalizeTime(raw.time),
+    helped: HELPED_OPTIONS.some((option) => option.value === raw.helped) ? raw.helped : 'unsure'
+  };
+}
+
+export function describeDose(dose) {
+  const parts = [dose.name];
+  if (dose.dose) parts.push(dose.dose);
+  if (dose.time) parts.push(t('medication.at', { time: dose.time }));
+  const described = parts.join(' ');
+  return dose.helped === 'yes' || dose.helped === 'no'
+    ? t('medication.outcome', { dose: described, outcome: t(`medication.outcome.${dose.helped}`) })
+    : described;
+}
@@ -0,0 +1,162 @@
+import { t } from '../i18n';
+
+// Optional measurements logged alongside the sick/healthy flag. Temperature is
+// always stored in °C; the unit setting only changes how it is typed and shown.
+// `limits` split a value into the five coloured bands after "healthy"; scores
+// (mood, energy) run from 5 = best to 1 = worst instead.
+export const METRICS = [
+  { key: 'temperature', min: 34, max: 43, step: 0.1, limits: [37.5, 38, 38.5, 39, 40], higherIsWorse: true },
+  { key: 'sleep', min: 0, max: 24, step: 0.5, limits: [8, 7, 6, 5, 4], higherIsWorse: false },
+  { key: 'mood', min: 1, max: 5, step: 1, score: true },
+  { key: 'energy', min: 1, max: 5, step: 1, score: true }
+];
+
+export const EMPTY_METRICS = { temperature: null, sleep: null, mood: null, energy: null };
+
+// What can colour the heatmap: the default sick/severity scale or one metric.
+export const HEATMAP_METRICS = [{ value: 'status', labelKey: 'metrics.byStatus' }].concat(
+  METRICS.map((metric) => ({ value: metric.key, labelKey: `metrics.by.${metric.key}` }))
+);
+
+export const TEMPERATURE_UNITS = [
+  { value: 'c', label: '°C' },
+  { value: 'f', label: '°F' }
+];
+
+export const DEFAULT_TEMPERATURE_UNIT = 'c';
+
+// Set by App during render, like the active language, so tooltips and labels
+// deep in the tree do not need the unit threaded through.
+let temperatureUnit = DEFAULT_TEMPERATURE_UNIT;
+
+export function isTemperatureUnit(value) {
+  return TEMPERATURE_UNITS.some((unit) => unit.value === value);
+}
+
+export function setTemperatureUnit(unit) {
+  temperatureUnit = isTemperatureUnit(unit) ? unit : DEFAULT_TEMPERATURE_UNIT;
+}
+
+export function getTemperatureUnit() {
+  return temperatureUnit;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function toCelsius(value, unit = temperatureUnit) {
+  return unit === 'f' ? ((value - 32) * 5) / 9 : value;
+}
+
+export function fromCelsius(value, unit = temperatureUnit) {
+  return unit === 'f' ? (value * 9) / 5 + 32 : value;
+}
+
+function findMetric(key) {
+  return METRICS.find((metric) => metric.key === key) || null;
+}
+
+export function isHeatmapMetric(value) {
+  return HEATMAP_METRICS.some((option) => option.value === value);
+}
+
+// Returns the value in storage units, or null when missing or out of range.
+export function normalizeMetricValue(key, raw) {
+  const metric = findMetric(key);
+  if (!metric || raw === null || raw === undefined || raw === '') return null;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < metric.min || value > metric.max) return null;
+  if (metric.score && !Number.isInteger(value)) return null;
+  return metric.score ? value : round(value, key === 'sleep' ? 2 : 1);
+}
+
+export function normalizeMetrics(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return Object.fromEntries(METRICS.map((metric) => [metric.key, normalizeMetricValue(metric.key, source[metric.key])]));
+}
+
+export function hasMetrics(metrics) {
+  return Boolean(metrics) && METRICS.some((metric) => metrics[metric.key] !== null && metrics[metric.key] !== undefined);
+}
+
+// Form fields hold strings in the display unit.
+export function metricInputs(metrics, unit = temperatureUnit) {
+  return Object.fromEntries(
+    METRICS.map(({ key }) => {
+      const value = metrics?.[key];
+      if (value === null || value === undefined) return [key, ''];
+      return [key, String(key === 'temperature' ? round(fromCelsius(value, unit)) : value)];
+    })
+  );
+}
+
+// Parses form strings back to storage units. `invalid` lists fields that were
+// filled in but could not be used.
+export function parseMetricInputs(inputs, unit = temperatureUnit) {
+  const metrics = { ...EMPTY_METRICS };
+  const invalid = [];
+
+  METRICS.forEach(({ key }) => {
+    const text = String(inputs?.[key] ?? '').trim();
+    if (!text) return;
+    const number = Number(text.replace(',', '.'));
+    const value = normalizeMetricValue(key, key === 'temperature' ? toCelsius(number, unit) : number);
+    if (value === null) invalid.push(key);
+    else metrics[key] = value;
+  });
+
+  return { metrics, invalid };
+}
+
+// Allowed range of a metric's form field, in the display unit.
+export function metricInputRange(key, unit = temperatureUnit) {
+  const metric = findMetric(key);
+  if (key !== 'temperature') return { min: metric.min, max: metric.max, step: metric.step };
+  return { min: round(fromCelsius(metric.min, unit)), max: round(fromCelsius(metric.max, unit)), step: metric.step };
+}
+
+export function metricLabel(key, unit = temperatureUnit) {
+  const symbol = TEMPERATURE_UNITS.find((item) => item.value === unit)?.label;
+  return t(`metrics.${key}`, { unit: symbol });
+}
+
+export function formatMetric(key, value, unit = temperatureUnit) {
+  if (key === 'temperature') {
+    return `${round(fromCelsius(value, unit))} ${TEMPERATURE_UNITS.find((item) => item.value === unit)?.label}`;
+  }
+  if (key === 'sleep') return t('metrics.hours', { value });
+  return `${value}/5`;
+}
+
+export function describeMetrics(entry, unit = temperatureUnit) {
+  const metrics = entry?.metrics;
+  if (!hasMetrics(metrics)) return '';
+  return METRICS.filter(({ key }) => metrics[key] !== null && metrics[key] !== undefined)
+    .map(({ key }) => t(`metrics.value.${key}`, { value: formatMetric(key, metrics[key], unit) }))
+    .join(', ');
+}
+
+// Heatmap scale (0 = no value, 1 = best, 6 = worst) for one metric, so the
+// usual palettes colour it like the sick/severity scale.
+export function metricToScale(key, entry) {
+  const metric = findMetric(key);
+  const value = entry?.metrics?.[key];
+  if (!metric || value === null || value === undefined) return 0;
+  if (metric.score) return 6 - value;
+  return 1 + metric.limits.filter((limit) => (metric.higherIsWorse ? value >= limit : value < limit)).length;
+}
+
+// Legend text for each scale value of a metric; null marks a colour it never uses.
+export function metricScaleLabels(key, unit = temperatureUnit) {
+  const metric = findMetric(key);
+  const none = t('metrics.noValue');
+  if (metric.score) return [none, '5', '4', '3', '2', '1', null];
+
+  const show = (limit) => formatMetric(key, limit, unit);
+  const worse = metric.higherIsWorse ? '≥' : '<';
+  const better = metric.higherIsWorse ? '<' : '≥';
+  return [none, `${better} ${show(metric.limits[0])}`, ...metric.limits.map((limit) => `${worse} ${show(limit)}`)];
+}
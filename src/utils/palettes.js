@@ -0,0 +1,48 @@
+import { t } from '../i18n';
+
+// Heatmap colours indexed by entryToScale(): no entry, healthy, then severity
+// 1-5. Everything that colours a day (heatmap, legend, month/week views, stats)
+// reads from here.
+export const PALETTES = [
+  {
+    id: 'default',
+    labelKey: 'palette.default',
+    colors: ['#ffffff', '#2ecc71', '#f6b1b1', '#ef8a8a', '#e35d5d', '#ce3030', '#990f0f']
+  },
+  {
+    id: 'viridis',
+    labelKey: 'palette.viridis',
+    colors: ['#ffffff', '#fde725', '#7ad151', '#22a884', '#2a788e', '#414487', '#440154']
+  },
+  {
+    id: 'contrast',
+    labelKey: 'palette.contrast',
+    colors: ['#ffffff', '#0057b8', '#ffe14d', '#ffa31a', '#ff5c00', '#d10000', '#5c0000']
+  },
+  {
+    id: 'mono',
+    labelKey: 'palette.mono',
+    colors: ['#ffffff', '#dcdcdc', '#bdbdbd', '#969696', '#737373', '#4d4d4d', '#1a1a1a']
+  }
+];
+
+export const DEFAULT_PALETTE = 'default';
+
+// Optional per-scale marks drawn on top of the colour, so severity is readable
+// without relying on hue.
+export const SCALE_GLYPHS = ['', '✓', '▁', '▂', '▄', '▆', '█'];
+
+export function isPaletteId(value) {
+  return PALETTES.some((palette) => palette.id === value);
+}
+
+export function paletteColors(id) {
+  return (PALETTES.find((palette) => palette.id === id) || PALETTES[0]).colors;
+}
+
+// Legend text for each scale value: no entry, healthy, then severity 1-5.
+export function scaleLabel(index) {
+  if (index === 0) return t('entry.none');
+  if (index === 1) return t('entry.healthy');
+  return String(index - 1);
+}
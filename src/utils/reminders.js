@@ -0,0 +1,72 @@
+import { MAX_BATCH_DAYS, parseDateFromKey, toDateKey } from './entryModel';
+import { todayKey } from './heatmapView';
+
+const PREFS_KEY = 'reminder_prefs';
+export const DEFAULT_REMINDER_PREFS = { enabled: false, time: '20:00' };
+
+// Prefs are stored per account. Cookie sessions render before the user record
+// has loaded, so callers re-read them whenever this value changes.
+export function reminderOwner(user) {
+  return user?.id || user?._id || user?.email || null;
+}
+
+function prefsKey(owner) {
+  return `${PREFS_KEY}:${owner || 'default'}`;
+}
+
+function isValidTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+}
+
+export function readReminderPrefs(owner) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(prefsKey(owner)) || 'null');
+    return {
+      enabled: Boolean(stored?.enabled),
+      time: isValidTime(stored?.time) ? stored.time : DEFAULT_REMINDER_PREFS.time
+    };
+  } catch {
+    return { ...DEFAULT_REMINDER_PREFS };
+  }
+}
+
+export function writeReminderPrefs(owner, prefs) {
+  localStorage.setItem(prefsKey(owner), JSON.stringify({ enabled: Boolean(prefs.enabled), time: prefs.time }));
+}
+
+// Milliseconds until the next local HH:MM, rolling over to tomorrow once today's
+// reminder time has passed.
+export function msUntilReminder(time, now = new Date()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next.getTime() - now.getTime();
+}
+
+// Years the missed-days banner loads, whatever is on screen: the current one
+// and, early in the year, the one the backfill window reaches back into.
+export function lookbackYears(today = todayKey()) {
+  const start = parseDateFromKey(today);
+  start.setUTCDate(start.getUTCDate() - MAX_BATCH_DAYS);
+  return [...new Set([start.getUTCFullYear(), Number(today.slice(0, 4))])];
+}
+
+// Unlogged days between the most recent entry and today (exclusive), oldest
+// first. People who have never logged anything get no backlog.
+export function missedDays(entries, today = todayKey()) {
+  const latest = entries.reduce(
+    (max, entry) => (entry.dateKey < today && entry.dateKey > max ? entry.dateKey : max),
+    ''
+  );
+  if (!latest) return [];
+
+  const days = [];
+  const cursor = parseDateFromKey(latest);
+  cursor.setUTCDate(cursor.getUTCDate() + 1);
+  while (toDateKey(cursor) < today) {
+    days.push(toDateKey(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+}
@@ -0,0 +1,45 @@
+// Lifetimes offered when creating a link, in days; 0 never expires.
+export const SHARE_EXPIRY_OPTIONS = [
+  { value: '7', labelKey: 'share.expiry.week' },
+  { value: '30', labelKey: 'share.expiry.month' },
+  { value: '90', labelKey: 'share.expiry.quarter' },
+  { value: '0', labelKey: 'share.expiry.never' }
+];
+
+export const DEFAULT_SHARE_EXPIRY = '30';
+
+function parseTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function normalizeShare(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = raw.id || raw._id || raw.shareId;
+  if (!id) return null;
+
+  return {
+    id: String(id),
+    profileId: raw.profileId || null,
+    label: typeof raw.label === 'string' ? raw.label.trim() : '',
+    createdAt: parseTime(raw.createdAt),
+    expiresAt: parseTime(raw.expiresAt),
+    lastAccessedAt: parseTime(raw.lastAccessedAt),
+    revoked: Boolean(raw.revokedAt || raw.revoked)
+  };
+}
+
+export function expiryFromDays(days, now = new Date()) {
+  const count = Number(days);
+  if (!count) return null;
+  return new Date(now.getTime() + count * 86400000).toISOString();
+}
+
+export function isShareActive(share, now = new Date()) {
+  return !share.revoked && (!share.expiresAt || share.expiresAt > now);
+}
+
+export function shareUrl(id) {
+  return `${window.location.origin}/shared/${encodeURIComponent(id)}`;
+}
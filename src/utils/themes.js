@@ -0,0 +1,158 @@
+import { t } from '../i18n';
+
+// Every colour that changes with the theme. `vars` become the CSS custom
+// properties styles.css is written against; `chart` feeds the echarts options
+// (`series` colours the per-year lines) and `select` the react-select year
+// picker. A new theme only needs an entry here.
+export const THEMES = {
+  dark: {
+    colorScheme: 'dark',
+    vars: {
+      '--bg': '#061127',
+      '--bg-soft': '#0d1a35',
+      '--card': '#10203e',
+      '--line': '#2a3f68',
+      '--text': '#e8eefb',
+      '--muted': '#a7b7d8',
+      '--input-bg': '#0b1831',
+      '--accent': '#3f8cff',
+      '--accent-soft': '#66adff',
+      '--good': '#2ecc71',
+      '--danger': '#d84040',
+      '--month-sep': '#4e638f',
+      '--calendar-bg': '#0f1b35',
+      '--calendar-text': '#e8eefb',
+      '--calendar-border': '#2a3f68',
+      '--calendar-hover': '#1e335e',
+      '--calendar-selected': '#3f8cff'
+    },
+    chart: {
+      text: '#e8eefb',
+      axisText: '#b7c7e6',
+      dayLabel: '#93a7cb',
+      cellText: '#9aa7bf',
+      splitLine: '#172a49',
+      tooltipBg: '#0f1a31',
+      tooltipBorder: '#2a3f68',
+      accent: '#66adff',
+      card: '#10203e',
+      shadow: 'rgba(87, 125, 196, 0.45)',
+      series: ['#3f8cff', '#e35d5d', '#2ecc71', '#f0a33a', '#a06cf0', '#36c2c9']
+    },
+    select: {
+      border: '#2d3f61',
+      background: '#0f172a',
+      text: '#e2e8f0',
+      menu: '#0b1325',
+      optionFocus: '#1e293b'
+    }
+  },
+  light: {
+    colorScheme: 'light',
+    vars: {
+      '--bg': '#f2f7ff',
+      '--bg-soft': '#f7faff',
+      '--card': '#ffffff',
+      '--line': '#ccd9ef',
+      '--text': '#152645',
+      '--muted': '#5b6f93',
+      '--input-bg': '#ffffff',
+      '--accent': '#2463d8',
+      '--accent-soft': '#4c84e6',
+      '--good': '#21a55e',
+      '--danger': '#bc2b2b',
+      '--month-sep': '#b8cae8',
+      '--calendar-bg': '#ffffff',
+      '--calendar-text': '#12233f',
+      '--calendar-border': '#cbd9f1',
+      '--calendar-hover': '#eaf2ff',
+      '--calendar-selected': '#2463d8'
+    },
+    chart: {
+      text: '#162744',
+      axisText: '#4a638d',
+      dayLabel: '#6078a4',
+      cellText: '#6f7f9b',
+      splitLine: '#e8effa',
+      tooltipBg: '#ffffff',
+      tooltipBorder: '#c8d7ef',
+      accent: '#2463d8',
+      card: '#ffffff',
+      shadow: 'rgba(62, 92, 147, 0.35)',
+      series: ['#2463d8', '#c8423f', '#21a55e', '#d4831c', '#7f4cd6', '#1f9aa1']
+    },
+    select: {
+      border: '#c5d3ea',
+      background: '#ffffff',
+      text: '#14213a',
+      menu: '#ffffff',
+      optionFocus: '#e9f1ff'
+    }
+  }
+};
+
+export const DEFAULT_THEME = 'dark';
+
+// What the user picks; 'auto' resolves to light or dark from the OS setting.
+export const THEME_MODES = [
+  { value: 'auto', labelKey: 'theme.auto' },
+  { value: 'light', labelKey: 'theme.light' },
+  { value: 'dark', labelKey: 'theme.dark' }
+];
+
+export const DEFAULT_THEME_MODE = 'auto';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export function isThemeMode(value) {
+  return THEME_MODES.some((mode) => mode.value === value);
+}
+
+export function nextThemeMode(mode) {
+  const index = THEME_MODES.findIndex((item) => item.value === mode);
+  return THEME_MODES[(index + 1) % THEME_MODES.length].value;
+}
+
+export function themeModeLabel(mode) {
+  return t((THEME_MODES.find((item) => item.value === mode) || THEME_MODES[0]).labelKey);
+}
+
+export function themeTokens(name) {
+  return THEMES[name] || THEMES[DEFAULT_THEME];
+}
+
+export function systemPrefersDark() {
+  return typeof window.matchMedia === 'function' ? window.matchMedia(DARK_QUERY).matches : true;
+}
+
+// Calls `listener(prefersDark)` whenever the OS colour scheme changes.
+export function watchSystemTheme(listener) {
+  if (typeof window.matchMedia !== 'function') return () => {};
+
+  const query = window.matchMedia(DARK_QUERY);
+  const onChange = (event) => listener(event.matches);
+  // Safari before 14 only has the deprecated addListener/removeListener.
+  if (typeof query.addEventListener !== 'function') {
+    query.addListener(onChange);
+    return () => query.removeListener(onChange);
+  }
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+}
+
+export function resolveTheme(mode, prefersDark) {
+  if (mode === 'auto') return prefersDark ? 'dark' : 'light';
+  return THEMES[mode] ? mode : DEFAULT_THEME;
+}
+
+export function applyTheme(name) {
+  const tokens = themeTokens(name);
+  const root = document.documentElement;
+
+  root.setAttribute('data-theme', name);
+  root.style.colorScheme = tokens.colorScheme;
+  Object.entries(tokens.vars).forEach(([property, value]) => root.style.setProperty(property, value));
+
+  const meta = document.querySelector('meta[name="theme-color"]');
+  if (meta) meta.setAttribute('content', tokens.vars['--bg']);
+}